@@ -0,0 +1,56 @@
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+
+// public/data file recording the Plex thumb path (which ends in a version timestamp,
+// e.g. /library/metadata/2233/thumb/1763974192) each artwork file was downloaded from,
+// keyed by "<artwork dir>/<artworkKey>"
+export const ARTWORK_VERSIONS_FILE = 'artwork-versions.json';
+
+// Fetch Plex artwork by thumb path: Tautulli's image proxy first, then Plex directly.
+// onFallback is called with the Tautulli error before trying Plex.
+export async function fetchPlexArtwork(thumbPath, { tautulli, plex, onFallback } = {}) {
+  try {
+    const image = await tautulli.getImage(thumbPath);
+    return { ...image, source: 'tautulli' };
+  } catch (error) {
+    onFallback?.(error);
+  }
+  
+  if (!plex?.isConfigured) {
+    const error = new Error('Tautulli image proxy failed and Plex token is not configured');
+    error.status = 503;
+    throw error;
+  }
+  
+  const image = await plex.getImage(thumbPath);
+  return { ...image, source: 'plex' };
+}
+
+// Write a fetched image to disk
+export function saveImage(filePath, image) {
+  writeFileSync(filePath, image.buffer);
+}
+
+// Whether artwork was already saved to filePath. Empty files (from an interrupted
+// download) don't count, so they are downloaded again
+export function hasSavedImage(filePath) {
+  return existsSync(filePath) && statSync(filePath).size > 0;
+}
+
+// Thumb versions recorded in an artwork versions file, or none if it doesn't exist yet
+export function readArtworkVersions(filePath) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`  Could not read ${filePath}, starting without artwork versions:`, error.message);
+    return {};
+  }
+}
+
+export function writeArtworkVersions(filePath, versions) {
+  const sorted = Object.fromEntries(Object.entries(versions).sort(([a], [b]) => a.localeCompare(b)));
+  writeFileSync(filePath, JSON.stringify(sorted, null, 2));
+}
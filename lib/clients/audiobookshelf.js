@@ -0,0 +1,56 @@
+import { fetchJson, fetchImage } from './http.js';
+
+// Number of listening sessions requested from Audiobookshelf per page
+export const AUDIOBOOKSHELF_PAGE_SIZE = 500;
+
+export function createAudiobookshelfClient({ url, apiKey }) {
+  // Audiobookshelf API tokens are sent as a Bearer token
+  const headers = { 'Authorization': `Bearer ${apiKey}` };
+  
+  function get(path) {
+    return fetchJson(`${url}${path}`, { source: 'Audiobookshelf', headers });
+  }
+  
+  // The user the API token belongs to, including their mediaProgress
+  function getMe() {
+    return get('/api/me');
+  }
+  
+  // Every listening session of the token's user, paging (0-based) until numPages is reached
+  async function getListeningSessions({ onProgress } = {}) {
+    let sessions = [];
+    let total = 0;
+    let page = 0;
+    
+    while (true) {
+      const data = await get(`/api/me/listening-sessions?itemsPerPage=${AUDIOBOOKSHELF_PAGE_SIZE}&page=${page}`);
+      const pageSessions = data.sessions || [];
+      total = data.total ?? total;
+      sessions = sessions.concat(pageSessions);
+      
+      onProgress?.(sessions.length, total);
+      
+      if (pageSessions.length === 0 || page + 1 >= (data.numPages || 0)) {
+        break;
+      }
+      page++;
+    }
+    
+    if (sessions.length !== total) {
+      throw new Error(`Audiobookshelf reported ${total} listening sessions but ${sessions.length} were collected`);
+    }
+    
+    return sessions;
+  }
+  
+  // A library item (book or podcast), with podcast episodes included
+  function getLibraryItem(libraryItemId) {
+    return get(`/api/items/${libraryItemId}?expanded=1`);
+  }
+  
+  function getCover(libraryItemId) {
+    return fetchImage(`${url}/api/items/${libraryItemId}/cover`, { source: 'Audiobookshelf', headers });
+  }
+  
+  return { getMe, getListeningSessions, getLibraryItem, getCover };
+}
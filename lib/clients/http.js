@@ -0,0 +1,55 @@
+// Shared HTTP helpers used by every media-source client
+// Gives all sources the same timeouts and error messages
+
+// Default timeouts (API calls can be slow on large libraries, images should be quick)
+export const API_TIMEOUT_MS = 30000;
+export const IMAGE_TIMEOUT_MS = 10000;
+
+async function request(url, { source = 'Remote', method = 'GET', headers = {}, body, timeoutMs = API_TIMEOUT_MS } = {}, readBody) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  
+  try {
+    const response = await fetch(url, {
+      method,
+      // Request bodies are always sent as JSON
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      const error = new Error(`${source} API returned ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    // Read the body before clearing the timeout so slow transfers are covered too
+    return await readBody(response);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`${source} request timed out after ${timeoutMs / 1000} seconds`);
+      timeoutError.timedOut = true;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Fetch and parse a JSON response
+export function fetchJson(url, options = {}) {
+  return request(url, {
+    ...options,
+    headers: { 'Accept': 'application/json', ...options.headers }
+  }, response => response.json());
+}
+
+// Fetch an image, returning its bytes and content type
+export function fetchImage(url, options = {}) {
+  return request(url, { timeoutMs: IMAGE_TIMEOUT_MS, ...options }, async response => ({
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || 'image/jpeg'
+  }));
+}
@@ -0,0 +1,78 @@
+import { fetchJson, fetchImage } from './http.js';
+
+// Number of items requested from Jellyfin per page
+export const JELLYFIN_PAGE_SIZE = 500;
+
+// Item fields needed to build consumption events
+const ITEM_FIELDS = ['PremiereDate', 'ProductionYear', 'RunTimeTicks', 'UserData', 'ParentId'];
+
+export function createJellyfinClient({ url, apiKey }) {
+  // Jellyfin accepts the API key in the X-Emby-Token header
+  const headers = { 'X-Emby-Token': apiKey };
+  
+  function get(path) {
+    return fetchJson(`${url}${path}`, { source: 'Jellyfin', headers });
+  }
+  
+  function getUsers() {
+    return get('/Users');
+  }
+  
+  // Resolve the user to read history for, by id or (case-insensitive) name
+  async function getUserId({ userId, username }) {
+    if (userId) {
+      return userId;
+    }
+    
+    const users = await getUsers();
+    const user = users.find(u => u.Name?.toLowerCase() === username?.toLowerCase());
+    if (!user) {
+      throw new Error(`Jellyfin user "${username}" not found (available: ${users.map(u => u.Name).join(', ')})`);
+    }
+    return user.Id;
+  }
+  
+  // Every played item of the given types (e.g. ['Movie', 'Episode']) for a user,
+  // paging with StartIndex/Limit until TotalRecordCount is reached
+  async function getPlayedItems(userId, itemTypes, { onProgress } = {}) {
+    let items = [];
+    let total = 0;
+    
+    while (true) {
+      const params = new URLSearchParams({
+        Recursive: 'true',
+        IncludeItemTypes: itemTypes.join(','),
+        Filters: 'IsPlayed',
+        Fields: ITEM_FIELDS.join(','),
+        SortBy: 'DatePlayed',
+        SortOrder: 'Descending',
+        StartIndex: String(items.length),
+        Limit: String(JELLYFIN_PAGE_SIZE)
+      });
+      
+      const page = await get(`/Users/${userId}/Items?${params.toString()}`);
+      const pageItems = page.Items || [];
+      total = page.TotalRecordCount ?? total;
+      items = items.concat(pageItems);
+      
+      onProgress?.(items.length, total);
+      
+      if (pageItems.length === 0 || items.length >= total) {
+        break;
+      }
+    }
+    
+    if (items.length !== total) {
+      throw new Error(`Jellyfin reported ${total} played items but ${items.length} were collected`);
+    }
+    
+    return items;
+  }
+  
+  // Primary image (poster) of an item, series or season
+  function getPrimaryImage(itemId) {
+    return fetchImage(`${url}/Items/${itemId}/Images/Primary`, { source: 'Jellyfin', headers });
+  }
+  
+  return { getUsers, getUserId, getPlayedItems, getPrimaryImage };
+}
@@ -0,0 +1,87 @@
+import { fetchJson, fetchImage } from './http.js';
+
+// Number of series requested from Kavita per page
+export const KAVITA_PAGE_SIZE = 500;
+
+// Name this app identifies itself with when exchanging the API key for a token
+const PLUGIN_NAME = 'media-consumption';
+
+// Kavita's "all series" filter with no conditions, sorted by name
+const ALL_SERIES_FILTER = {
+  statements: [],
+  combination: 1,
+  limitTo: 0,
+  sortOptions: { sortField: 1, isAscending: true }
+};
+
+export function createKavitaClient({ url, apiKey }) {
+  // Kavita API keys are exchanged for a JWT, which is then sent as a Bearer token
+  let tokenPromise = null;
+  
+  function getToken() {
+    if (!tokenPromise) {
+      const params = new URLSearchParams({ apiKey, pluginName: PLUGIN_NAME });
+      tokenPromise = fetchJson(`${url}/api/Plugin/authenticate?${params.toString()}`, { source: 'Kavita', method: 'POST' })
+        .then(user => user.token)
+        .catch(error => {
+          // Allow a later call to retry authentication
+          tokenPromise = null;
+          throw error;
+        });
+    }
+    return tokenPromise;
+  }
+  
+  async function call(path, { method, body } = {}) {
+    const token = await getToken();
+    return fetchJson(`${url}${path}`, {
+      source: 'Kavita',
+      method,
+      body,
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+  }
+  
+  function getSeriesPage(pageNumber = 1, pageSize = KAVITA_PAGE_SIZE) {
+    return call(`/api/Series/all-v2?PageNumber=${pageNumber}&PageSize=${pageSize}`, {
+      method: 'POST',
+      body: ALL_SERIES_FILTER
+    });
+  }
+  
+  // Every series in every library the API key's user can see.
+  // Kavita pages are 1-based and the total is only sent in a header, so stop on a short page
+  async function getAllSeries() {
+    let series = [];
+    let pageNumber = 1;
+    
+    while (true) {
+      const page = await getSeriesPage(pageNumber, KAVITA_PAGE_SIZE);
+      series = series.concat(page);
+      
+      if (page.length < KAVITA_PAGE_SIZE) {
+        break;
+      }
+      pageNumber++;
+    }
+    
+    return series;
+  }
+  
+  // Volumes of a series, each with its chapters and the user's progress on them
+  function getVolumes(seriesId) {
+    return call(`/api/Series/volumes?seriesId=${seriesId}`);
+  }
+  
+  function getSeriesMetadata(seriesId) {
+    return call(`/api/Series/metadata?seriesId=${seriesId}`);
+  }
+  
+  // Image endpoints take the API key as a query parameter instead of a token
+  function getSeriesCover(seriesId) {
+    const params = new URLSearchParams({ seriesId: String(seriesId), apiKey });
+    return fetchImage(`${url}/api/Image/series-cover?${params.toString()}`, { source: 'Kavita' });
+  }
+  
+  return { getSeriesPage, getAllSeries, getVolumes, getSeriesMetadata, getSeriesCover };
+}
@@ -0,0 +1,54 @@
+import { fetchJson, fetchImage } from './http.js';
+
+// Number of items requested from Komga per page
+export const KOMGA_PAGE_SIZE = 1000;
+
+export function createKomgaClient({ url, apiKey }) {
+  // Komga uses X-API-Key header for authentication
+  const headers = { 'X-API-Key': apiKey };
+  
+  function get(path) {
+    return fetchJson(`${url}${path}`, { source: 'Komga', headers });
+  }
+  
+  function getBooksPage(page = 0, size = KOMGA_PAGE_SIZE) {
+    return get(`/api/v1/books?page=${page}&size=${size}`);
+  }
+  
+  function getSeriesPage(page = 0, size = KOMGA_PAGE_SIZE) {
+    return get(`/api/v1/series?page=${page}&size=${size}`);
+  }
+  
+  // Walk every page of a paginated Komga endpoint
+  async function getAllPages(getPage) {
+    let items = [];
+    let page = 0;
+    
+    while (true) {
+      const data = await getPage(page, KOMGA_PAGE_SIZE);
+      const content = data.content || [];
+      items = items.concat(content);
+      
+      if (data.last === true || content.length < KOMGA_PAGE_SIZE) {
+        break;
+      }
+      page++;
+    }
+    
+    return items;
+  }
+  
+  function getAllBooks() {
+    return getAllPages(getBooksPage);
+  }
+  
+  function getAllSeries() {
+    return getAllPages(getSeriesPage);
+  }
+  
+  function getSeriesThumbnail(seriesId) {
+    return fetchImage(`${url}/api/v1/series/${seriesId}/thumbnail`, { source: 'Komga', headers });
+  }
+  
+  return { getBooksPage, getSeriesPage, getAllBooks, getAllSeries, getSeriesThumbnail };
+}
@@ -0,0 +1,27 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+// public/data file caching the compact Tautulli metadata (see toMetadataBlock in
+// lib/events/tautulli.js) of each rating_key between fetch-data runs, so get_metadata
+// is only called for items it hasn't seen. Entries are { fetchedAt, metadata }, with
+// metadata null for items Tautulli had nothing for. Shows and seasons also keep
+// { thumb, parentThumb, episodeCount }, and episodes only { fetchedAt, runtime }
+export const METADATA_CACHE_FILE = 'metadata-cache.json';
+
+// Cached metadata in a metadata cache file, or none if it doesn't exist yet
+export function readMetadataCache(filePath) {
+  if (!existsSync(filePath)) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`  Could not read ${filePath}, starting without cached metadata:`, error.message);
+    return {};
+  }
+}
+
+export function writeMetadataCache(filePath, cache) {
+  const sorted = Object.fromEntries(Object.entries(cache).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true })));
+  writeFileSync(filePath, JSON.stringify(sorted, null, 2));
+}
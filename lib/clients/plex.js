@@ -0,0 +1,91 @@
+import { fetchJson, fetchImage } from './http.js';
+
+// Number of items requested from Plex per page
+export const PLEX_PAGE_SIZE = 500;
+
+// Plex library item types used with /library/sections/:key/all?type=
+export const PLEX_ITEM_TYPES = {
+  movie: 1,
+  episode: 4
+};
+
+export function createPlexClient({ url, token }) {
+  // The .env.example placeholder counts as "not configured"
+  const isConfigured = Boolean(url && token && token !== 'your_plex_token_here');
+  
+  function assertConfigured() {
+    if (!isConfigured) {
+      throw new Error('Plex URL/token not configured');
+    }
+  }
+  
+  function get(path, params = {}) {
+    assertConfigured();
+    const query = new URLSearchParams(params).toString();
+    return fetchJson(`${url}${path}${query ? `?${query}` : ''}`, {
+      source: 'Plex',
+      // Plex answers in XML unless JSON is asked for
+      headers: { 'Accept': 'application/json', 'X-Plex-Token': token }
+    });
+  }
+  
+  // Every entry of a paged MediaContainer endpoint, paging with
+  // X-Plex-Container-Start/Size until a page comes back short. Plex doesn't
+  // always send totalSize, so it's only used to check the count when it does
+  async function getAllPages(path, params, onProgress) {
+    let items = [];
+    let total = null;
+    
+    while (true) {
+      const data = await get(path, {
+        ...params,
+        'X-Plex-Container-Start': String(items.length),
+        'X-Plex-Container-Size': String(PLEX_PAGE_SIZE)
+      });
+      const container = data.MediaContainer || {};
+      const pageItems = container.Metadata || [];
+      total = container.totalSize ?? total;
+      items = items.concat(pageItems);
+      
+      onProgress?.(items.length, total ?? '?');
+      
+      if (pageItems.length < PLEX_PAGE_SIZE) {
+        break;
+      }
+    }
+    
+    if (total !== null && items.length !== total) {
+      throw new Error(`Plex reported ${total} entries for ${path} but ${items.length} were collected`);
+    }
+    
+    return items;
+  }
+  
+  // Library sections (Plex "libraries"), e.g. [{ key: '1', type: 'movie', title: 'Movies' }]
+  async function getLibrarySections() {
+    const data = await get('/library/sections');
+    return data.MediaContainer?.Directory || [];
+  }
+  
+  // Every item of one type ('movie' or 'episode') in a library section,
+  // including the server owner's viewCount/lastViewedAt
+  function getSectionItems(sectionKey, itemType, { onProgress } = {}) {
+    return getAllPages(`/library/sections/${sectionKey}/all`, { type: String(PLEX_ITEM_TYPES[itemType]) }, onProgress);
+  }
+  
+  // Plex's own play history, newest first, optionally limited to one account
+  function getHistory({ accountId, onProgress } = {}) {
+    const params = { sort: 'viewedAt:desc' };
+    if (accountId) {
+      params.accountID = String(accountId);
+    }
+    return getAllPages('/status/sessions/history/all', params, onProgress);
+  }
+  
+  function getImage(thumbPath) {
+    assertConfigured();
+    return fetchImage(`${url}${thumbPath}?X-Plex-Token=${token}`, { source: 'Plex' });
+  }
+  
+  return { isConfigured, getLibrarySections, getSectionItems, getHistory, getImage };
+}
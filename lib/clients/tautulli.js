@@ -0,0 +1,86 @@
+import { fetchJson, fetchImage } from './http.js';
+
+// Number of history rows requested from Tautulli per page
+export const HISTORY_PAGE_SIZE = 1000;
+
+function getRowId(item) {
+  return Number(item.row_id || item.id || 0);
+}
+
+export function createTautulliClient({ url, apiKey }) {
+  const buildUrl = (cmd, params = {}) => {
+    const search = new URLSearchParams({ apikey: apiKey, cmd });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        search.set(key, value);
+      }
+    });
+    return `${url}/api/v2?${search.toString()}`;
+  };
+  
+  // Run an API command and return the raw response, failing on Tautulli-level errors
+  async function command(cmd, params = {}) {
+    const data = await fetchJson(buildUrl(cmd, params), { source: 'Tautulli' });
+    if (data.response?.result && data.response.result !== 'success') {
+      throw new Error(`Tautulli API error: ${data.response.message || data.response.result}`);
+    }
+    return data;
+  }
+  
+  // Fetch the full play history for a media type, paging with start/length until
+  // Tautulli's filtered total is exhausted. Returns the get_history response shape
+  // with every row in response.data.data.
+  async function getHistory(mediaType, { after, onProgress } = {}) {
+    let data = null;
+    let rows = [];
+    let recordsFiltered = 0;
+    let start = 0;
+    
+    while (true) {
+      const page = await command('get_history', {
+        media_type: mediaType,
+        order_column: 'date',
+        order_dir: 'desc',
+        after,
+        start,
+        length: HISTORY_PAGE_SIZE
+      });
+      
+      const pageRows = page.response?.data?.data || [];
+      data = data || page;
+      recordsFiltered = page.response?.data?.recordsFiltered ?? recordsFiltered;
+      rows = rows.concat(pageRows);
+      start += pageRows.length;
+      
+      onProgress?.(rows.length, recordsFiltered);
+      
+      if (pageRows.length === 0 || rows.length >= recordsFiltered) {
+        break;
+      }
+    }
+    
+    // Fail loudly rather than silently returning an incomplete history
+    const uniqueRowCount = new Set(rows.map(getRowId)).size;
+    if (rows.length !== recordsFiltered || uniqueRowCount !== rows.length) {
+      throw new Error(
+        `Tautulli reported ${recordsFiltered} ${mediaType} rows but ${rows.length} were collected ` +
+        `(${uniqueRowCount} unique). History may have changed during the fetch, please re-run.`
+      );
+    }
+    
+    // Filter to ensure correct media type
+    data.response.data.data = rows.filter(item => item.media_type === mediaType);
+    return data;
+  }
+  
+  function getMetadata(ratingKey) {
+    return command('get_metadata', { rating_key: ratingKey });
+  }
+  
+  // Fetch a Plex image (thumb path) through Tautulli's image proxy
+  function getImage(thumbPath) {
+    return fetchImage(buildUrl('get_pms_image', { img: thumbPath }), { source: 'Tautulli' });
+  }
+  
+  return { command, getHistory, getMetadata, getImage };
+}
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV parsing (quoted fields, "" escapes, newlines inside quotes)
+
+// Parse CSV text into rows of fields
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  // Strip the byte order mark some exports start with
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+// Parse CSV text with a header line into objects keyed by column name
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+  
+  return rows.map(fields => {
+    const record = {};
+    header.forEach((column, index) => {
+      record[column.trim()] = fields[index] ?? '';
+    });
+    return record;
+  });
+}
+
+// Quote a field if it contains a comma, quote or newline
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write objects as CSV text with a header line, in the given column order
+export function toCsv(records, columns) {
+  const lines = [columns.map(escapeCsvField).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => escapeCsvField(record[column])).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
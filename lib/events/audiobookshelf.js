@@ -0,0 +1,142 @@
+// Convert Audiobookshelf listening sessions and finished items into consumption events
+//
+// Every listening session becomes an event (duration = time actually spent
+// listening). Audiobooks are their own item; podcast episodes are grouped
+// under their podcast, like TV episodes under a show. Items marked finished
+// without any recorded session become a single event at their finish date.
+
+const toNumberOrNull = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// Audiobookshelf timestamps are in milliseconds
+const toSeconds = (milliseconds) => Math.floor(milliseconds / 1000);
+
+const getAuthor = (metadata) => {
+  if (metadata?.authorName) return metadata.authorName;
+  if (Array.isArray(metadata?.authors)) return metadata.authors.map(author => author.name).join(', ') || null;
+  return metadata?.author || null;
+};
+
+function toEvent({ id, consumedAt, isPodcast, libraryItemId, episodeId, bookTitle, episodeTitle, metadata, duration, percentComplete, details }) {
+  const publishedYear = toNumberOrNull(metadata?.publishedYear);
+  
+  return {
+    id,
+    source: 'audiobookshelf',
+    mediaType: isPodcast ? 'podcast' : 'audiobook',
+    consumedAt,
+    itemKey: isPodcast ? (episodeId || libraryItemId) : libraryItemId,
+    title: (isPodcast ? episodeTitle : bookTitle) || 'Unknown',
+    releaseYear: publishedYear,
+    releaseDate: metadata?.publishedDate || null,
+    duration,
+    number: null,
+    groupKey: isPodcast ? libraryItemId : null,
+    groupTitle: isPodcast ? (bookTitle || 'Unknown Podcast') : null,
+    parentKey: null,
+    parentTitle: null,
+    parentNumber: null,
+    thumb: null,
+    parentThumb: null,
+    groupThumb: null,
+    // Books and podcasts both use the library item's cover
+    artworkKey: libraryItemId,
+    percentComplete,
+    details: {
+      libraryItemId,
+      episodeId: episodeId || null,
+      author: getAuthor(metadata),
+      narrators: metadata?.narrators || [],
+      series: metadata?.series || [],
+      genres: metadata?.genres || [],
+      ...details
+    }
+  };
+}
+
+// Media progress of the item/episode a session or progress entry belongs to
+const progressKey = (libraryItemId, episodeId) => `${libraryItemId}:${episodeId || ''}`;
+
+// Index a user's mediaProgress (from /api/me) for fromAudiobookshelfSession
+export function indexMediaProgress(mediaProgress = []) {
+  const progressByItem = new Map();
+  mediaProgress.forEach(progress => {
+    progressByItem.set(progressKey(progress.libraryItemId, progress.episodeId), progress);
+  });
+  return progressByItem;
+}
+
+// One listening session. Returns null for sessions with no listening time
+export function fromAudiobookshelfSession(session, progressByItem = new Map()) {
+  const listened = Math.round(Number(session.timeListening) || 0);
+  const startedAt = session.startedAt || session.updatedAt;
+  if (listened <= 0 || !startedAt) {
+    return null;
+  }
+  
+  const progress = progressByItem.get(progressKey(session.libraryItemId, session.episodeId));
+  const isPodcast = session.mediaType === 'podcast';
+  const metadata = session.mediaMetadata || {};
+  const percentComplete = session.duration
+    ? Math.min(100, Math.round((Number(session.currentTime || 0) / session.duration) * 100))
+    : null;
+  
+  return toEvent({
+    id: `audiobookshelf:${session.id}`,
+    consumedAt: toSeconds(startedAt),
+    isPodcast,
+    libraryItemId: session.libraryItemId,
+    episodeId: session.episodeId,
+    bookTitle: metadata.title || session.displayTitle,
+    episodeTitle: session.displayTitle,
+    metadata,
+    duration: listened,
+    percentComplete,
+    details: {
+      itemDuration: toNumberOrNull(session.duration),
+      startTime: toNumberOrNull(session.startTime),
+      currentTime: toNumberOrNull(session.currentTime),
+      mediaPlayer: session.mediaPlayer || null,
+      deviceName: session.deviceInfo?.deviceName || session.deviceInfo?.clientName || null,
+      isFinished: Boolean(progress?.isFinished),
+      finishedAt: progress?.finishedAt || null
+    }
+  });
+}
+
+// A finished book/episode that has no listening sessions, using its library item
+// (from /api/items/:id?expanded=1) for titles. Returns null if it isn't finished
+export function fromAudiobookshelfProgress(progress, libraryItem) {
+  if (!progress.isFinished || !progress.finishedAt || !libraryItem) {
+    return null;
+  }
+  
+  const isPodcast = libraryItem.mediaType === 'podcast';
+  const metadata = libraryItem.media?.metadata || {};
+  const episode = isPodcast
+    ? (libraryItem.media?.episodes || []).find(e => e.id === progress.episodeId)
+    : null;
+  const itemDuration = toNumberOrNull(progress.duration) || toNumberOrNull(libraryItem.media?.duration);
+  
+  return toEvent({
+    id: `audiobookshelf:progress-${progress.id}`,
+    consumedAt: toSeconds(progress.finishedAt),
+    isPodcast,
+    libraryItemId: progress.libraryItemId,
+    episodeId: progress.episodeId,
+    bookTitle: metadata.title,
+    episodeTitle: episode?.title,
+    metadata,
+    // No session recorded how long it took, so count the whole item once
+    duration: itemDuration !== null ? Math.round(itemDuration) : null,
+    percentComplete: 100,
+    details: {
+      itemDuration,
+      isFinished: true,
+      finishedAt: progress.finishedAt
+    }
+  });
+}
@@ -0,0 +1,191 @@
+// Export consumption events to other services' import formats
+//
+// - letterboxd: Letterboxd's import CSV (movies only)
+// - trakt:      Trakt sync body ({ movies, shows }), usable with /sync/history
+//               (and /sync/ratings for the rated movies)
+// - csv:        one plain CSV line per watch
+//
+// Works in the browser (download button) and in Node (export-history script).
+import { toCsv } from '../csv.js';
+import { isUnfinished } from './schema.js';
+
+export const EXPORT_FORMATS = {
+  letterboxd: { label: 'Letterboxd CSV', extension: 'csv', mimeType: 'text/csv', mediaTypes: ['movie'] },
+  trakt: { label: 'Trakt JSON', extension: 'json', mimeType: 'application/json', mediaTypes: ['movie', 'episode'] },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', mediaTypes: null }
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Calendar day of a watch, in the local timezone (the same day the views show it on)
+const toDay = (consumedAt) => {
+  const date = new Date(consumedAt * 1000);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const toIsoTime = (consumedAt) => new Date(consumedAt * 1000).toISOString();
+
+// IMDb/TMDB/TVDB ids from a Plex guid ("imdb://tt0111161",
+// "com.plexapp.agents.imdb://tt0111161?lang=en", "com.plexapp.agents.thetvdb://81189/1/2?lang=en").
+// New Plex agent guids ("plex://movie/...") don't carry any
+export function getExternalIds(guid) {
+  const ids = {};
+  const match = /(?:^|\.)(imdb|themoviedb|tmdb|thetvdb|tvdb):\/\/([^/?]+)/.exec(guid || '');
+  if (match) {
+    const [, agent, id] = match;
+    if (agent === 'imdb') ids.imdb = id;
+    if (agent === 'themoviedb' || agent === 'tmdb') ids.tmdb = Number(id);
+    if (agent === 'thetvdb' || agent === 'tvdb') ids.tvdb = Number(id);
+  }
+  return ids;
+}
+
+// Personal rating out of 10 (e.g. imported from Letterboxd), or null
+const getRating = (event) => event.details?.rating ?? null;
+
+// One watch per item and day: a film resumed over several sessions (each its own Tautulli
+// play) is a single watch, from the first session's start, with the time of all of them
+function mergeSessions(events) {
+  const watchesByDay = new Map();
+  [...events]
+    .sort((a, b) => a.consumedAt - b.consumedAt)
+    .forEach(event => {
+      const key = `${event.mediaType}:${event.itemKey}:${toDay(event.consumedAt)}`;
+      const watch = watchesByDay.get(key);
+      if (!watch) {
+        watchesByDay.set(key, event);
+        return;
+      }
+      const percents = [watch.percentComplete, event.percentComplete].filter(percent => percent !== null && percent !== undefined);
+      watchesByDay.set(key, {
+        ...watch,
+        duration: watch.duration === null && event.duration === null ? null : (watch.duration || 0) + (event.duration || 0),
+        percentComplete: percents.length > 0 ? Math.max(...percents) : null
+      });
+    });
+  return Array.from(watchesByDay.values());
+}
+
+// Mark every watch of an item after its first as a rewatch. Done on the full
+// history, so a one-year export still knows about earlier watches
+function withRewatches(events) {
+  const seen = new Set();
+  return [...events]
+    .sort((a, b) => a.consumedAt - b.consumedAt)
+    .map(event => {
+      const key = `${event.mediaType}:${event.itemKey}`;
+      const rewatch = seen.has(key);
+      seen.add(key);
+      return { event, rewatch };
+    });
+}
+
+function toLetterboxdCsv(watches) {
+  const records = watches.map(({ event, rewatch }) => {
+    const ids = getExternalIds(event.details?.guid);
+    const rating = getRating(event);
+    return {
+      Title: event.title,
+      Year: event.releaseYear ?? '',
+      imdbID: ids.imdb || '',
+      tmdbID: ids.tmdb || '',
+      WatchedDate: toDay(event.consumedAt),
+      // Letterboxd rates in half stars out of 5
+      Rating: rating !== null ? Math.round(rating) / 2 : '',
+      Rewatch: rewatch ? 'true' : 'false'
+    };
+  });
+  return toCsv(records, ['Title', 'Year', 'imdbID', 'tmdbID', 'WatchedDate', 'Rating', 'Rewatch']);
+}
+
+function toTraktJson(watches) {
+  const movies = [];
+  const showsByKey = new Map();
+  
+  watches.forEach(({ event }) => {
+    const watchedAt = toIsoTime(event.consumedAt);
+    
+    if (event.mediaType === 'movie') {
+      const rating = getRating(event);
+      movies.push({
+        title: event.title,
+        year: event.releaseYear,
+        ids: getExternalIds(event.details?.guid),
+        watched_at: watchedAt,
+        // Trakt ratings are whole numbers out of 10
+        ...(rating !== null ? { rating: Math.max(1, Math.round(rating)), rated_at: watchedAt } : {})
+      });
+      return;
+    }
+    
+    // Trakt identifies episodes by show, season and episode number
+    if (event.parentNumber === null || event.number === null) {
+      return;
+    }
+    if (!showsByKey.has(event.groupKey)) {
+      // Only the legacy TheTVDB agent puts the show's id in an episode guid
+      const guid = event.details?.guid || '';
+      const ids = guid.startsWith('com.plexapp.agents.thetvdb://') ? getExternalIds(guid) : {};
+      showsByKey.set(event.groupKey, { title: event.groupTitle, ids, seasons: new Map() });
+    }
+    const show = showsByKey.get(event.groupKey);
+    if (!show.seasons.has(event.parentNumber)) {
+      show.seasons.set(event.parentNumber, []);
+    }
+    show.seasons.get(event.parentNumber).push({ number: event.number, watched_at: watchedAt });
+  });
+  
+  const shows = Array.from(showsByKey.values()).map(show => ({
+    title: show.title,
+    ids: show.ids,
+    seasons: Array.from(show.seasons.entries()).map(([number, episodes]) => ({ number, episodes }))
+  }));
+  
+  return JSON.stringify({ movies, shows }, null, 2);
+}
+
+function toPlainCsv(watches) {
+  const records = watches.map(({ event, rewatch }) => ({
+    watched_at: toIsoTime(event.consumedAt),
+    date: toDay(event.consumedAt),
+    media_type: event.mediaType,
+    title: event.title,
+    year: event.releaseYear ?? '',
+    show: event.groupTitle || '',
+    season: event.parentNumber ?? '',
+    episode: event.number ?? '',
+    minutes: event.duration ? Math.round(event.duration / 60) : '',
+    rating: getRating(event) ?? '',
+    rewatch: rewatch ? 'true' : 'false',
+    source: event.source
+  }));
+  return toCsv(records, ['watched_at', 'date', 'media_type', 'title', 'year', 'show', 'season', 'episode', 'minutes', 'rating', 'rewatch', 'source']);
+}
+
+const BUILDERS = {
+  letterboxd: toLetterboxdCsv,
+  trakt: toTraktJson,
+  csv: toPlainCsv
+};
+
+// Export events (newest-first or any order) in one of EXPORT_FORMATS, for a
+// single year or (year = null) the full history. Sessions of an item on the same
+// day count as one watch, and plays that weren't finished are left out.
+// Returns { content, fileName, mimeType }
+export function exportHistory(events, format, { year = null, name = 'watch-history' } = {}) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format "${format}" (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+  
+  const watches = withRewatches(
+    mergeSessions(events.filter(event => !exportFormat.mediaTypes || exportFormat.mediaTypes.includes(event.mediaType)))
+      .filter(event => !isUnfinished(event))
+  ).filter(({ event }) => year === null || new Date(event.consumedAt * 1000).getFullYear() === Number(year));
+  
+  return {
+    content: BUILDERS[format](watches),
+    fileName: `${name}-${year ?? 'all'}-${format}.${exportFormat.extension}`,
+    mimeType: exportFormat.mimeType
+  };
+}
@@ -0,0 +1,48 @@
+// Run with: npm test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportHistory } from './export.js';
+
+// A Tautulli movie play: local noon on the given day (the export's days are local), plus `hours`
+const play = (id, day, { hours = 0, percentComplete = 100, duration = 3600 } = {}) => ({
+  id: `tautulli:${id}`,
+  source: 'tautulli',
+  mediaType: 'movie',
+  consumedAt: new Date(`${day}T12:00:00`).getTime() / 1000 + hours * 3600,
+  itemKey: 1,
+  title: 'Heat',
+  releaseYear: 1995,
+  duration,
+  percentComplete,
+  details: { guid: 'imdb://tt0113277' }
+});
+
+const exportCsv = (events) => exportHistory(events, 'csv').content.trim().split(/\r?\n/).slice(1).map(row => row.split(','));
+
+test('leaves out a play that was given up on', () => {
+  const rows = exportCsv([play(1, '2024-03-01', { percentComplete: 12 }), play(2, '2024-03-08')]);
+  
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0][1], '2024-03-08');
+  // The abandoned play doesn't make the finished one a rewatch
+  assert.equal(rows[0][10], 'false');
+});
+
+test('counts a film resumed later the same day as one watch', () => {
+  const rows = exportCsv([
+    play(1, '2024-03-01', { percentComplete: 45, duration: 2700 }),
+    play(2, '2024-03-01', { hours: 3, percentComplete: 98, duration: 3300 })
+  ]);
+  
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0][1], '2024-03-01');
+  // Minutes of both sessions, not a rewatch
+  assert.equal(rows[0][8], '100');
+  assert.equal(rows[0][10], 'false');
+});
+
+test('marks a finished watch on a later day as a rewatch', () => {
+  const content = exportHistory([play(1, '2024-03-01'), play(2, '2024-05-01')], 'letterboxd').content;
+  
+  assert.deepEqual(content.trim().split(/\r?\n/).slice(1).map(row => row.split(',').at(-1)), ['false', 'true']);
+});
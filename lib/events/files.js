@@ -0,0 +1,86 @@
+// Reading and writing event data files (Node only - not exported from index.js
+// because the browser bundle can't use fs)
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { readConsumptionEvents } from './read.js';
+import { validateEvents, createEventFile, sortEvents } from './schema.js';
+
+// Events stored in a data file, or an empty list if it doesn't exist / can't be parsed
+export function readEventFile(filePath) {
+  if (!existsSync(filePath)) {
+    return [];
+  }
+  
+  try {
+    return readConsumptionEvents(JSON.parse(readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    console.warn(`  Could not read ${filePath}, starting from empty data:`, error.message);
+    return [];
+  }
+}
+
+// Validate events and write them as a data file in the current schema version
+export function writeEventFile(filePath, mediaType, events, metadata = {}) {
+  const fileData = createEventFile(mediaType, validateEvents(sortEvents(events)), metadata);
+  writeFileSync(filePath, JSON.stringify(fileData, null, 2));
+  return fileData;
+}
+
+// Merge fresh events into existing ones, deduplicated by id (fresh events win)
+export function mergeEvents(existingEvents, freshEvents) {
+  const eventsById = new Map();
+  existingEvents.forEach(event => eventsById.set(event.id, event));
+  freshEvents.forEach(event => eventsById.set(event.id, event));
+  return Array.from(eventsById.values());
+}
+
+// Replace every event from one source, keeping events from other sources untouched
+export function replaceSourceEvents(existingEvents, source, freshEvents) {
+  return existingEvents.filter(event => event.source !== source).concat(freshEvents);
+}
+
+// How far (seconds) outside a Tautulli play's start/stop a Plex play of the same item
+// may fall and still be the same play
+export const TAUTULLI_MATCH_WINDOW = 3600;
+
+// Tautulli plays by item: [{ start, end }]
+function getTautulliPlays(events) {
+  const playsByItem = new Map();
+  events
+    .filter(event => event.source === 'tautulli')
+    .forEach(event => {
+      const start = Number(event.details.started) || event.consumedAt;
+      const end = Number(event.details.stopped) || start + (event.duration || 0);
+      const key = String(event.itemKey);
+      if (!playsByItem.has(key)) {
+        playsByItem.set(key, []);
+      }
+      playsByItem.get(key).push({ start, end });
+    });
+  
+  return playsByItem;
+}
+
+// Tautulli watches the same Plex server, so drop the Plex events of a data file that
+// Tautulli also recorded, keeping its richer details. Run by both syncs, as either can
+// run first. A watched item without history (plex:item-<key>) has nothing to match
+// on, so any Tautulli play of the item covers it
+export function withoutTautulliDuplicates(events) {
+  const tautulliPlays = getTautulliPlays(events);
+  if (tautulliPlays.size === 0) {
+    return events;
+  }
+  
+  return events.filter(event => {
+    if (event.source !== 'plex') {
+      return true;
+    }
+    const plays = tautulliPlays.get(String(event.itemKey)) || [];
+    if (event.id.startsWith('plex:item-')) {
+      return plays.length === 0;
+    }
+    return !plays.some(play =>
+      event.consumedAt >= play.start - TAUTULLI_MATCH_WINDOW &&
+      event.consumedAt <= play.end + TAUTULLI_MATCH_WINDOW
+    );
+  });
+}
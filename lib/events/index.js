@@ -0,0 +1,11 @@
+export { SCHEMA_VERSION, MEDIA_TYPES, ARTWORK_DIRS, WATCHED_PERCENT, isUnfinished, validateEvent, validateEvents, createEventFile, sortEvents } from './schema.js';
+export { readConsumptionEvents } from './read.js';
+export { fromTautulliRow, toMetadataBlock } from './tautulli.js';
+export { fromKomgaBook, fromLegacyComicEntry, getKomgaReadDate } from './komga.js';
+export { fromJellyfinItem } from './jellyfin.js';
+export { fromPlexHistoryEntry, fromPlexViewedItem } from './plex.js';
+export { fromKavitaChapter, fromKavitaVolumes, toKavitaSeriesMetadata } from './kavita.js';
+export { fromAudiobookshelfSession, fromAudiobookshelfProgress, indexMediaProgress } from './audiobookshelf.js';
+export { fromLetterboxdDiaryEntry, indexLetterboxdRatings, createMovieMatcher, normalizeMovieTitle } from './letterboxd.js';
+export { EXPORT_FORMATS, exportHistory, getExternalIds } from './export.js';
+export { MANUAL_ENTRIES_FILE, MANUAL_MEDIA_TYPES, fromManualEntry, toManualEntryForm, mergeManualEntries } from './manual.js';
@@ -0,0 +1,50 @@
+// Convert played Jellyfin items into consumption events
+//
+// Jellyfin only keeps the last time an item was played (UserData.LastPlayedDate),
+// so each played movie/episode becomes a single event at that date.
+
+// Jellyfin durations are in ticks of 100 nanoseconds
+const TICKS_PER_SECOND = 10000000;
+
+const toNumberOrNull = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+// Returns null for items that were marked played without a play date
+export function fromJellyfinItem(item) {
+  const lastPlayed = item.UserData?.LastPlayedDate;
+  if (!lastPlayed) {
+    return null;
+  }
+  
+  const isEpisode = item.Type === 'Episode';
+  // Episodes not matched to a series (e.g. loose files in a TV library) are grouped
+  // by their season, or stand on their own
+  const seriesKey = isEpisode ? (item.SeriesId || item.SeasonId || item.Id) : null;
+  
+  return {
+    id: `jellyfin:${item.Id}`,
+    source: 'jellyfin',
+    mediaType: isEpisode ? 'episode' : 'movie',
+    consumedAt: Math.floor(new Date(lastPlayed).getTime() / 1000),
+    itemKey: item.Id,
+    title: item.Name || 'Unknown',
+    releaseYear: toNumberOrNull(item.ProductionYear),
+    releaseDate: item.PremiereDate ? item.PremiereDate.slice(0, 10) : null,
+    duration: item.RunTimeTicks ? Math.round(item.RunTimeTicks / TICKS_PER_SECOND) : null,
+    number: isEpisode ? toNumberOrNull(item.IndexNumber) : null,
+    groupKey: seriesKey,
+    groupTitle: isEpisode ? (item.SeriesName || 'Unknown Show') : null,
+    parentKey: isEpisode ? (item.SeasonId || null) : null,
+    parentTitle: isEpisode ? (item.SeasonName || null) : null,
+    parentNumber: isEpisode ? toNumberOrNull(item.ParentIndexNumber) : null,
+    thumb: null,
+    parentThumb: null,
+    groupThumb: null,
+    // Movies use their own poster, episodes share their series' poster
+    artworkKey: isEpisode ? seriesKey : item.Id,
+    percentComplete: 100,
+    details: {
+      playCount: item.UserData?.PlayCount ?? null,
+      lastPlayedDate: lastPlayed
+    }
+  };
+}
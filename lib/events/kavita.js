@@ -0,0 +1,134 @@
+// Convert Kavita chapters (with reading progress) into consumption events
+//
+// Kavita groups chapters into volumes. Each read chapter becomes one event, with
+// its volume as the parent. details use the same shape as Komga events
+// (readProgress, pagesCount, seriesMetadata, bookMetadata, seriesBookCount) so the comic views
+// don't need to know which server the data came from.
+
+// Kavita's placeholder numbers for "no volume" and "volume without chapters"
+// (-100000 since Kavita 0.8, 0 before)
+const LOOSE_LEAF_NUMBERS = [-100000, 0];
+// Specials are kept in a volume numbered 100000
+const SPECIAL_VOLUME_NUMBER = 100000;
+
+// Kavita publicationStatus values, as the Komga status names the views expect
+const PUBLICATION_STATUSES = {
+  0: 'ONGOING',
+  1: 'HIATUS',
+  2: 'ENDED',
+  3: 'ABANDONED',
+  4: 'ENDED'
+};
+
+const toNumberOrNull = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// Volume or chapter number, or null for Kavita's placeholder numbers
+const toRealNumber = (value) => {
+  const number = toNumberOrNull(value);
+  return number === null || LOOSE_LEAF_NUMBERS.includes(number) || number >= SPECIAL_VOLUME_NUMBER ? null : number;
+};
+
+// Kavita uses 0001-01-01 for "no date"
+const toDateOrNull = (value) => (value && !String(value).startsWith('0001-') ? String(value) : null);
+
+function getChapterReadDate(chapter) {
+  return toDateOrNull(chapter.lastReadingProgressUtc) || toDateOrNull(chapter.lastReadingProgress);
+}
+
+// Series metadata in the shape of Komga's seriesMetadata
+export function toKavitaSeriesMetadata(series, metadata = {}) {
+  return {
+    title: series?.name || null,
+    publisher: metadata.publishers?.[0]?.name || null,
+    genres: (metadata.genres || []).map(genre => genre.title),
+    tags: (metadata.tags || []).map(tag => tag.title),
+    status: PUBLICATION_STATUSES[metadata.publicationStatus] || null,
+    releaseYear: toNumberOrNull(metadata.releaseYear) || null,
+    totalBookCount: toNumberOrNull(metadata.totalCount) || null,
+    summary: metadata.summary || null
+  };
+}
+
+// "Vol. 2 Ch. 14", "Ch. 14" or "Vol. 2"
+function getChapterLabel(volumeNumber, chapterNumber) {
+  return [
+    volumeNumber !== null ? `Vol. ${volumeNumber}` : null,
+    chapterNumber !== null ? `Ch. ${chapterNumber}` : null
+  ].filter(Boolean).join(' ');
+}
+
+// One read chapter of a series. Returns null for chapters that haven't been
+// started or have no reading date. seriesBookCount is the number of chapters
+// the series has in the library
+export function fromKavitaChapter(chapter, volume, series, seriesMetadata = null, seriesBookCount = null) {
+  const readDate = getChapterReadDate(chapter);
+  if (!readDate || !chapter.pagesRead) {
+    return null;
+  }
+  
+  const volumeNumber = toRealNumber(volume?.minNumber ?? volume?.number);
+  const chapterNumber = toRealNumber(chapter.minNumber ?? chapter.number);
+  const pagesCount = toNumberOrNull(chapter.pages);
+  const completed = Boolean(pagesCount) && chapter.pagesRead >= pagesCount;
+  const label = getChapterLabel(volumeNumber, chapterNumber);
+  const releaseDate = toDateOrNull(chapter.releaseDate);
+  const title = chapter.titleName
+    ? [label, chapter.titleName].filter(Boolean).join(': ')
+    : (label || volume?.name || series.name || 'Unknown');
+  
+  return {
+    id: `kavita:${chapter.id}`,
+    source: 'kavita',
+    mediaType: 'comic',
+    consumedAt: Math.floor(new Date(readDate).getTime() / 1000),
+    itemKey: chapter.id,
+    title,
+    releaseYear: releaseDate ? new Date(releaseDate).getFullYear() : null,
+    releaseDate: releaseDate ? releaseDate.slice(0, 10) : null,
+    duration: null,
+    // Volume-only releases (no chapters) are numbered by their volume
+    number: chapterNumber ?? volumeNumber,
+    groupKey: series.id,
+    groupTitle: series.name || 'Unknown',
+    parentKey: volume?.id ?? null,
+    parentTitle: volumeNumber !== null ? `Volume ${volumeNumber}` : null,
+    parentNumber: volumeNumber,
+    thumb: null,
+    parentThumb: null,
+    groupThumb: null,
+    artworkKey: series.id,
+    percentComplete: completed ? 100 : (pagesCount ? Math.round((chapter.pagesRead / pagesCount) * 100) : null),
+    details: {
+      readProgress: { page: chapter.pagesRead, completed, readDate },
+      pagesCount,
+      seriesMetadata: seriesMetadata || toKavitaSeriesMetadata(series),
+      bookMetadata: {
+        title,
+        number: chapterNumber !== null ? String(chapterNumber) : null,
+        volume: volumeNumber,
+        releaseDate: releaseDate ? releaseDate.slice(0, 10) : null,
+        isSpecial: Boolean(chapter.isSpecial)
+      },
+      seriesBookCount
+    }
+  };
+}
+
+// Every read chapter of a series, given its volumes (from /api/Series/volumes)
+export function fromKavitaVolumes(volumes, series, seriesMetadata = null) {
+  const events = [];
+  const chapterCount = volumes.reduce((sum, volume) => sum + (volume.chapters || []).length, 0);
+  volumes.forEach(volume => {
+    (volume.chapters || []).forEach(chapter => {
+      const event = fromKavitaChapter(chapter, volume, series, seriesMetadata, chapterCount || null);
+      if (event) {
+        events.push(event);
+      }
+    });
+  });
+  return events;
+}
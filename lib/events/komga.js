@@ -0,0 +1,97 @@
+// Convert Komga books (with read progress) into consumption events
+
+// Issue release year from the book metadata, or a "(2021)" style year in the title
+function getIssueReleaseYear(bookTitle, releaseDate) {
+  if (releaseDate) {
+    const year = new Date(releaseDate).getFullYear();
+    if (!isNaN(year)) return year;
+  }
+  const yearMatch = bookTitle?.match(/\((\d{4})\)/);
+  return yearMatch ? parseInt(yearMatch[1]) : null;
+}
+
+function toEvent({ id, seriesId, seriesTitle, bookTitle, bookNumber, readDate, readProgress, seriesMetadata, bookMetadata, pagesCount, seriesBookCount }) {
+  const number = bookNumber !== null && bookNumber !== undefined && !isNaN(Number(bookNumber)) ? Number(bookNumber) : null;
+  const releaseDate = bookMetadata?.releaseDate || null;
+  
+  return {
+    id: `komga:${id}`,
+    source: 'komga',
+    mediaType: 'comic',
+    consumedAt: Math.floor(new Date(readDate).getTime() / 1000),
+    itemKey: id,
+    title: bookTitle || 'Unknown',
+    releaseYear: getIssueReleaseYear(bookTitle, releaseDate),
+    releaseDate,
+    duration: null,
+    number,
+    groupKey: seriesId,
+    groupTitle: seriesTitle || 'Unknown',
+    parentKey: null,
+    parentTitle: null,
+    parentNumber: null,
+    thumb: null,
+    parentThumb: null,
+    groupThumb: null,
+    artworkKey: seriesId,
+    percentComplete: readProgress?.completed ? 100 : (pagesCount && readProgress?.page ? Math.round((readProgress.page / pagesCount) * 100) : null),
+    details: {
+      readProgress: readProgress || {},
+      pagesCount: pagesCount || null,
+      seriesMetadata: seriesMetadata || {},
+      bookMetadata: bookMetadata || {},
+      // Books of the series in the library when the data was fetched
+      seriesBookCount: seriesBookCount || null
+    }
+  };
+}
+
+// Komga read date - Komga uses readDate, older versions lastReadAt/completedAt
+export function getKomgaReadDate(readProgress) {
+  return readProgress?.readDate || readProgress?.lastReadAt || readProgress?.completedAt || null;
+}
+
+// Returns null for books without a read date
+export function fromKomgaBook(book, series) {
+  const readDate = getKomgaReadDate(book.readProgress);
+  if (!readDate) {
+    return null;
+  }
+  
+  return toEvent({
+    id: book.id,
+    seriesId: book.seriesId,
+    seriesTitle: series?.name || book.seriesTitle,
+    bookTitle: book.name || book.metadata?.title,
+    bookNumber: book.number ?? book.metadata?.number,
+    readDate,
+    readProgress: book.readProgress,
+    seriesMetadata: series?.metadata,
+    bookMetadata: book.metadata,
+    pagesCount: book.media?.pagesCount,
+    seriesBookCount: series?.booksCount
+  });
+}
+
+// Entries from comic-books.json files written before the event schema existed
+export function fromLegacyComicEntry(entry) {
+  const readDate = entry.lastRead || entry.watchDate || getKomgaReadDate(entry.readProgress) ||
+    (typeof entry.date === 'number' ? new Date(entry.date * 1000).toISOString() : null);
+  if (!readDate) {
+    return null;
+  }
+  
+  return toEvent({
+    id: entry.id,
+    seriesId: entry.seriesId || entry.id,
+    seriesTitle: entry.seriesTitle || entry.title,
+    bookTitle: entry.bookTitle,
+    bookNumber: entry.bookNumber,
+    readDate,
+    readProgress: entry.readProgress,
+    seriesMetadata: entry.seriesMetadata,
+    bookMetadata: entry.bookMetadata,
+    pagesCount: null,
+    seriesBookCount: null
+  });
+}
@@ -0,0 +1,129 @@
+// Convert a Letterboxd export (diary.csv, ratings.csv) into movie consumption events
+//
+// Each diary entry becomes an "external" watch: a movie seen outside the media
+// server (in a theater, on another streaming service). Entries are matched to
+// movies already in the library by title and year, so they share the library
+// movie's itemKey (and so its poster, rankings and rewatch counting).
+
+// Diary dates are calendar days without a time; use midday UTC so the day
+// stays the same in every timezone the site is viewed in
+const toConsumedAt = (day) => Math.floor(Date.parse(`${day}T12:00:00Z`) / 1000);
+
+const toNumberOrNull = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// Letterboxd rates in half stars out of 5; the views show ratings out of 10
+const toTenPointRating = (stars) => {
+  const rating = toNumberOrNull(stars);
+  return rating === null ? null : rating * 2;
+};
+
+// Lowercased title without accents, punctuation or a leading article,
+// so "The Lord of the Rings: The Two Towers" matches "Lord of the Rings - The Two Towers"
+export function normalizeMovieTitle(title) {
+  return String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');
+}
+
+const ratingKey = (name, year) => `${normalizeMovieTitle(name)}|${year}`;
+
+// Map of "title|year" to the latest rating in ratings.csv
+export function indexLetterboxdRatings(ratingRows = []) {
+  const ratings = new Map();
+  ratingRows.forEach(row => {
+    ratings.set(ratingKey(row.Name, row.Year), toTenPointRating(row.Rating));
+  });
+  return ratings;
+}
+
+// Returns a function finding the library movie event for a title and year.
+// Release years can differ by one between Letterboxd and Plex (festival vs
+// theatrical release), so the neighbouring years are tried as well
+export function createMovieMatcher(movieEvents) {
+  const moviesByTitle = new Map();
+  movieEvents.forEach(event => {
+    const title = normalizeMovieTitle(event.title);
+    if (!moviesByTitle.has(title)) {
+      moviesByTitle.set(title, []);
+    }
+    moviesByTitle.get(title).push(event);
+  });
+  
+  return (name, year) => {
+    const candidates = moviesByTitle.get(normalizeMovieTitle(name)) || [];
+    const releaseYear = toNumberOrNull(year);
+    if (releaseYear === null) {
+      return candidates.length === 1 ? candidates[0] : null;
+    }
+    
+    for (const offset of [0, -1, 1]) {
+      const match = candidates.find(event => event.releaseYear === releaseYear + offset);
+      if (match) {
+        return match;
+      }
+    }
+
+    // Library movies without a release year can only be matched by title
+    const undated = candidates.filter(event => event.releaseYear === null);
+    return undated.length === 1 ? undated[0] : null;
+  };
+}
+
+// Id of a movie that isn't in the library, stable across imports
+const externalItemKey = (name, year) =>
+  `letterboxd:${normalizeMovieTitle(name).replace(/ /g, '-')}${year ? `-${year}` : ''}`;
+
+// One diary.csv row. `match` is the library movie event it matched (or null),
+// `ratings` the index from indexLetterboxdRatings. Returns null without a watch date
+export function fromLetterboxdDiaryEntry(entry, match = null, ratings = new Map()) {
+  const watchedDate = entry['Watched Date'] || entry.Date;
+  if (!watchedDate || !entry.Name) {
+    return null;
+  }
+  
+  const releaseYear = toNumberOrNull(entry.Year);
+  // Diary URIs (https://boxd.it/<id>) are unique per diary entry
+  const entryId = entry['Letterboxd URI']?.split('/').filter(Boolean).pop();
+  const rating = toTenPointRating(entry.Rating) ?? ratings.get(ratingKey(entry.Name, entry.Year)) ?? null;
+  
+  return {
+    id: `letterboxd:${entryId || `${externalItemKey(entry.Name, releaseYear)}-${watchedDate}`}`,
+    source: 'letterboxd',
+    mediaType: 'movie',
+    consumedAt: toConsumedAt(watchedDate),
+    itemKey: match ? match.itemKey : externalItemKey(entry.Name, releaseYear),
+    title: match ? match.title : entry.Name,
+    releaseYear: match?.releaseYear ?? releaseYear,
+    releaseDate: match?.releaseDate || null,
+    // Letterboxd doesn't know how long the movie is, so use the library's
+    duration: match?.duration ?? null,
+    number: null,
+    groupKey: null,
+    groupTitle: null,
+    parentKey: null,
+    parentTitle: null,
+    parentNumber: null,
+    thumb: match?.thumb || null,
+    parentThumb: null,
+    groupThumb: null,
+    artworkKey: match?.artworkKey ?? null,
+    percentComplete: 100,
+    details: {
+      external: true,
+      letterboxdUri: entry['Letterboxd URI'] || null,
+      loggedDate: entry.Date || null,
+      rating,
+      rewatch: entry.Rewatch === 'Yes',
+      tags: entry.Tags ? entry.Tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
+    }
+  };
+}
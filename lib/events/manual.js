@@ -0,0 +1,126 @@
+// Manual entries: things watched or read that never touched a media server
+// (a cinema visit, a borrowed comic, a friend's Netflix), added from the admin panel.
+//
+// They are stored as consumption events of several media types in one overlay
+// file, public/data/manual-entries.json, which the Movies, TV and Comics views
+// merge with the fetched data. Fetch scripts never touch that file.
+
+export const MANUAL_ENTRIES_FILE = 'manual-entries.json';
+
+// Media types a manual entry can have, and what the admin form calls their group
+export const MANUAL_MEDIA_TYPES = {
+  movie: { label: 'Movie', groupLabel: null },
+  episode: { label: 'TV Episode', groupLabel: 'Show' },
+  comic: { label: 'Comic', groupLabel: 'Series' }
+};
+
+const slugify = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-|-$/g, '') || 'untitled';
+
+const toNumberOrNull = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// Build the event for a manual entry from the admin form
+// ({ mediaType, title, date: 'YYYY-MM-DD', groupTitle, number, notes }).
+// `id` identifies the entry, `artworkKey` its uploaded poster (if any).
+// Throws an error naming the first missing or invalid field
+export function fromManualEntry(entry, { id, artworkKey = null, createdAt = new Date().toISOString() }) {
+  const mediaType = MANUAL_MEDIA_TYPES[entry.mediaType] ? entry.mediaType : null;
+  const title = String(entry.title || '').trim();
+  const groupTitle = String(entry.groupTitle || '').trim();
+  
+  if (!mediaType) {
+    throw new Error(`mediaType must be one of ${Object.keys(MANUAL_MEDIA_TYPES).join(', ')}`);
+  }
+  if (!title) {
+    throw new Error('title is required');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '') || isNaN(Date.parse(entry.date))) {
+    throw new Error('date must be a YYYY-MM-DD date');
+  }
+  
+  const isGrouped = MANUAL_MEDIA_TYPES[mediaType].groupLabel !== null;
+  if (isGrouped && !groupTitle) {
+    throw new Error(`${MANUAL_MEDIA_TYPES[mediaType].groupLabel.toLowerCase()} is required for a ${MANUAL_MEDIA_TYPES[mediaType].label.toLowerCase()}`);
+  }
+  
+  // Keys come from the titles, so several entries for the same movie/show/series
+  // group together (and the views merge them with library items of the same title)
+  const groupKey = isGrouped ? `manual:${slugify(groupTitle)}` : null;
+  
+  return {
+    id: `manual:${id}`,
+    source: 'manual',
+    mediaType,
+    // A calendar day without a time; midday UTC keeps it on that day in every timezone
+    consumedAt: Math.floor(Date.parse(`${entry.date}T12:00:00Z`) / 1000),
+    itemKey: isGrouped ? `${groupKey}:${slugify(title)}` : `manual:${slugify(title)}`,
+    title,
+    releaseYear: null,
+    releaseDate: null,
+    duration: null,
+    number: toNumberOrNull(entry.number),
+    groupKey,
+    groupTitle: isGrouped ? groupTitle : null,
+    parentKey: null,
+    parentTitle: null,
+    parentNumber: null,
+    thumb: null,
+    parentThumb: null,
+    groupThumb: null,
+    artworkKey,
+    percentComplete: 100,
+    details: {
+      external: true,
+      notes: String(entry.notes || '').trim() || null,
+      createdAt,
+      updatedAt: new Date().toISOString()
+    }
+  };
+}
+
+// The admin form fields of a manual entry event (the inverse of fromManualEntry)
+export function toManualEntryForm(event) {
+  const date = new Date(event.consumedAt * 1000).toISOString().slice(0, 10);
+  return {
+    mediaType: event.mediaType,
+    title: event.title,
+    date,
+    groupTitle: event.groupTitle || '',
+    number: event.number ?? '',
+    notes: event.details.notes || ''
+  };
+}
+
+const normalizeTitle = (title) => (title || '').toLowerCase().trim();
+
+// Add manual entries to fetched events. Entries for a movie, show or series that
+// is already in the fetched data take its keys (and artwork, unless they have their
+// own poster), so the views and exports group them with it
+export function mergeManualEntries(events, manualEvents) {
+  const eventsByTitle = new Map();
+  events.forEach(event => {
+    const title = normalizeTitle(event.groupTitle || event.title);
+    if (!eventsByTitle.has(title)) {
+      eventsByTitle.set(title, event);
+    }
+  });
+  
+  return events.concat(manualEvents.map(manual => {
+    const match = eventsByTitle.get(normalizeTitle(manual.groupTitle || manual.title));
+    if (!match) {
+      return manual;
+    }
+    const artworkKey = manual.artworkKey ?? match.artworkKey;
+    return manual.groupKey !== null
+      ? { ...manual, groupKey: match.groupKey, artworkKey }
+      : { ...manual, itemKey: match.itemKey, artworkKey };
+  }));
+}
@@ -0,0 +1,103 @@
+// Convert Plex play history and watched library items into consumption events
+//
+// Plex history entries (/status/sessions/history/all) only say what was played
+// and when, so they are combined with the library item for runtime, year, etc.
+// Watched items without any history entry (e.g. history was cleared) become a
+// single event at their lastViewedAt.
+
+const PLEX_MEDIA_TYPES = ['movie', 'episode'];
+
+const toNumberOrNull = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+// Plex returns rating keys as strings; Tautulli (and the rankings) use numbers
+const toKey = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return isNaN(number) ? value : number;
+};
+
+// "/library/metadata/123" -> 123
+const keyFromPath = (path) => (path ? toKey(String(path).split('/').pop()) : null);
+
+const toStringOrNull = (value) => (value ? String(value) : null);
+
+function buildEvent({ id, consumedAt, entry, item, details }) {
+  const source = { ...entry, ...item };
+  const isEpisode = source.type === 'episode';
+  const itemKey = toKey(source.ratingKey);
+  const groupKey = isEpisode ? (toKey(source.grandparentRatingKey) ?? keyFromPath(source.grandparentKey)) : null;
+  const parentKey = isEpisode ? (toKey(source.parentRatingKey) ?? keyFromPath(source.parentKey)) : null;
+  
+  return {
+    id,
+    source: 'plex',
+    mediaType: source.type,
+    consumedAt,
+    itemKey,
+    title: source.title || 'Unknown',
+    releaseYear: toNumberOrNull(source.year),
+    releaseDate: toStringOrNull(source.originallyAvailableAt),
+    // Plex durations are in milliseconds; history only records finished plays
+    duration: source.duration ? Math.round(source.duration / 1000) : null,
+    number: isEpisode ? toNumberOrNull(source.index) : null,
+    groupKey,
+    groupTitle: isEpisode ? (source.grandparentTitle || 'Unknown Show') : null,
+    parentKey,
+    parentTitle: isEpisode ? toStringOrNull(source.parentTitle) : null,
+    parentNumber: isEpisode ? toNumberOrNull(source.parentIndex) : null,
+    thumb: toStringOrNull(source.thumb),
+    parentThumb: toStringOrNull(source.parentThumb),
+    groupThumb: toStringOrNull(source.grandparentThumb),
+    // Same keys as Tautulli, so both sources share the downloaded posters
+    artworkKey: isEpisode ? (groupKey || parentKey || itemKey) : itemKey,
+    percentComplete: 100,
+    details
+  };
+}
+
+// One history entry, with its library item if it is still in the library.
+// Returns null for entries that aren't movies or episodes (tracks, photos, ...)
+export function fromPlexHistoryEntry(entry, item = null) {
+  if (!PLEX_MEDIA_TYPES.includes(entry.type) || !entry.viewedAt) {
+    return null;
+  }
+  
+  return buildEvent({
+    id: `plex:${keyFromPath(entry.historyKey) ?? `${entry.ratingKey}-${entry.viewedAt}`}`,
+    consumedAt: Number(entry.viewedAt),
+    entry,
+    item,
+    details: {
+      historyKey: entry.historyKey || null,
+      viewedAt: entry.viewedAt,
+      accountID: entry.accountID ?? null,
+      deviceID: entry.deviceID ?? null,
+      librarySectionID: entry.librarySectionID ?? null,
+      viewCount: item?.viewCount ?? null
+    }
+  });
+}
+
+// A watched library item with no history entries, dated at its last view.
+// Returns null for unwatched items
+export function fromPlexViewedItem(item) {
+  if (!PLEX_MEDIA_TYPES.includes(item.type) || !item.viewCount || !item.lastViewedAt) {
+    return null;
+  }
+  
+  return buildEvent({
+    id: `plex:item-${item.ratingKey}`,
+    consumedAt: Number(item.lastViewedAt),
+    entry: {},
+    item,
+    details: {
+      viewCount: item.viewCount,
+      lastViewedAt: item.lastViewedAt,
+      librarySectionID: item.librarySectionID ?? null
+    }
+  });
+}
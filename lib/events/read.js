@@ -0,0 +1,28 @@
+import { SCHEMA_VERSION } from './schema.js';
+import { fromTautulliRow } from './tautulli.js';
+import { fromLegacyComicEntry } from './komga.js';
+
+// Read the events from a data file. Files written before the event schema existed
+// (raw Tautulli get_history dumps and the old comic-books.json shape) are converted
+// on the fly so existing data keeps working until it is re-fetched.
+export function readConsumptionEvents(fileData) {
+  if (!fileData) {
+    return [];
+  }
+  
+  if (fileData.schemaVersion !== undefined) {
+    if (fileData.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Data file uses schema v${fileData.schemaVersion}, but only v${SCHEMA_VERSION} is supported. Please update the app.`);
+    }
+    return fileData.events || [];
+  }
+  
+  const rows = fileData.response?.data?.data || fileData.response?.data || fileData.data || [];
+  if (!Array.isArray(rows)) {
+    return [];
+  }
+  
+  return rows
+    .map(row => (row.seriesId || row.bookTitle ? fromLegacyComicEntry(row) : fromTautulliRow(row)))
+    .filter(event => event !== null);
+}
@@ -0,0 +1,148 @@
+// Consumption event schema
+//
+// Every fetch script writes its data file as a list of "consumption events":
+// one event per time something was watched or read. Views only read these
+// fields, so a new media source just has to produce valid events.
+//
+// Data file shape:
+//   {
+//     schemaVersion: 1,
+//     mediaType: 'movie',          // media type of the events in this file
+//     events: [ ...events ],
+//     _metadata: { lastFetched, itemCount, ... }
+//   }
+//
+// Event fields (version 1):
+//   id              string, required   Unique event id, "<source>:<source event id>"
+//   source          string, required   Where the event came from ('tautulli', 'komga', 'kavita', ...)
+//   mediaType       string, required   One of MEDIA_TYPES
+//   consumedAt      number, required   Unix timestamp (seconds) of the play/read
+//   itemKey         string|number, required  Stable id of the item (Plex rating_key, Komga book id, Kavita chapter id)
+//   title           string, required   Item title (movie, episode, issue, audiobook, podcast episode or track title)
+//   releaseYear     number|null        Year the item was released
+//   releaseDate     string|null        ISO date the item was released
+//   duration        number|null        Seconds spent on this play/read
+//   number          number|null        Episode number within the season, issue number or track number
+//   groupKey        string|number|null Show (episodes), series (comics), podcast or artist (tracks) id, required for those types
+//   groupTitle      string|null        Show, series, podcast or artist title, required for those types
+//   parentKey       string|number|null Season (episodes), volume (Kavita comics) or album (tracks) id
+//   parentTitle     string|null        Season, volume or album title
+//   parentNumber    number|null        Season or volume number
+//   thumb           string|null        Source artwork path of the item
+//   parentThumb     string|null        Source artwork path of the season
+//   groupThumb      string|null        Source artwork path of the show/series
+//   artworkKey      string|number|null File name (without extension) of the local artwork
+//                                      in ARTWORK_DIRS[mediaType]
+//   percentComplete number|null        0-100, how much of the item was finished
+//   details         object, required   Source-specific extras, keyed as the source names them
+
+export const SCHEMA_VERSION = 1;
+
+export const MEDIA_TYPES = ['movie', 'episode', 'comic', 'audiobook', 'podcast', 'track'];
+
+// Media types that belong to a show/series and must carry groupKey/groupTitle
+const GROUPED_MEDIA_TYPES = ['episode', 'comic', 'podcast', 'track'];
+
+// public/data subdirectory holding the local artwork for each media type
+export const ARTWORK_DIRS = {
+  movie: 'posters',
+  episode: 'posters',
+  comic: 'covers',
+  audiobook: 'covers',
+  podcast: 'covers',
+  track: 'album-art',
+};
+
+// Plex marks a movie watched at 90%, so anything less was given up on (or is still going)
+export const WATCHED_PERCENT = 90;
+
+// Whether a play stopped short of WATCHED_PERCENT (sources that don't say count as finished)
+export const isUnfinished = (event) => event.percentComplete !== null && event.percentComplete !== undefined &&
+  event.percentComplete < WATCHED_PERCENT;
+
+const isNullableNumber = (value) => value === null || (typeof value === 'number' && !isNaN(value));
+const isNullableString = (value) => value === null || typeof value === 'string';
+const isKey = (value) => (typeof value === 'string' && value !== '') || typeof value === 'number';
+
+// Returns a list of problems with a single event (empty if valid)
+export function validateEvent(event) {
+  const errors = [];
+  
+  if (!event || typeof event !== 'object') {
+    return ['event is not an object'];
+  }
+  
+  if (typeof event.id !== 'string' || event.id === '') errors.push('id must be a non-empty string');
+  if (typeof event.source !== 'string' || event.source === '') errors.push('source must be a non-empty string');
+  if (!MEDIA_TYPES.includes(event.mediaType)) errors.push(`mediaType must be one of ${MEDIA_TYPES.join(', ')}`);
+  if (!Number.isInteger(event.consumedAt) || event.consumedAt <= 0) errors.push('consumedAt must be a Unix timestamp in seconds');
+  if (!isKey(event.itemKey)) errors.push('itemKey must be a string or number');
+  if (typeof event.title !== 'string' || event.title.trim() === '') errors.push('title must be a non-empty string');
+  
+  ['releaseYear', 'duration', 'number', 'parentNumber', 'percentComplete'].forEach(field => {
+    if (!isNullableNumber(event[field])) errors.push(`${field} must be a number or null`);
+  });
+  ['releaseDate', 'groupTitle', 'parentTitle', 'thumb', 'parentThumb', 'groupThumb'].forEach(field => {
+    if (!isNullableString(event[field])) errors.push(`${field} must be a string or null`);
+  });
+  ['groupKey', 'parentKey', 'artworkKey'].forEach(field => {
+    if (event[field] !== null && !isKey(event[field])) errors.push(`${field} must be a string, number or null`);
+  });
+  
+  if (GROUPED_MEDIA_TYPES.includes(event.mediaType) && (!isKey(event.groupKey) || !event.groupTitle)) {
+    errors.push(`${event.mediaType} events need a groupKey and groupTitle`);
+  }
+  if (event.percentComplete !== null && (event.percentComplete < 0 || event.percentComplete > 100)) {
+    errors.push('percentComplete must be between 0 and 100');
+  }
+  if (!event.details || typeof event.details !== 'object' || Array.isArray(event.details)) {
+    errors.push('details must be an object');
+  }
+  
+  return errors;
+}
+
+// Validate a list of events, throwing an error describing the first few problems
+export function validateEvents(events) {
+  const problems = [];
+  const seenIds = new Set();
+  
+  events.forEach((event, index) => {
+    const label = event?.id || `#${index}`;
+    validateEvent(event).forEach(error => problems.push(`${label}: ${error}`));
+    
+    if (event?.id) {
+      if (seenIds.has(event.id)) {
+        problems.push(`${label}: duplicate id`);
+      }
+      seenIds.add(event.id);
+    }
+  });
+  
+  if (problems.length > 0) {
+    const shown = problems.slice(0, 10).join('\n  ');
+    const more = problems.length > 10 ? `\n  ...and ${problems.length - 10} more` : '';
+    throw new Error(`Invalid consumption events (schema v${SCHEMA_VERSION}):\n  ${shown}${more}`);
+  }
+  
+  return events;
+}
+
+// Build a data file in the current schema version
+export function createEventFile(mediaType, events, metadata = {}) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    mediaType,
+    events,
+    _metadata: {
+      lastFetched: new Date().toISOString(),
+      itemCount: events.length,
+      ...metadata
+    }
+  };
+}
+
+// Sort events newest first
+export function sortEvents(events) {
+  return events.sort((a, b) => b.consumedAt - a.consumedAt);
+}
@@ -0,0 +1,94 @@
+// Convert Tautulli get_history rows into consumption events
+
+// Tautulli fields kept in event.details
+const DETAIL_FIELDS = [
+  'row_id', 'reference_id', 'started', 'stopped', 'play_duration', 'paused_counter',
+  'user', 'friendly_name', 'platform', 'product', 'player', 'location',
+  'percent_complete', 'watched_status', 'full_title', 'original_title',
+  'guid', 'live', 'transcode_decision'
+];
+
+const toNumberOrNull = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+const toKeyOrNull = (value) => (value === '' || value === null || value === undefined ? null : value);
+
+const toStringOrNull = (value) => (value ? String(value) : null);
+
+export function fromTautulliRow(row) {
+  const isEpisode = row.media_type === 'episode';
+  const isTrack = row.media_type === 'track';
+  // Episodes belong to a season and show, tracks to an album and artist
+  const isGrouped = isEpisode || isTrack;
+  const rowId = row.row_id || row.id;
+  
+  const details = {};
+  DETAIL_FIELDS.forEach(field => {
+    if (row[field] !== undefined) {
+      details[field] = row[field];
+    }
+  });
+  
+  const groupKey = isGrouped ? toKeyOrNull(row.grandparent_rating_key) : null;
+  const parentKey = isGrouped ? toKeyOrNull(row.parent_rating_key) : null;
+  
+  return {
+    id: `tautulli:${rowId}`,
+    source: 'tautulli',
+    mediaType: row.media_type,
+    consumedAt: Number(row.date),
+    itemKey: row.rating_key,
+    title: row.title || row.full_title || 'Unknown',
+    releaseYear: toNumberOrNull(row.year),
+    releaseDate: toStringOrNull(row.originally_available_at),
+    duration: toNumberOrNull(row.duration),
+    number: isGrouped ? toNumberOrNull(row.media_index) : null,
+    groupKey,
+    groupTitle: isGrouped ? (row.grandparent_title || row.parent_title || (isTrack ? 'Unknown Artist' : 'Unknown Show')) : null,
+    parentKey,
+    parentTitle: isGrouped ? toStringOrNull(row.parent_title) : null,
+    parentNumber: isEpisode ? toNumberOrNull(row.parent_media_index) : null,
+    thumb: toStringOrNull(row.thumb),
+    parentThumb: toStringOrNull(row.parent_thumb),
+    groupThumb: toStringOrNull(row.grandparent_thumb),
+    // Movies use their own poster, episodes share their show's poster and tracks their album's art
+    artworkKey: isTrack
+      ? (parentKey || groupKey || row.rating_key)
+      : isEpisode ? (groupKey || parentKey || row.rating_key) : row.rating_key,
+    percentComplete: toNumberOrNull(row.percent_complete),
+    details
+  };
+}
+
+// Number of cast members kept in a metadata block (Plex lists them in billing order)
+const CAST_LIMIT = 10;
+
+// Where Plex's ratings come from: "rottentomatoes://image.rating.ripe" -> "rottentomatoes"
+const getRatingSource = (ratingImage) => (ratingImage ? ratingImage.split('://')[0] : null);
+
+// Compact block of a Tautulli get_metadata response's data, kept on events as
+// details.metadata. Null when Tautulli has nothing for the item (e.g. it was
+// removed from Plex)
+export function toMetadataBlock(metadata) {
+  if (!metadata?.rating_key) {
+    return null;
+  }
+  const runtime = toNumberOrNull(metadata.duration);
+  return {
+    genres: metadata.genres || [],
+    directors: metadata.directors || [],
+    cast: (metadata.actors || []).slice(0, CAST_LIMIT),
+    studio: toStringOrNull(metadata.studio),
+    contentRating: toStringOrNull(metadata.content_rating),
+    // Plex durations are in milliseconds
+    runtime: runtime ? Math.round(runtime / 1000) : null,
+    ratings: {
+      critic: toNumberOrNull(metadata.rating),
+      audience: toNumberOrNull(metadata.audience_rating),
+      source: getRatingSource(metadata.rating_image || metadata.audience_rating_image)
+    }
+  };
+}
@@ -0,0 +1,39 @@
+// Checking downloaded artwork files (Node only - not exported from index.js)
+import { readFileSync } from 'fs';
+import sharp from 'sharp';
+
+// Leading bytes of the formats the artwork servers send (all saved as .jpg)
+const IMAGE_SIGNATURES = [
+  [0xff, 0xd8, 0xff], // JPEG
+  [0x89, 0x50, 0x4e, 0x47], // PNG
+  [0x47, 0x49, 0x46, 0x38], // GIF
+  [0x52, 0x49, 0x46, 0x46] // RIFF (WebP)
+];
+
+// Why an artwork file is unusable - 'empty file', 'not an image (...)' or
+// 'corrupt image (...)' for truncated/undecodable data - or null if it's fine
+export function checkImageFile(filePath) {
+  return checkImageBuffer(readFileSync(filePath));
+}
+
+// The same check for image data not saved yet (e.g. an uploaded poster)
+export async function checkImageBuffer(buffer) {
+  if (buffer.length === 0) {
+    return 'empty file';
+  }
+  
+  if (!IMAGE_SIGNATURES.some(signature => signature.every((byte, i) => buffer[i] === byte))) {
+    // Usually an HTML or JSON error page saved in place of the image
+    const preview = buffer.subarray(0, 24).toString('utf8').replace(/[^\x20-\x7e]/g, '.');
+    return `not an image (starts with "${preview}")`;
+  }
+  
+  try {
+    // Decode every pixel so truncated downloads fail too
+    await sharp(buffer, { failOn: 'truncated' }).stats();
+  } catch (error) {
+    return `corrupt image (${error.message})`;
+  }
+  
+  return null;
+}
@@ -0,0 +1,37 @@
+// Responsive artwork: smaller copies of every poster/cover in modern formats,
+// generated next to the original JPEG by the fetch pipeline (see variants.js)
+// and listed in a manifest so the site can serve them with srcset.
+//
+// For public/data/posters/1234.jpg the variants are posters/1234-160.avif,
+// posters/1234-160.webp, posters/1234-320.avif, ... up to the original's width.
+
+export const IMAGE_MANIFEST_FILE = 'image-manifest.json';
+
+// Variant widths (px): the top-3 strip and ranking thumbnails, the poster grid,
+// and the poster grid on high-density screens
+export const IMAGE_WIDTHS = [160, 320, 640];
+
+// Most preferred first; the browser picks the first <source> type it supports
+export const IMAGE_FORMATS = [
+  { extension: 'avif', type: 'image/avif' },
+  { extension: 'webp', type: 'image/webp' }
+];
+
+// public/data/<dir>/<key>.jpg, optionally with a cache-busting query string
+const ARTWORK_URL_PATTERN = /\/([^/]+)\/([^/?#]+)\.jpg(?:[?#].*)?$/;
+
+// <source> elements ({ type, srcSet }) for an artwork URL, or null when the
+// manifest has no variants for it (proxied, remote or not yet processed artwork)
+export function getImageSources(manifest, url) {
+  const match = typeof url === 'string' && url.match(ARTWORK_URL_PATTERN);
+  const widths = match && manifest?.images?.[match[1]]?.[match[2]];
+  if (!widths || widths.length === 0) {
+    return null;
+  }
+  
+  const base = `${url.slice(0, match.index)}/${match[1]}/${match[2]}`;
+  return IMAGE_FORMATS.map(({ extension, type }) => ({
+    type,
+    srcSet: widths.map(width => `${base}-${width}.${extension} ${width}w`).join(', ')
+  }));
+}
@@ -0,0 +1,133 @@
+// Generating the responsive artwork variants and their manifest (Node only - not
+// exported from index.js because the browser bundle can't use fs or sharp)
+import { readdirSync, readFileSync, writeFileSync, existsSync, statSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import sharp from 'sharp';
+import { ARTWORK_DIRS } from '../events/schema.js';
+import { IMAGE_MANIFEST_FILE, IMAGE_WIDTHS, IMAGE_FORMATS } from './index.js';
+
+// Encoder quality per format - posters are viewed small, so artifacts hardly show
+const QUALITY = { avif: 50, webp: 75 };
+
+// Widths to generate for an original `sourceWidth` px wide: the configured widths
+// below it, topped off with the original width (never upscaled)
+export function getVariantWidths(sourceWidth) {
+  const largest = Math.min(sourceWidth, Math.max(...IMAGE_WIDTHS));
+  return [...IMAGE_WIDTHS.filter(width => width < largest), largest];
+}
+
+const getVariantPaths = (dir, key, widths) => widths.flatMap(width =>
+  IMAGE_FORMATS.map(({ extension }) => join(dir, `${key}-${width}.${extension}`))
+);
+
+const removeFiles = (paths) => {
+  paths.filter(path => existsSync(path)).forEach(path => unlinkSync(path));
+};
+
+// The manifest from the previous run, or an empty one
+function readManifest(manifestPath) {
+  if (!existsSync(manifestPath)) {
+    return { images: {} };
+  }
+  
+  try {
+    return JSON.parse(readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    console.warn(`  Could not read ${manifestPath}, regenerating all image variants:`, error.message);
+    return { images: {} };
+  }
+}
+
+// Variants are current when all of them exist and none is older than the original
+function hasCurrentVariants(dir, key, widths, sourcePath) {
+  if (!widths || widths.length === 0) {
+    return false;
+  }
+  
+  const sourceModified = statSync(sourcePath).mtimeMs;
+  return getVariantPaths(dir, key, widths).every(path => existsSync(path) && statSync(path).mtimeMs >= sourceModified);
+}
+
+async function generateVariants(dir, key, sourcePath) {
+  const { width } = await sharp(sourcePath).metadata();
+  if (!width) {
+    throw new Error('Could not read image width');
+  }
+  
+  const widths = getVariantWidths(width);
+  for (const variantWidth of widths) {
+    for (const { extension } of IMAGE_FORMATS) {
+      await sharp(sourcePath)
+        .resize({ width: variantWidth })
+        .toFormat(extension, { quality: QUALITY[extension] })
+        .toFile(join(dir, `${key}-${variantWidth}.${extension}`));
+    }
+  }
+  return widths;
+}
+
+// Create the missing or outdated variants of every JPEG in the artwork directories
+// under dataDir, remove the variants of deleted originals and write the manifest.
+// `force` regenerates everything (e.g. after changing IMAGE_WIDTHS or QUALITY)
+export async function generateImageVariants(dataDir, { force = false, onProgress } = {}) {
+  const manifestPath = join(dataDir, IMAGE_MANIFEST_FILE);
+  const previous = readManifest(manifestPath);
+  const images = {};
+  const counts = { generated: 0, skipped: 0, failed: 0, removed: 0 };
+  
+  for (const dirName of new Set(Object.values(ARTWORK_DIRS))) {
+    const dir = join(dataDir, dirName);
+    if (!existsSync(dir)) {
+      continue;
+    }
+    
+    const previousImages = previous.images?.[dirName] || {};
+    const keys = readdirSync(dir)
+      .filter(file => file.endsWith('.jpg'))
+      .map(file => file.slice(0, -'.jpg'.length));
+    const keySet = new Set(keys);
+    images[dirName] = {};
+    
+    for (const key of keys) {
+      const sourcePath = join(dir, `${key}.jpg`);
+      const previousWidths = previousImages[key];
+      
+      if (!force && hasCurrentVariants(dir, key, previousWidths, sourcePath)) {
+        images[dirName][key] = previousWidths;
+        counts.skipped++;
+        continue;
+      }
+      
+      try {
+        const widths = await generateVariants(dir, key, sourcePath);
+        // A re-downloaded original can be narrower than the last one
+        removeFiles(getVariantPaths(dir, key, (previousWidths || []).filter(width => !widths.includes(width))));
+        images[dirName][key] = widths;
+        counts.generated++;
+      } catch (error) {
+        console.warn(`  ⚠️  Could not generate variants for ${dirName}/${key}.jpg:`, error.message);
+        removeFiles(getVariantPaths(dir, key, previousWidths || []));
+        counts.failed++;
+      }
+      
+      onProgress?.(counts);
+    }
+    
+    // Originals that no longer exist
+    for (const [key, widths] of Object.entries(previousImages)) {
+      if (!keySet.has(key)) {
+        removeFiles(getVariantPaths(dir, key, widths));
+        counts.removed++;
+      }
+    }
+  }
+  
+  writeFileSync(manifestPath, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    widths: IMAGE_WIDTHS,
+    formats: IMAGE_FORMATS.map(({ extension }) => extension),
+    images
+  }, null, 2));
+  
+  return counts;
+}
@@ -0,0 +1,344 @@
+import dotenv from 'dotenv';
+import { readdirSync, readFileSync, writeFileSync, existsSync, unlinkSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { createTautulliClient } from '../lib/clients/tautulli.js';
+import { createPlexClient } from '../lib/clients/plex.js';
+import { createJellyfinClient } from '../lib/clients/jellyfin.js';
+import { createKomgaClient } from '../lib/clients/komga.js';
+import { createKavitaClient } from '../lib/clients/kavita.js';
+import { createAudiobookshelfClient } from '../lib/clients/audiobookshelf.js';
+import { fetchPlexArtwork, saveImage, ARTWORK_VERSIONS_FILE, readArtworkVersions, writeArtworkVersions } from '../lib/clients/artwork.js';
+import { readConsumptionEvents, ARTWORK_DIRS, MANUAL_ENTRIES_FILE, MANUAL_MEDIA_TYPES } from '../lib/events/index.js';
+import { checkImageFile } from '../lib/images/check.js';
+import { generateImageVariants } from '../lib/images/variants.js';
+import { IMAGE_MANIFEST_FILE } from '../lib/images/index.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const USAGE = 'Usage: npm run check-artwork -- [--dry-run] [--report artwork-report.json]';
+
+// Every data file whose events reference artwork, with the media types it holds
+const DATA_FILES = {
+  'movies.json': ['movie'],
+  'tv-shows.json': ['episode'],
+  'music.json': ['track'],
+  'comic-books.json': ['comic'],
+  'audiobooks.json': ['audiobook'],
+  'podcasts.json': ['podcast'],
+  [MANUAL_ENTRIES_FILE]: Object.keys(MANUAL_MEDIA_TYPES)
+};
+
+// Uploaded manual entry posters are saved as "manual-<id>-<version>.jpg" (see server.js)
+const MANUAL_POSTER_PREFIX = 'manual-';
+
+// "--name value" or "--name=value"
+function getOption(args, name) {
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) {
+    return null;
+  }
+  return args[index].includes('=') ? args[index].split('=').slice(1).join('=') : args[index + 1] ?? null;
+}
+
+// The Plex thumb the fetch scripts download for an event (or its season poster)
+function getPlexThumbPath(event, season) {
+  const thumbPath = season
+    ? event.parentThumb
+    : event.mediaType === 'episode'
+      ? (event.groupThumb || event.parentThumb || event.thumb)
+      : event.mediaType === 'track' ? (event.parentThumb || event.thumb) : event.thumb;
+  if (!thumbPath) {
+    throw new Error('No thumb path');
+  }
+  return thumbPath;
+}
+
+// How to download an event's artwork (or with `season`, its season poster) again, per
+// event source - for the servers configured in .env. Sources without an entry (manual
+// uploads, Letterboxd) can't be re-downloaded
+function createArtworkDownloaders() {
+  const env = process.env;
+  const downloaders = {};
+  const plex = createPlexClient({ url: env.PLEX_URL, token: env.PLEX_TOKEN });
+  
+  if (env.TAUTULLI_URL && env.TAUTULLI_API_KEY) {
+    const tautulli = createTautulliClient({ url: env.TAUTULLI_URL, apiKey: env.TAUTULLI_API_KEY });
+    downloaders.tautulli = (event, { season }) => fetchPlexArtwork(getPlexThumbPath(event, season), { tautulli, plex });
+  }
+  
+  if (plex.isConfigured) {
+    downloaders.plex = (event, { season }) => plex.getImage(getPlexThumbPath(event, season));
+  }
+  
+  if (env.JELLYFIN_URL && env.JELLYFIN_API_KEY) {
+    const jellyfin = createJellyfinClient({ url: env.JELLYFIN_URL, apiKey: env.JELLYFIN_API_KEY });
+    downloaders.jellyfin = (event) => jellyfin.getPrimaryImage(event.artworkKey);
+  }
+  
+  if (env.KOMGA_URL && env.KOMGA_API_KEY) {
+    const komga = createKomgaClient({ url: env.KOMGA_URL, apiKey: env.KOMGA_API_KEY });
+    downloaders.komga = (event) => komga.getSeriesThumbnail(event.artworkKey);
+  }
+  
+  if (env.KAVITA_URL && env.KAVITA_API_KEY) {
+    const kavita = createKavitaClient({ url: env.KAVITA_URL, apiKey: env.KAVITA_API_KEY });
+    downloaders.kavita = (event) => kavita.getSeriesCover(event.artworkKey);
+  }
+  
+  if (env.AUDIOBOOKSHELF_URL && env.AUDIOBOOKSHELF_API_KEY) {
+    const audiobookshelf = createAudiobookshelfClient({ url: env.AUDIOBOOKSHELF_URL, apiKey: env.AUDIOBOOKSHELF_API_KEY });
+    downloaders.audiobookshelf = (event) => audiobookshelf.getCover(event.artworkKey);
+  }
+  
+  return downloaders;
+}
+
+// Artwork referenced by the data files, as "<dir>/<key>" -> { dir, key, events, seasonEvents, dataFiles },
+// plus the items that have no artwork key at all and the data files that don't exist.
+// seasonEvents are the episodes whose season poster (saved under the season's key
+// when the source has one) it is
+function collectArtworkReferences(dataDir) {
+  const references = new Map();
+  const withoutArtworkKey = new Map();
+  const missingDataFiles = [];
+  
+  for (const dataFile of Object.keys(DATA_FILES)) {
+    const filePath = join(dataDir, dataFile);
+    if (!existsSync(filePath)) {
+      missingDataFiles.push(dataFile);
+      continue;
+    }
+    
+    // Unlike readEventFile, fail on an unreadable file: its artwork would all look orphaned
+    const events = readConsumptionEvents(JSON.parse(readFileSync(filePath, 'utf8')));
+    for (const event of events) {
+      if (event.artworkKey === null) {
+        const itemKey = `${event.mediaType}:${event.groupKey ?? event.itemKey}`;
+        if (!withoutArtworkKey.has(itemKey)) {
+          withoutArtworkKey.set(itemKey, { event, dataFile });
+        }
+        continue;
+      }
+      
+      const addReference = (artworkKey, list) => {
+        const dir = ARTWORK_DIRS[event.mediaType];
+        const id = `${dir}/${artworkKey}`;
+        if (!references.has(id)) {
+          references.set(id, { dir, key: String(artworkKey), events: [], seasonEvents: [], dataFiles: new Set() });
+        }
+        references.get(id)[list].push(event);
+        references.get(id).dataFiles.add(dataFile);
+      };
+      
+      addReference(event.artworkKey, 'events');
+      if (event.mediaType === 'episode' && event.parentKey && event.parentThumb) {
+        addReference(event.parentKey, 'seasonEvents');
+      }
+    }
+  }
+  
+  return { references, withoutArtworkKey, missingDataFiles };
+}
+
+// Whether an unreferenced file may belong to a data file that doesn't exist (e.g. tv-shows.json
+// before the first TV fetch) - it can't be told apart from a real orphan, so it's kept. Without
+// the manual entries file there are no manual entries, so only their uploaded posters are kept
+function isUnverifiable(dir, key, missingDataFiles) {
+  return missingDataFiles.some(dataFile => DATA_FILES[dataFile].some(mediaType => ARTWORK_DIRS[mediaType] === dir)
+    && (dataFile !== MANUAL_ENTRIES_FILE || key.startsWith(MANUAL_POSTER_PREFIX)));
+}
+
+// "<dir>/<key>" of the posters saved in the ranking files, which must not be removed either
+function collectRankingPosters(dataDir) {
+  const posters = new Set();
+  readdirSync(dataDir)
+    .filter(file => file.endsWith('-rankings.json'))
+    .forEach(file => {
+      JSON.parse(readFileSync(join(dataDir, file), 'utf8')).forEach(item => {
+        const match = typeof item.poster === 'string' && item.poster.match(/\/([^/]+)\/([^/?#]+)\.jpg(?:[?#].*)?$/);
+        if (match) {
+          posters.add(`${match[1]}/${match[2]}`);
+        }
+      });
+    });
+  return posters;
+}
+
+const describeItem = (event) => ({
+  mediaType: event.mediaType,
+  source: event.source,
+  title: event.groupTitle || event.title
+});
+
+const describeReference = (reference) => (reference.events.length > 0
+  ? describeItem(reference.events[0])
+  : { ...describeItem(reference.seasonEvents[0]), season: reference.seasonEvents[0].parentTitle });
+
+// Download a corrupt file again from the first source that has it
+async function redownload(filePath, reference, downloaders) {
+  const errors = [];
+  const candidates = reference.events.map(event => [event, false])
+    .concat(reference.seasonEvents.map(event => [event, true]));
+  for (const [event, season] of candidates) {
+    const download = downloaders[event.source];
+    if (!download) {
+      continue;
+    }
+    try {
+      saveImage(filePath, await download(event, { season }));
+      const problem = await checkImageFile(filePath);
+      if (!problem) {
+        return { redownloaded: true };
+      }
+      errors.push(`${event.source}: downloaded file is still unusable - ${problem}`);
+    } catch (error) {
+      errors.push(`${event.source}: ${error.message}`);
+    }
+  }
+  
+  if (errors.length === 0) {
+    const sources = [...new Set(candidates.map(([event]) => event.source))].join(', ');
+    errors.push(`no configured server to download ${sources} artwork from`);
+  }
+  return { redownloaded: false, error: errors.join('; ') };
+}
+
+// Flag corrupt artwork and download it again, list items without artwork and
+// remove artwork nothing references anymore, then write a report of all of it
+async function checkArtwork() {
+  try {
+    const args = process.argv.slice(2);
+    if (args.includes('--help')) {
+      console.log(USAGE);
+      return;
+    }
+    
+    const dryRun = args.includes('--dry-run');
+    const reportPath = resolve(getOption(args, 'report') || 'artwork-report.json');
+    const dataDir = join(__dirname, '../public/data');
+    const start = Date.now();
+    
+    console.log(`Checking artwork${dryRun ? ' (dry run - nothing is changed)' : ''}...\n`);
+    
+    const { references, withoutArtworkKey, missingDataFiles } = collectArtworkReferences(dataDir);
+    const rankingPosters = collectRankingPosters(dataDir);
+    const downloaders = createArtworkDownloaders();
+    console.log(`  ${references.size} artwork files referenced by the data files`);
+    console.log(`  Re-downloading from: ${Object.keys(downloaders).join(', ') || 'no configured servers'}`);
+    if (missingDataFiles.length > 0) {
+      console.log(`  ⚠️  Missing data files: ${missingDataFiles.join(', ')} - unreferenced artwork they could own is kept`);
+    }
+    
+    const corrupt = [];
+    const orphans = [];
+    const existing = new Set();
+    let checked = 0;
+    
+    for (const dir of new Set(Object.values(ARTWORK_DIRS))) {
+      const dirPath = join(dataDir, dir);
+      if (!existsSync(dirPath)) {
+        continue;
+      }
+      
+      const files = readdirSync(dirPath).filter(file => file.endsWith('.jpg'));
+      console.log(`\nChecking ${files.length} files in ${dir}/...`);
+      
+      for (const file of files) {
+        const key = file.slice(0, -'.jpg'.length);
+        const id = `${dir}/${key}`;
+        const filePath = join(dirPath, file);
+        const reference = references.get(id);
+        existing.add(id);
+        checked++;
+        
+        if (!reference && !rankingPosters.has(id)) {
+          const kept = isUnverifiable(dir, key, missingDataFiles);
+          orphans.push({ file: id + '.jpg', removed: !dryRun && !kept, ...(kept ? { kept: 'its data file is missing' } : {}) });
+          if (!dryRun && !kept) {
+            unlinkSync(filePath);
+          }
+          continue;
+        }
+        
+        const problem = await checkImageFile(filePath);
+        if (problem) {
+          const entry = { file: id + '.jpg', problem, ...(reference ? describeReference(reference) : {}) };
+          if (reference && !dryRun) {
+            Object.assign(entry, await redownload(filePath, reference, downloaders));
+          }
+          console.log(`  ${entry.redownloaded ? '✓' : '⚠️ '} ${entry.file}: ${problem}${entry.redownloaded ? ' - downloaded again' : entry.error ? ` - ${entry.error}` : ''}`);
+          corrupt.push(entry);
+        }
+        
+        if (checked % 100 === 0) {
+          console.log(`  Progress: ${checked} files checked...`);
+        }
+      }
+    }
+    
+    const missing = [
+      // Season posters are optional - not every season has one
+      ...[...references.entries()]
+        .filter(([id, reference]) => !existing.has(id) && reference.events.length > 0)
+        .map(([id, reference]) => ({ file: `${id}.jpg`, ...describeItem(reference.events[0]), dataFiles: [...reference.dataFiles] })),
+      ...[...withoutArtworkKey.values()]
+        .map(({ event, dataFile }) => ({ file: null, ...describeItem(event), dataFiles: [dataFile] }))
+    ];
+    
+    // Forget the thumb versions of removed files, so they're downloaded if they're needed again
+    const removed = orphans.filter(orphan => orphan.removed);
+    const versionsPath = join(dataDir, ARTWORK_VERSIONS_FILE);
+    if (removed.length > 0 && existsSync(versionsPath)) {
+      const versions = readArtworkVersions(versionsPath);
+      removed.forEach(({ file }) => delete versions[file.slice(0, -'.jpg'.length)]);
+      writeArtworkVersions(versionsPath, versions);
+    }
+    
+    // Drop the responsive variants of removed files and regenerate those of re-downloaded ones
+    if (!dryRun && existsSync(join(dataDir, IMAGE_MANIFEST_FILE)) && (removed.length > 0 || corrupt.some(entry => entry.redownloaded))) {
+      console.log('\nUpdating responsive image variants...');
+      await generateImageVariants(dataDir);
+    }
+    
+    const summary = {
+      checked,
+      corrupt: corrupt.length,
+      redownloaded: corrupt.filter(entry => entry.redownloaded).length,
+      missing: missing.length,
+      orphansRemoved: removed.length,
+      orphansKept: orphans.filter(orphan => orphan.kept).length,
+      orphansFound: orphans.length
+    };
+    writeFileSync(reportPath, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      dryRun,
+      missingDataFiles,
+      summary,
+      corrupt,
+      missing,
+      orphans
+    }, null, 2));
+    
+    const time = ((Date.now() - start) / 1000).toFixed(2);
+    console.log(`\n✓ Checked ${checked} artwork files (${time}s)`);
+    console.log(`  Corrupt: ${summary.corrupt} (${summary.redownloaded} downloaded again)`);
+    console.log(`  Items without artwork: ${summary.missing}`);
+    console.log(`  Orphaned files: ${summary.orphansFound}${dryRun ? ' (not removed - dry run)' : ` (${summary.orphansRemoved} removed)`}`);
+    if (summary.orphansKept > 0) {
+      console.log(`  Orphaned files kept because their data file is missing: ${summary.orphansKept}`);
+    }
+    console.log(`  Report saved to ${reportPath}`);
+    if (summary.missing > 0) {
+      console.log('\n💡 A full fetch (e.g. npm run fetch-data) downloads the missing artwork its source has');
+    }
+  } catch (error) {
+    console.error('Failed to check artwork:', error);
+    process.exit(1);
+  }
+}
+
+checkArtwork();
@@ -1,8 +1,11 @@
 import dotenv from 'dotenv';
-import { writeFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { createTautulliClient } from '../lib/clients/tautulli.js';
+import { createPlexClient } from '../lib/clients/plex.js';
+import { fetchPlexArtwork, saveImage, hasSavedImage } from '../lib/clients/artwork.js';
+import { fetchJson, fetchImage } from '../lib/clients/http.js';
 
 dotenv.config();
 
@@ -14,6 +17,9 @@ const API_KEY = process.env.TAUTULLI_API_KEY;
 const PLEX_URL = process.env.PLEX_URL;
 const PLEX_TOKEN = process.env.PLEX_TOKEN;
 
+const tautulli = createTautulliClient({ url: TAUTULLI_URL, apiKey: API_KEY });
+const plex = createPlexClient({ url: PLEX_URL, token: PLEX_TOKEN });
+
 const postersDir = join(__dirname, '../public/data/posters');
 
 // Movies/TV shows to download
@@ -28,7 +34,7 @@ async function downloadPoster(ratingKey, thumbPath, title) {
   console.log(`\nAttempting to download poster for: ${title} (rating_key: ${ratingKey})`);
   
   // Skip if poster already exists
-  if (existsSync(posterPath)) {
+  if (hasSavedImage(posterPath)) {
     console.log(`  ✓ Poster already exists: ${posterPath}`);
     return true;
   }
@@ -38,70 +44,24 @@ async function downloadPoster(ratingKey, thumbPath, title) {
     return false;
   }
   
-  // Try Tautulli's image proxy first
+  // Try Tautulli's image proxy first, then Plex direct access
   try {
     console.log(`  Trying Tautulli image proxy...`);
-    const tautulliImageUrl = `${TAUTULLI_URL}/api/v2?apikey=${API_KEY}&cmd=get_pms_image&img=${encodeURIComponent(thumbPath)}`;
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-    
-    const response = await fetch(tautulliImageUrl, {
-      signal: controller.signal
+    const image = await fetchPlexArtwork(thumbPath, {
+      tautulli,
+      plex,
+      onFallback: (err) => {
+        console.log(`  ✗ Tautulli error: ${err.message}`);
+        if (plex.isConfigured) {
+          console.log(`  Trying Plex direct access...`);
+        }
+      }
     });
-    
-    clearTimeout(timeoutId);
-    
-    if (response.ok) {
-      const imageBuffer = await response.arrayBuffer();
-      writeFileSync(posterPath, Buffer.from(imageBuffer));
-      console.log(`  ✓ Successfully downloaded from Tautulli: ${posterPath}`);
-      return true;
-    } else {
-      console.log(`  ✗ Tautulli returned status: ${response.status}`);
-    }
+    saveImage(posterPath, image);
+    console.log(`  ✓ Successfully downloaded from ${image.source === 'plex' ? 'Plex' : 'Tautulli'}: ${posterPath}`);
+    return true;
   } catch (err) {
-    if (err.name !== 'AbortError') {
-      console.log(`  ✗ Tautulli error: ${err.message}`);
-    } else {
-      console.log(`  ✗ Tautulli request timed out`);
-    }
-  }
-  
-  // Fallback: Try Plex direct access
-  if (PLEX_URL && PLEX_TOKEN && PLEX_TOKEN !== 'your_plex_token_here') {
-    try {
-      console.log(`  Trying Plex direct access...`);
-      let plexUrl = `${PLEX_URL}${thumbPath}`;
-      if (PLEX_TOKEN) {
-        plexUrl += `?X-Plex-Token=${PLEX_TOKEN}`;
-      }
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000);
-      
-      const response = await fetch(plexUrl, {
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (response.ok) {
-        const imageBuffer = await response.arrayBuffer();
-        writeFileSync(posterPath, Buffer.from(imageBuffer));
-        console.log(`  ✓ Successfully downloaded from Plex: ${posterPath}`);
-        return true;
-      } else {
-        console.log(`  ✗ Plex returned status: ${response.status}`);
-      }
-    } catch (err) {
-      if (err.name !== 'AbortError') {
-        console.log(`  ✗ Plex error: ${err.message}`);
-      } else {
-        console.log(`  ✗ Plex request timed out`);
-      }
-    }
-  } else {
-    console.log(`  ✗ Plex credentials not configured`);
+    console.log(`  ✗ ${err.status === 503 ? 'Plex credentials not configured' : `Plex error: ${err.message}`}`);
   }
   
   return false;
@@ -120,45 +80,33 @@ async function downloadFromInternet(ratingKey, title, isTVShow = false, searchTe
     console.log(`  Searching TMDB ${searchType} for: ${searchQuery}`);
     const searchUrl = `https://api.themoviedb.org/3/search/${searchType}?api_key=15d2ea6d0dc1d476efbca3eba2b9bbfb&query=${encodeURIComponent(searchQuery)}`;
     
-    const searchResponse = await fetch(searchUrl);
-    if (searchResponse.ok) {
-      const searchData = await searchResponse.json();
-      if (searchData.results && searchData.results.length > 0) {
-        // Find the best match (usually the first result, but check for exact title match)
-        let bestMatch = searchData.results[0];
-        const normalizedTitle = title.toLowerCase().trim();
-        
-        // Try to find exact title match
-        for (const result of searchData.results) {
-          const resultTitle = (result.name || result.title || '').toLowerCase().trim();
-          if (resultTitle === normalizedTitle) {
-            bestMatch = result;
-            break;
-          }
+    const searchData = await fetchJson(searchUrl, { source: 'TMDB' });
+    if (searchData.results && searchData.results.length > 0) {
+      // Find the best match (usually the first result, but check for exact title match)
+      let bestMatch = searchData.results[0];
+      const normalizedTitle = title.toLowerCase().trim();
+      
+      // Try to find exact title match
+      for (const result of searchData.results) {
+        const resultTitle = (result.name || result.title || '').toLowerCase().trim();
+        if (resultTitle === normalizedTitle) {
+          bestMatch = result;
+          break;
         }
+      }
+      
+      const posterPath = bestMatch.poster_path;
+      
+      if (posterPath) {
+        const posterUrl = `https://image.tmdb.org/t/p/w500${posterPath}`;
+        console.log(`  Found poster on TMDB: ${posterUrl}`);
+        console.log(`  Match: ${bestMatch.name || bestMatch.title} (${bestMatch.first_air_date || bestMatch.release_date || 'unknown date'})`);
         
-        const posterPath = bestMatch.poster_path;
-        
-        if (posterPath) {
-          const posterUrl = `https://image.tmdb.org/t/p/w500${posterPath}`;
-          console.log(`  Found poster on TMDB: ${posterUrl}`);
-          console.log(`  Match: ${bestMatch.name || bestMatch.title} (${bestMatch.first_air_date || bestMatch.release_date || 'unknown date'})`);
-          
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 10000);
-          const imageResponse = await fetch(posterUrl, {
-            signal: controller.signal
-          });
-          clearTimeout(timeoutId);
-          
-          if (imageResponse.ok) {
-            const imageBuffer = await imageResponse.arrayBuffer();
-            const posterPath = join(postersDir, `${ratingKey}.jpg`);
-            writeFileSync(posterPath, Buffer.from(imageBuffer));
-            console.log(`  ✓ Successfully downloaded from TMDB: ${posterPath}`);
-            return true;
-          }
-        }
+        const image = await fetchImage(posterUrl, { source: 'TMDB' });
+        const posterFilePath = join(postersDir, `${ratingKey}.jpg`);
+        saveImage(posterFilePath, image);
+        console.log(`  ✓ Successfully downloaded from TMDB: ${posterFilePath}`);
+        return true;
       }
     }
   } catch (err) {
@@ -0,0 +1,63 @@
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { EXPORT_FORMATS, MANUAL_ENTRIES_FILE, exportHistory, mergeManualEntries } from '../lib/events/index.js';
+import { readEventFile } from '../lib/events/files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Data files (and their media type) exported for each --type
+const DATA_FILES = {
+  movies: [['movies.json', 'movie']],
+  tv: [['tv-shows.json', 'episode']],
+  all: [['movies.json', 'movie'], ['tv-shows.json', 'episode']]
+};
+
+const USAGE = `Usage: npm run export-history -- --format <${Object.keys(EXPORT_FORMATS).join('|')}> [--year 2024] [--type <${Object.keys(DATA_FILES).join('|')}>] [--out file]`;
+
+// "--name value" or "--name=value"
+function getOption(args, name) {
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) {
+    return null;
+  }
+  return args[index].includes('=') ? args[index].split('=').slice(1).join('=') : args[index + 1] ?? null;
+}
+
+function exportWatchHistory() {
+  try {
+    const args = process.argv.slice(2);
+    const format = getOption(args, 'format');
+    const year = getOption(args, 'year');
+    const type = getOption(args, 'type') || 'all';
+    
+    if (!EXPORT_FORMATS[format] || !DATA_FILES[type] || (year !== null && !/^\d{4}$/.test(year))) {
+      console.error(USAGE);
+      process.exit(1);
+    }
+    
+    const dataDir = join(__dirname, '../public/data');
+    // With the manual entries the views show
+    const manualEvents = readEventFile(join(dataDir, MANUAL_ENTRIES_FILE));
+    const events = DATA_FILES[type].flatMap(([file, mediaType]) => mergeManualEntries(
+      readEventFile(join(dataDir, file)).filter(event => event.mediaType === mediaType),
+      manualEvents.filter(event => event.mediaType === mediaType)
+    ));
+    if (events.length === 0) {
+      throw new Error(`No watch history found in ${DATA_FILES[type].map(([file]) => file).join(', ')}. Run 'npm run fetch-data' first.`);
+    }
+    
+    const name = type === 'all' ? 'watch-history' : type;
+    const { content, fileName } = exportHistory(events, format, { year: year !== null ? Number(year) : null, name });
+    const outPath = resolve(getOption(args, 'out') || fileName);
+    writeFileSync(outPath, content);
+    
+    console.log(`✓ Exported ${year ? `${year} ` : 'full '}${type === 'all' ? 'watch' : type} history as ${EXPORT_FORMATS[format].label} to ${outPath}`);
+  } catch (error) {
+    console.error('Failed to export watch history:', error);
+    process.exit(1);
+  }
+}
+
+exportWatchHistory();
@@ -0,0 +1,176 @@
+import dotenv from 'dotenv';
+import { mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createAudiobookshelfClient } from '../lib/clients/audiobookshelf.js';
+import { saveImage, hasSavedImage } from '../lib/clients/artwork.js';
+import { fromAudiobookshelfSession, fromAudiobookshelfProgress, indexMediaProgress } from '../lib/events/index.js';
+import { readEventFile, writeEventFile, replaceSourceEvents } from '../lib/events/files.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const AUDIOBOOKSHELF_URL = process.env.AUDIOBOOKSHELF_URL;
+const AUDIOBOOKSHELF_API_KEY = process.env.AUDIOBOOKSHELF_API_KEY;
+
+if (!AUDIOBOOKSHELF_URL || !AUDIOBOOKSHELF_API_KEY) {
+  console.error('ERROR: Missing required environment variables!');
+  console.error('Please set AUDIOBOOKSHELF_URL and AUDIOBOOKSHELF_API_KEY in your .env file');
+  process.exit(1);
+}
+
+const audiobookshelf = createAudiobookshelfClient({ url: AUDIOBOOKSHELF_URL, apiKey: AUDIOBOOKSHELF_API_KEY });
+
+// Finished books/episodes with no listening session (e.g. marked finished by hand),
+// using their library items for titles
+async function fetchFinishedWithoutSessions(mediaProgress, sessions) {
+  const listenedKeys = new Set(sessions.map(session => `${session.libraryItemId}:${session.episodeId || ''}`));
+  const finished = mediaProgress.filter(progress =>
+    progress.isFinished && !listenedKeys.has(`${progress.libraryItemId}:${progress.episodeId || ''}`)
+  );
+  
+  if (finished.length === 0) {
+    return [];
+  }
+  
+  console.log(`Fetching ${finished.length} finished item(s) without listening sessions...`);
+  const libraryItems = new Map();
+  const events = [];
+  
+  for (const progress of finished) {
+    if (!libraryItems.has(progress.libraryItemId)) {
+      try {
+        libraryItems.set(progress.libraryItemId, await audiobookshelf.getLibraryItem(progress.libraryItemId));
+      } catch (error) {
+        // Items removed from the library can't be named, so skip them
+        console.log(`  Skipping ${progress.libraryItemId}: ${error.message}`);
+        libraryItems.set(progress.libraryItemId, null);
+      }
+    }
+    
+    const event = fromAudiobookshelfProgress(progress, libraryItems.get(progress.libraryItemId));
+    if (event) {
+      events.push(event);
+    }
+  }
+  
+  return events;
+}
+
+async function downloadCover(libraryItemId, coversDir) {
+  const coverPath = join(coversDir, `${libraryItemId}.jpg`);
+  
+  // Skip if cover already exists
+  if (hasSavedImage(coverPath)) {
+    return true; // Success - already exists
+  }
+  
+  try {
+    const image = await audiobookshelf.getCover(libraryItemId);
+    saveImage(coverPath, image);
+    return true;
+  } catch (err) {
+    // Silently skip errors (items without a cover, timeouts, etc.)
+  }
+  
+  return false; // Failed to download
+}
+
+// Replace the Audiobookshelf events in a data file, keeping events from other sources
+function saveEvents(filePath, mediaType, events) {
+  return writeEventFile(
+    filePath,
+    mediaType,
+    replaceSourceEvents(readEventFile(filePath), 'audiobookshelf', events)
+  );
+}
+
+async function generateStaticData() {
+  try {
+    // Create data directory
+    const dataDir = join(__dirname, '../public/data');
+    mkdirSync(dataDir, { recursive: true });
+    
+    // Create covers directory
+    const coversDir = join(dataDir, 'covers');
+    mkdirSync(coversDir, { recursive: true });
+    
+    const fetchStart = Date.now();
+    console.log('Fetching data from Audiobookshelf API...\n');
+    
+    const me = await audiobookshelf.getMe();
+    const mediaProgress = me.mediaProgress || [];
+    
+    console.log('Fetching listening sessions...');
+    const sessions = await audiobookshelf.getListeningSessions({
+      onProgress: (fetched, total) => console.log(`  Progress: ${fetched}/${total} sessions fetched...`)
+    });
+    
+    const progressByItem = indexMediaProgress(mediaProgress);
+    const sessionEvents = sessions
+      .map(session => fromAudiobookshelfSession(session, progressByItem))
+      .filter(Boolean);
+    const finishedEvents = await fetchFinishedWithoutSessions(mediaProgress, sessions);
+    const events = sessionEvents.concat(finishedEvents);
+    
+    console.log(`  ${sessionEvents.length} listening sessions, ${finishedEvents.length} finished items without sessions`);
+    
+    // Download unique covers
+    console.log('Downloading covers...');
+    const coversStart = Date.now();
+    const libraryItemIds = Array.from(new Set(events.map(event => event.artworkKey)));
+    
+    let downloaded = 0;
+    let skipped = 0;
+    
+    // Download covers in parallel batches
+    const batchSize = 10;
+    
+    for (let i = 0; i < libraryItemIds.length; i += batchSize) {
+      const batch = libraryItemIds.slice(i, i + batchSize);
+      const results = await Promise.all(
+        batch.map(libraryItemId => downloadCover(libraryItemId, coversDir))
+      );
+      
+      for (const success of results) {
+        if (success) {
+          downloaded++;
+        } else {
+          skipped++;
+        }
+      }
+      
+      // Log progress every batch
+      if ((i + batchSize) % 50 === 0 || i + batchSize >= libraryItemIds.length) {
+        console.log(`  Progress: ${Math.min(i + batchSize, libraryItemIds.length)}/${libraryItemIds.length} covers processed (${downloaded} downloaded, ${skipped} skipped)...`);
+      }
+    }
+    const coversTime = ((Date.now() - coversStart) / 1000).toFixed(2);
+    console.log(`  Downloaded ${downloaded} covers, skipped ${skipped} (${coversTime}s)`);
+    
+    const audiobooksData = saveEvents(
+      join(dataDir, 'audiobooks.json'),
+      'audiobook',
+      events.filter(event => event.mediaType === 'audiobook')
+    );
+    console.log(`✓ Audiobooks data saved (${audiobooksData._metadata.itemCount} items)`);
+    
+    const podcastsData = saveEvents(
+      join(dataDir, 'podcasts.json'),
+      'podcast',
+      events.filter(event => event.mediaType === 'podcast')
+    );
+    console.log(`✓ Podcasts data saved (${podcastsData._metadata.itemCount} items)`);
+    
+    const totalTime = ((Date.now() - fetchStart) / 1000).toFixed(2);
+    console.log(`\n✓ Audiobookshelf data generation complete! (Total: ${totalTime}s)`);
+    console.log(`Data saved to: ${dataDir}`);
+  } catch (error) {
+    console.error('Failed to generate Audiobookshelf data:', error);
+    process.exit(1);
+  }
+}
+
+generateStaticData();
@@ -1,59 +1,26 @@
 import dotenv from 'dotenv';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createKomgaClient } from '../lib/clients/komga.js';
+import { createKavitaClient } from '../lib/clients/kavita.js';
+import { saveImage, hasSavedImage } from '../lib/clients/artwork.js';
+import { fromKomgaBook, fromKavitaVolumes, toKavitaSeriesMetadata } from '../lib/events/index.js';
+import { readEventFile, writeEventFile, replaceSourceEvents } from '../lib/events/files.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const KOMGA_URL = process.env.KOMGA_URL || 'http://192.168.1.100:25600';
-const KOMGA_API_KEY = process.env.KOMGA_API_KEY || 'e4710dd37ec1449cb62b90d52d78de09';
+// Which comic server to read from: 'komga' (default) or 'kavita'
+const COMIC_SOURCE = (process.env.COMIC_SOURCE || 'komga').toLowerCase();
 
-if (!KOMGA_URL || !KOMGA_API_KEY) {
-  console.error('ERROR: Missing required environment variables!');
-  console.error('Please set KOMGA_URL and KOMGA_API_KEY in your .env file');
-  process.exit(1);
-}
-
-async function fetchBooks() {
+async function fetchBooks(komga) {
   console.log('Fetching books from Komga...');
   
   try {
-    // Fetch all books (may need pagination for large libraries)
-    let allBooks = [];
-    let page = 0;
-    const size = 1000;
-    let hasMore = true;
-    
-    while (hasMore) {
-      // Komga uses X-API-Key header for authentication
-      const response = await fetch(`${KOMGA_URL}/api/v1/books?page=${page}&size=${size}`, {
-        headers: {
-          'X-API-Key': KOMGA_API_KEY,
-          'Accept': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => '');
-        throw new Error(`Komga API returned ${response.status}: ${response.statusText}. ${errorText}`);
-      }
-      
-      const data = await response.json();
-      const books = data.content || data || [];
-      allBooks = allBooks.concat(books);
-      
-      // Check if there are more pages
-      if (data.content && data.content.length < size) {
-        hasMore = false;
-      } else if (!data.content || data.content.length === 0) {
-        hasMore = false;
-      } else {
-        page++;
-      }
-    }
+    const allBooks = await komga.getAllBooks();
     
     // Filter to only books with read progress
     const booksWithProgress = allBooks.filter(book => book.readProgress !== null);
@@ -64,70 +31,136 @@ async function fetchBooks() {
   }
 }
 
-async function fetchSeries() {
+async function fetchSeries(komga) {
   console.log('Fetching series from Komga...');
   
   try {
-    // Fetch all series (may need pagination for large libraries)
-    let allSeries = [];
-    let page = 0;
-    const size = 1000;
-    let hasMore = true;
-    
-    while (hasMore) {
-      // Komga uses X-API-Key header for authentication
-      const response = await fetch(`${KOMGA_URL}/api/v1/series?page=${page}&size=${size}`, {
-        headers: {
-          'X-API-Key': KOMGA_API_KEY,
-          'Accept': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Komga API returned ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      allSeries = allSeries.concat(data.content || data || []);
-      
-      // Check if there are more pages
-      if (data.content && data.content.length < size) {
-        hasMore = false;
-      } else if (!data.content || data.content.length === 0) {
-        hasMore = false;
-      } else {
-        page++;
-      }
-    }
-    
-    return allSeries;
+    return await komga.getAllSeries();
   } catch (error) {
     console.error('Error fetching series:', error);
     throw error;
   }
 }
 
+async function fetchKomgaEvents(komga) {
+  // Fetch books (with read progress) and series
+  const [books, series] = await Promise.all([
+    fetchBooks(komga),
+    fetchSeries(komga)
+  ]);
+  
+  // Create a map of series by ID for quick lookup
+  const seriesMap = new Map();
+  series.forEach(s => {
+    seriesMap.set(s.id, s);
+  });
+  
+  // Combine books with read progress and series metadata into consumption events
+  const skippedBooks = [];
+  const comicEvents = [];
+  books.forEach(book => {
+    const event = fromKomgaBook(book, seriesMap.get(book.seriesId));
+    if (event) {
+      comicEvents.push(event);
+    } else {
+      skippedBooks.push(book.name || book.id);
+    }
+  });
+  
+  if (skippedBooks.length > 0) {
+    console.log(`  Skipped ${skippedBooks.length} book(s) with read progress but no read date`);
+  }
+  
+  return comicEvents;
+}
+
+async function fetchKavitaEvents(kavita) {
+  console.log('Fetching series from Kavita...');
+  const allSeries = await kavita.getAllSeries();
+  
+  // Only series with at least one page read have chapters worth fetching
+  const startedSeries = allSeries.filter(series => series.pagesRead > 0);
+  console.log(`  ${startedSeries.length} of ${allSeries.length} series have reading progress`);
+  
+  console.log('Fetching volumes and chapters from Kavita...');
+  const comicEvents = [];
+  const batchSize = 10;
+  
+  for (let i = 0; i < startedSeries.length; i += batchSize) {
+    const batch = startedSeries.slice(i, i + batchSize);
+    const results = await Promise.all(batch.map(async series => {
+      const [volumes, metadata] = await Promise.all([
+        kavita.getVolumes(series.id),
+        kavita.getSeriesMetadata(series.id)
+      ]);
+      return fromKavitaVolumes(volumes, series, toKavitaSeriesMetadata(series, metadata));
+    }));
+    results.forEach(events => comicEvents.push(...events));
+    
+    console.log(`  Progress: ${Math.min(i + batchSize, startedSeries.length)}/${startedSeries.length} series processed...`);
+  }
+  
+  return comicEvents;
+}
+
+// The configured comic server: its name, how to read its events and covers
+function createComicSource() {
+  if (COMIC_SOURCE === 'kavita') {
+    const KAVITA_URL = process.env.KAVITA_URL;
+    const KAVITA_API_KEY = process.env.KAVITA_API_KEY;
+    
+    if (!KAVITA_URL || !KAVITA_API_KEY) {
+      console.error('ERROR: Missing required environment variables!');
+      console.error('Please set KAVITA_URL and KAVITA_API_KEY in your .env file');
+      process.exit(1);
+    }
+    
+    const kavita = createKavitaClient({ url: KAVITA_URL, apiKey: KAVITA_API_KEY });
+    return {
+      name: 'Kavita',
+      source: 'kavita',
+      fetchEvents: () => fetchKavitaEvents(kavita),
+      getCover: (seriesId) => kavita.getSeriesCover(seriesId)
+    };
+  }
+  
+  if (COMIC_SOURCE === 'komga') {
+    const KOMGA_URL = process.env.KOMGA_URL || 'http://192.168.1.100:25600';
+    const KOMGA_API_KEY = process.env.KOMGA_API_KEY || 'e4710dd37ec1449cb62b90d52d78de09';
+    
+    if (!KOMGA_URL || !KOMGA_API_KEY) {
+      console.error('ERROR: Missing required environment variables!');
+      console.error('Please set KOMGA_URL and KOMGA_API_KEY in your .env file');
+      process.exit(1);
+    }
+    
+    const komga = createKomgaClient({ url: KOMGA_URL, apiKey: KOMGA_API_KEY });
+    return {
+      name: 'Komga',
+      source: 'komga',
+      fetchEvents: () => fetchKomgaEvents(komga),
+      getCover: (seriesId) => komga.getSeriesThumbnail(seriesId)
+    };
+  }
+  
+  console.error(`ERROR: Unknown COMIC_SOURCE "${COMIC_SOURCE}" (expected "komga" or "kavita")`);
+  process.exit(1);
+}
+
+const comicSource = createComicSource();
+
 async function downloadCover(seriesId, coversDir) {
   const coverPath = join(coversDir, `${seriesId}.jpg`);
   
   // Skip if cover already exists
-  if (existsSync(coverPath)) {
+  if (hasSavedImage(coverPath)) {
     return true; // Success - already exists
   }
   
   try {
-    // Komga uses X-API-Key header for authentication
-    const response = await fetch(`${KOMGA_URL}/api/v1/series/${seriesId}/thumbnail`, {
-      headers: {
-        'X-API-Key': KOMGA_API_KEY
-      }
-    });
-    
-    if (response.ok) {
-      const imageBuffer = await response.arrayBuffer();
-      writeFileSync(coverPath, Buffer.from(imageBuffer));
-      return true;
-    }
+    const image = await comicSource.getCover(seriesId);
+    saveImage(coverPath, image);
+    return true;
   } catch (err) {
     // Silently skip errors
   }
@@ -146,51 +179,14 @@ async function generateStaticData() {
     mkdirSync(coversDir, { recursive: true });
     
     const fetchStart = Date.now();
-    console.log('Fetching data from Komga API...\n');
-    
-    // Fetch books (with read progress) and series
-    const [books, series] = await Promise.all([
-      fetchBooks(),
-      fetchSeries()
-    ]);
+    console.log(`Fetching data from ${comicSource.name} API...\n`);
     
-    // Create a map of series by ID for quick lookup
-    const seriesMap = new Map();
-    series.forEach(s => {
-      seriesMap.set(s.id, s);
-    });
-    
-    // Combine books with read progress and series metadata
-    const comicData = books.map(book => {
-      const seriesInfo = seriesMap.get(book.seriesId);
-      const readProgress = book.readProgress || {};
-      
-      // Extract date from readProgress - Komga uses readDate field
-      const readDate = readProgress.readDate || readProgress.lastReadAt || readProgress.completedAt || null;
-      // Convert to Unix timestamp (seconds) for consistency with movies/TV shows
-      const dateTimestamp = readDate ? Math.floor(new Date(readDate).getTime() / 1000) : null;
-      
-      return {
-        id: book.id,
-        seriesId: book.seriesId,
-        seriesTitle: seriesInfo?.name || book.seriesTitle || 'Unknown',
-        title: seriesInfo?.name || book.seriesTitle || 'Unknown',
-        bookTitle: book.name || book.metadata?.title || 'Unknown',
-        bookNumber: book.number || book.metadata?.number || null,
-        readProgress: readProgress,
-        date: dateTimestamp, // Unix timestamp in seconds (for compatibility with movies/TV shows)
-        lastRead: readDate, // ISO string for component compatibility
-        watchDate: readDate ? new Date(readDate).toISOString() : null, // Keep for backward compatibility
-        year: readDate ? new Date(readDate).getFullYear() : null,
-        seriesMetadata: seriesInfo?.metadata || {},
-        bookMetadata: book.metadata || {},
-      };
-    });
+    const comicEvents = await comicSource.fetchEvents();
     
     // Download unique covers
     console.log('Downloading comic book covers...');
     const coversStart = Date.now();
-    const uniqueSeries = new Set(comicData.map(c => c.seriesId));
+    const uniqueSeries = new Set(comicEvents.map(c => c.artworkKey));
     
     let downloaded = 0;
     let skipped = 0;
@@ -221,21 +217,12 @@ async function generateStaticData() {
     const coversTime = ((Date.now() - coversStart) / 1000).toFixed(2);
     console.log(`  Downloaded ${downloaded} covers, skipped ${skipped} (${coversTime}s)`);
     
-    const comicDataWithMetadata = {
-      response: {
-        data: {
-          data: comicData
-        }
-      },
-      _metadata: {
-        lastFetched: new Date().toISOString(),
-        itemCount: comicData.length
-      }
-    };
-    
-    writeFileSync(
-      join(dataDir, 'comic-books.json'),
-      JSON.stringify(comicDataWithMetadata, null, 2)
+    // Keep comic events from other sources already in the file
+    const comicsFile = join(dataDir, 'comic-books.json');
+    const comicDataWithMetadata = writeEventFile(
+      comicsFile,
+      'comic',
+      replaceSourceEvents(readEventFile(comicsFile), comicSource.source, comicEvents)
     );
     const totalTime = ((Date.now() - fetchStart) / 1000).toFixed(2);
     console.log(`✓ Comic books data saved (${comicDataWithMetadata._metadata.itemCount} items, ${totalTime}s)`);
@@ -0,0 +1,147 @@
+import dotenv from 'dotenv';
+import { mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createJellyfinClient } from '../lib/clients/jellyfin.js';
+import { saveImage, hasSavedImage } from '../lib/clients/artwork.js';
+import { fromJellyfinItem } from '../lib/events/index.js';
+import { readEventFile, writeEventFile, replaceSourceEvents } from '../lib/events/files.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const JELLYFIN_URL = process.env.JELLYFIN_URL;
+const JELLYFIN_API_KEY = process.env.JELLYFIN_API_KEY;
+const JELLYFIN_USER_ID = process.env.JELLYFIN_USER_ID;
+const JELLYFIN_USERNAME = process.env.JELLYFIN_USERNAME;
+
+if (!JELLYFIN_URL || !JELLYFIN_API_KEY || (!JELLYFIN_USER_ID && !JELLYFIN_USERNAME)) {
+  console.error('ERROR: Missing required environment variables!');
+  console.error('Please set JELLYFIN_URL, JELLYFIN_API_KEY and JELLYFIN_USER_ID (or JELLYFIN_USERNAME) in your .env file');
+  process.exit(1);
+}
+
+const jellyfin = createJellyfinClient({ url: JELLYFIN_URL, apiKey: JELLYFIN_API_KEY });
+
+async function downloadPoster(itemId, postersDir) {
+  const posterPath = join(postersDir, `${itemId}.jpg`);
+  
+  // Skip if poster already exists
+  if (hasSavedImage(posterPath)) {
+    return true; // Success - already exists
+  }
+  
+  try {
+    const image = await jellyfin.getPrimaryImage(itemId);
+    saveImage(posterPath, image);
+    return true;
+  } catch (err) {
+    // Silently skip errors (missing images, timeouts, etc.)
+  }
+  
+  return false; // Failed to download
+}
+
+async function downloadPosters(itemIds, postersDir) {
+  let downloaded = 0;
+  let skipped = 0;
+  
+  // Download posters in parallel batches for speed
+  const batchSize = 10;
+  
+  for (let i = 0; i < itemIds.length; i += batchSize) {
+    const batch = itemIds.slice(i, i + batchSize);
+    const results = await Promise.all(
+      batch.map(itemId => downloadPoster(itemId, postersDir))
+    );
+    
+    for (const success of results) {
+      if (success) {
+        downloaded++;
+      } else {
+        skipped++;
+      }
+    }
+    
+    // Log progress every batch
+    if ((i + batchSize) % 50 === 0 || i + batchSize >= itemIds.length) {
+      console.log(`  Progress: ${Math.min(i + batchSize, itemIds.length)}/${itemIds.length} posters processed (${downloaded} downloaded, ${skipped} skipped)...`);
+    }
+  }
+  
+  return { downloaded, skipped };
+}
+
+// Replace the Jellyfin events in a data file, keeping events from other sources (e.g. Tautulli)
+function saveEvents(filePath, mediaType, events) {
+  return writeEventFile(
+    filePath,
+    mediaType,
+    replaceSourceEvents(readEventFile(filePath), 'jellyfin', events)
+  );
+}
+
+async function generateStaticData() {
+  try {
+    // Create data directory
+    const dataDir = join(__dirname, '../public/data');
+    mkdirSync(dataDir, { recursive: true });
+    
+    // Create posters directory
+    const postersDir = join(dataDir, 'posters');
+    mkdirSync(postersDir, { recursive: true });
+    
+    const fetchStart = Date.now();
+    console.log('Fetching data from Jellyfin API...\n');
+    
+    const userId = await jellyfin.getUserId({ userId: JELLYFIN_USER_ID, username: JELLYFIN_USERNAME });
+    
+    console.log('Fetching played movies and episodes from Jellyfin...');
+    const items = await jellyfin.getPlayedItems(userId, ['Movie', 'Episode'], {
+      onProgress: (fetched, total) => console.log(`  Progress: ${fetched}/${total} played items fetched...`)
+    });
+    
+    const events = [];
+    let skippedItems = 0;
+    items.forEach(item => {
+      const event = fromJellyfinItem(item);
+      if (event) {
+        events.push(event);
+      } else {
+        skippedItems++;
+      }
+    });
+    
+    if (skippedItems > 0) {
+      console.log(`  Skipped ${skippedItems} item(s) marked played without a play date`);
+    }
+    
+    const movieEvents = events.filter(event => event.mediaType === 'movie');
+    const episodeEvents = events.filter(event => event.mediaType === 'episode');
+    
+    // Download posters (movies use their own, episodes use their series' poster)
+    console.log('Downloading posters...');
+    const postersStart = Date.now();
+    const posterIds = Array.from(new Set(events.map(event => event.artworkKey)));
+    const { downloaded, skipped } = await downloadPosters(posterIds, postersDir);
+    const postersTime = ((Date.now() - postersStart) / 1000).toFixed(2);
+    console.log(`  Downloaded ${downloaded} posters, skipped ${skipped} (${postersTime}s)`);
+    
+    const moviesData = saveEvents(join(dataDir, 'movies.json'), 'movie', movieEvents);
+    console.log(`✓ Movies data saved (${movieEvents.length} Jellyfin items, ${moviesData._metadata.itemCount} total)`);
+    
+    const tvData = saveEvents(join(dataDir, 'tv-shows.json'), 'episode', episodeEvents);
+    console.log(`✓ TV shows data saved (${episodeEvents.length} Jellyfin items, ${tvData._metadata.itemCount} total)`);
+    
+    const totalTime = ((Date.now() - fetchStart) / 1000).toFixed(2);
+    console.log(`\n✓ Jellyfin data generation complete! (Total: ${totalTime}s)`);
+    console.log(`Data saved to: ${dataDir}`);
+  } catch (error) {
+    console.error('Failed to generate Jellyfin data:', error);
+    process.exit(1);
+  }
+}
+
+generateStaticData();
@@ -0,0 +1,187 @@
+import dotenv from 'dotenv';
+import { mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createPlexClient } from '../lib/clients/plex.js';
+import { saveImage, hasSavedImage } from '../lib/clients/artwork.js';
+import { fromPlexHistoryEntry, fromPlexViewedItem } from '../lib/events/index.js';
+import { readEventFile, writeEventFile, replaceSourceEvents, withoutTautulliDuplicates } from '../lib/events/files.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PLEX_URL = process.env.PLEX_URL;
+const PLEX_TOKEN = process.env.PLEX_TOKEN;
+// Optional: only import plays from this Plex account (the server owner is usually 1)
+const PLEX_ACCOUNT_ID = process.env.PLEX_ACCOUNT_ID;
+
+const plex = createPlexClient({ url: PLEX_URL, token: PLEX_TOKEN });
+
+if (!plex.isConfigured) {
+  console.error('ERROR: Missing required environment variables!');
+  console.error('Please set PLEX_URL and PLEX_TOKEN in your .env file');
+  process.exit(1);
+}
+
+// Every movie and episode in the Plex libraries, keyed by rating key
+async function fetchLibraryItems() {
+  const sections = await plex.getLibrarySections();
+  const itemsByKey = new Map();
+  
+  for (const section of sections) {
+    const itemType = section.type === 'movie' ? 'movie' : section.type === 'show' ? 'episode' : null;
+    if (!itemType) {
+      continue;
+    }
+    
+    console.log(`Fetching ${itemType}s from library "${section.title}"...`);
+    const items = await plex.getSectionItems(section.key, itemType, {
+      onProgress: (fetched, total) => console.log(`  Progress: ${fetched}/${total} items fetched...`)
+    });
+    items.forEach(item => itemsByKey.set(String(item.ratingKey), item));
+  }
+  
+  return itemsByKey;
+}
+
+async function downloadPoster(artworkKey, thumbPath, postersDir) {
+  const posterPath = join(postersDir, `${artworkKey}.jpg`);
+  
+  // Skip if poster already exists
+  if (hasSavedImage(posterPath)) {
+    return true; // Success - already exists
+  }
+  
+  if (!thumbPath) {
+    return false; // No thumb path available
+  }
+  
+  try {
+    const image = await plex.getImage(thumbPath);
+    saveImage(posterPath, image);
+    return true;
+  } catch (err) {
+    // Silently skip errors (timeouts, network issues, etc.)
+  }
+  
+  return false; // Failed to download
+}
+
+async function downloadPosters(events, postersDir) {
+  // Movies use their own poster, episodes share their show's poster
+  // and also download their season's poster (keyed by the season's ratingKey)
+  const uniquePosters = new Map();
+  events.forEach(event => {
+    const thumbPath = event.mediaType === 'episode'
+      ? (event.groupThumb || event.parentThumb || event.thumb)
+      : event.thumb;
+    if (event.artworkKey && thumbPath && !uniquePosters.has(event.artworkKey)) {
+      uniquePosters.set(event.artworkKey, thumbPath);
+    }
+    if (event.mediaType === 'episode' && event.parentKey && event.parentThumb && !uniquePosters.has(event.parentKey)) {
+      uniquePosters.set(event.parentKey, event.parentThumb);
+    }
+  });
+  
+  let downloaded = 0;
+  let skipped = 0;
+  
+  // Download posters in parallel batches for speed
+  const batchSize = 10;
+  const posterEntries = Array.from(uniquePosters.entries());
+  
+  for (let i = 0; i < posterEntries.length; i += batchSize) {
+    const batch = posterEntries.slice(i, i + batchSize);
+    const results = await Promise.all(
+      batch.map(([artworkKey, thumbPath]) => downloadPoster(artworkKey, thumbPath, postersDir))
+    );
+    
+    for (const success of results) {
+      if (success) {
+        downloaded++;
+      } else {
+        skipped++;
+      }
+    }
+    
+    // Log progress every batch
+    if ((i + batchSize) % 50 === 0 || i + batchSize >= posterEntries.length) {
+      console.log(`  Progress: ${Math.min(i + batchSize, posterEntries.length)}/${posterEntries.length} posters processed (${downloaded} downloaded, ${skipped} skipped)...`);
+    }
+  }
+  
+  return { downloaded, skipped };
+}
+
+// Replace the Plex events in a data file, keeping events from other sources and
+// leaving out plays Tautulli already has
+function syncEvents(filePath, mediaType, historyEvents, viewedItemEvents) {
+  const fileEvents = withoutTautulliDuplicates(replaceSourceEvents(
+    readEventFile(filePath),
+    'plex',
+    historyEvents.concat(viewedItemEvents).filter(event => event.mediaType === mediaType)
+  ));
+  const fileData = writeEventFile(filePath, mediaType, fileEvents);
+  
+  return { events: fileEvents.filter(event => event.source === 'plex'), fileData };
+}
+
+async function generateStaticData() {
+  try {
+    // Create data directory
+    const dataDir = join(__dirname, '../public/data');
+    mkdirSync(dataDir, { recursive: true });
+    
+    // Create posters directory
+    const postersDir = join(dataDir, 'posters');
+    mkdirSync(postersDir, { recursive: true });
+    
+    const fetchStart = Date.now();
+    console.log('Fetching data from Plex...\n');
+    
+    const itemsByKey = await fetchLibraryItems();
+    
+    console.log('Fetching Plex play history...');
+    const history = await plex.getHistory({
+      accountId: PLEX_ACCOUNT_ID,
+      onProgress: (fetched, total) => console.log(`  Progress: ${fetched}/${total} history entries fetched...`)
+    });
+    
+    const historyEvents = history
+      .map(entry => fromPlexHistoryEntry(entry, itemsByKey.get(String(entry.ratingKey))))
+      .filter(Boolean);
+    
+    // Watched items whose plays are missing from the history (e.g. cleared or pre-dating it)
+    const playedKeys = new Set(historyEvents.map(event => String(event.itemKey)));
+    const viewedItemEvents = Array.from(itemsByKey.values())
+      .filter(item => !playedKeys.has(String(item.ratingKey)))
+      .map(fromPlexViewedItem)
+      .filter(Boolean);
+    
+    console.log(`  ${historyEvents.length} plays in history, ${viewedItemEvents.length} more watched items without history`);
+    
+    const movies = syncEvents(join(dataDir, 'movies.json'), 'movie', historyEvents, viewedItemEvents);
+    const tvShows = syncEvents(join(dataDir, 'tv-shows.json'), 'episode', historyEvents, viewedItemEvents);
+    
+    // Download posters
+    console.log('Downloading posters...');
+    const postersStart = Date.now();
+    const { downloaded, skipped } = await downloadPosters(movies.events.concat(tvShows.events), postersDir);
+    const postersTime = ((Date.now() - postersStart) / 1000).toFixed(2);
+    console.log(`  Downloaded ${downloaded} posters, skipped ${skipped} (${postersTime}s)`);
+    
+    console.log(`✓ Movies data saved (${movies.events.length} Plex plays not already in Tautulli, ${movies.fileData._metadata.itemCount} total)`);
+    console.log(`✓ TV shows data saved (${tvShows.events.length} Plex plays not already in Tautulli, ${tvShows.fileData._metadata.itemCount} total)`);
+    
+    const totalTime = ((Date.now() - fetchStart) / 1000).toFixed(2);
+    console.log(`\n✓ Plex data generation complete! (Total: ${totalTime}s)`);
+    console.log(`Data saved to: ${dataDir}`);
+  } catch (error) {
+    console.error('Failed to generate Plex data:', error);
+    process.exit(1);
+  }
+}
+
+generateStaticData();
@@ -1,7 +1,13 @@
 import dotenv from 'dotenv';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename } from 'path';
+import { createTautulliClient } from '../lib/clients/tautulli.js';
+import { createPlexClient } from '../lib/clients/plex.js';
+import { fetchPlexArtwork, saveImage, hasSavedImage, ARTWORK_VERSIONS_FILE, readArtworkVersions, writeArtworkVersions } from '../lib/clients/artwork.js';
+import { METADATA_CACHE_FILE, readMetadataCache, writeMetadataCache } from '../lib/clients/metadataCache.js';
+import { fromTautulliRow, toMetadataBlock } from '../lib/events/index.js';
+import { readEventFile, writeEventFile, mergeEvents, replaceSourceEvents, withoutTautulliDuplicates } from '../lib/events/files.js';
 
 dotenv.config();
 
@@ -13,24 +19,66 @@ const API_KEY = process.env.TAUTULLI_API_KEY;
 const PLEX_URL = process.env.PLEX_URL;
 const PLEX_TOKEN = process.env.PLEX_TOKEN;
 
+// --incremental: only fetch plays newer than what's already in the JSON files
+// and merge them in, so plays purged from Tautulli later are kept
+const INCREMENTAL = process.argv.includes('--incremental');
+
+// --refresh-artwork: download every poster and album cover again, even if its Plex
+// thumb hasn't changed. --refresh-artwork=<key>[,<key>...] only refreshes the items
+// with those rating_keys (a movie, a show's grandparent_rating_key, a season, an album,
+// or any of their episodes/tracks)
+const REFRESH_ARTWORK = (() => {
+  const arg = process.argv.find(a => a === '--refresh-artwork' || a.startsWith('--refresh-artwork='));
+  if (!arg) {
+    return null;
+  }
+  return arg.includes('=') ? new Set(arg.split('=')[1].split(',').filter(Boolean)) : 'all';
+})();
+
+const artworkVersionsFile = join(__dirname, '../public/data', ARTWORK_VERSIONS_FILE);
+const artworkVersions = readArtworkVersions(artworkVersionsFile);
+
+// --refresh-metadata: call get_metadata again for every movie, show and season in the
+// data files instead of using the metadata cached by earlier runs (e.g. to pick up new
+// ratings or edited genres)
+const REFRESH_METADATA = process.argv.includes('--refresh-metadata');
+
+const metadataCacheFile = join(__dirname, '../public/data', METADATA_CACHE_FILE);
+const metadataCache = readMetadataCache(metadataCacheFile);
+
+// Cached show and season metadata older than this is fetched again, as episode counts change
+const SHOW_METADATA_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
 if (!TAUTULLI_URL || !API_KEY) {
   console.error('ERROR: Missing required environment variables!');
   console.error('Please set TAUTULLI_URL and TAUTULLI_API_KEY in your .env file');
   process.exit(1);
 }
 
-async function fetchData(mediaType) {
-  const url = `${TAUTULLI_URL}/api/v2?apikey=${API_KEY}&cmd=get_history&length=10000&media_type=${mediaType}`;
-  console.log(`Fetching ${mediaType} data from Tautulli...`);
+const tautulli = createTautulliClient({ url: TAUTULLI_URL, apiKey: API_KEY });
+const plex = createPlexClient({ url: PLEX_URL, token: PLEX_TOKEN });
+
+async function fetchData(mediaType, cursor = null) {
+  let after;
+  if (cursor) {
+    // Tautulli's "after" filter is day-granular and inclusive, so go back a day
+    // to be safe across timezones and filter precisely by row_id below
+    after = new Date((cursor.date - 86400) * 1000).toISOString().slice(0, 10);
+    console.log(`Fetching ${mediaType} data from Tautulli (newer than row ${cursor.rowId})...`);
+  } else {
+    console.log(`Fetching ${mediaType} data from Tautulli...`);
+  }
   
   try {
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await tautulli.getHistory(mediaType, {
+      after,
+      onProgress: (fetched, total) => console.log(`  Progress: ${fetched}/${total} ${mediaType} rows fetched...`)
+    });
     
-    // Filter to ensure correct media type
-    if (data.response?.data?.data) {
+    // Only keep rows we don't already have
+    if (cursor) {
       data.response.data.data = data.response.data.data.filter(
-        item => item.media_type === mediaType
+        item => getRowId(item) > cursor.rowId
       );
     }
     
@@ -41,74 +89,289 @@ async function fetchData(mediaType) {
   }
 }
 
-async function downloadPoster(ratingKey, thumbPath, postersDir) {
+function getRowId(item) {
+  return Number(item.row_id || item.id || 0);
+}
+
+// Newest Tautulli row_id and play date already stored, used as the starting point for an incremental sync
+function getSyncCursor(existingEvents) {
+  let rowId = 0;
+  let date = 0;
+  existingEvents
+    .filter(event => event.source === 'tautulli')
+    .forEach(event => {
+      rowId = Math.max(rowId, Number(event.details.row_id) || 0);
+      date = Math.max(date, event.consumedAt);
+    });
+  
+  return rowId > 0 ? { rowId, date } : null;
+}
+
+// Fetch history for a media type, either in full or incrementally on top of the existing file.
+// Events from other sources (e.g. Jellyfin) already in the file are kept, except Plex
+// plays Tautulli recorded too.
+// `enrich` can complete the Tautulli events of the merged file, so older plays pick up
+// metadata that changed since they were fetched (e.g. a show's episode count)
+async function syncHistory(mediaType, filePath, { enrich } = {}) {
+  const existingEvents = readEventFile(filePath);
+  const cursor = INCREMENTAL ? getSyncCursor(existingEvents) : null;
+  
+  if (INCREMENTAL && !cursor) {
+    console.log(`  No existing ${mediaType} data found, doing a full fetch`);
+  }
+  
+  const freshData = await fetchData(mediaType, cursor);
+  const newEvents = (freshData.response?.data?.data || []).map(fromTautulliRow);
+  
+  if (cursor) {
+    console.log(`  ${newEvents.length} new ${mediaType} play(s) since last sync`);
+  }
+  // Plays fetch-plex-data.js added before Tautulli had them give way to Tautulli's
+  const events = withoutTautulliDuplicates(cursor
+    ? mergeEvents(existingEvents, newEvents)
+    : replaceSourceEvents(existingEvents, 'tautulli', newEvents));
+  const syncMode = cursor ? 'incremental' : 'full';
+  
+  if (!enrich) {
+    return { events, newEvents, syncMode };
+  }
+  
+  const enrichedEvents = await enrich(events, newEvents);
+  const newIds = new Set(newEvents.map(event => event.id));
+  return { events: enrichedEvents, newEvents: enrichedEvents.filter(event => newIds.has(event.id)), syncMode };
+}
+
+const isTautulliEvent = (event) => event.source === 'tautulli';
+
+const isRefreshRequested = (event) => REFRESH_ARTWORK === 'all' || Boolean(
+  REFRESH_ARTWORK?.has(String(event.artworkKey)) || REFRESH_ARTWORK?.has(String(event.itemKey)) ||
+  REFRESH_ARTWORK?.has(String(event.parentKey))
+);
+
+// Number of episodes Plex has for a show or season, from Tautulli metadata
+// (a show's children are its seasons, so only a season falls back to children_count)
+const getEpisodeCount = (metadata) => {
+  const count = Number(metadata?.leaf_count ?? (metadata?.media_type === 'season' ? metadata.children_count : null));
+  return count > 0 ? count : null;
+};
+
+// Call get_metadata for rating_keys in parallel batches and cache toEntry(data) of
+// each. Failures aren't cached, so the next run tries again. Returns how many failed
+async function fetchMetadataEntries(keys, toEntry) {
+  const batchSize = 10;
+  let failed = 0;
+  
+  for (let i = 0; i < keys.length; i += batchSize) {
+    await Promise.all(keys.slice(i, i + batchSize).map(async (ratingKey) => {
+      try {
+        const data = await tautulli.getMetadata(ratingKey);
+        metadataCache[ratingKey] = { fetchedAt: new Date().toISOString(), ...toEntry(data.response?.data) };
+      } catch (err) {
+        failed++;
+      }
+    }));
+  }
+  
+  return failed;
+}
+
+const isStale = (entry) => !entry || Date.now() - new Date(entry.fetchedAt).getTime() > SHOW_METADATA_MAX_AGE;
+
+// Season and show artwork, episode counts and show metadata for episodes, from
+// Tautulli's metadata for each season and show. History rows only carry a single
+// thumb (the season's or the episode's, depending on the Tautulli version), so the
+// show poster comes from here. The counts are stored as details.showEpisodeCount/
+// seasonEpisodeCount, the show's genres, cast etc. as details.metadata (see
+// toMetadataBlock). The metadata is cached with the movies', and fetched again for
+// shows and seasons with new plays or once it's a week old, as episode counts change.
+// Each episode's runtime is fetched once, as details.runtime (a history row's duration
+// is the time played)
+async function addShowMetadata(episodes, newEpisodes) {
+  const metadataKeys = new Set();
+  const watchedKeys = new Set();
+  episodes.filter(isTautulliEvent).forEach(episode => {
+    [episode.parentKey, episode.groupKey].filter(Boolean).forEach(ratingKey => metadataKeys.add(String(ratingKey)));
+  });
+  newEpisodes.forEach(episode => {
+    [episode.parentKey, episode.groupKey].filter(Boolean).forEach(ratingKey => watchedKeys.add(String(ratingKey)));
+  });
+  
+  const keys = Array.from(metadataKeys).filter(ratingKey =>
+    REFRESH_METADATA || watchedKeys.has(ratingKey) || isStale(metadataCache[ratingKey]));
+  
+  if (keys.length > 0) {
+    console.log(`  Fetching metadata for ${keys.length} show(s) and season(s)...`);
+    const failed = await fetchMetadataEntries(keys, (metadata) => ({
+      metadata: toMetadataBlock(metadata),
+      thumb: metadata?.thumb || null,
+      parentThumb: metadata?.parent_thumb || null,
+      episodeCount: getEpisodeCount(metadata)
+    }));
+    
+    if (failed > 0) {
+      // Their episodes keep what they had from earlier runs
+      console.warn(`  ⚠️  Could not fetch metadata for ${failed} show(s) and season(s), they'll be retried next run`);
+    }
+    writeMetadataCache(metadataCacheFile, metadataCache);
+  }
+  
+  const episodeKeys = Array.from(new Set(episodes.filter(isTautulliEvent).map(episode => String(episode.itemKey))))
+    .filter(ratingKey => REFRESH_METADATA || !metadataCache[ratingKey]);
+  
+  if (episodeKeys.length > 0) {
+    console.log(`  Fetching runtimes of ${episodeKeys.length} episode(s)...`);
+    const failed = await fetchMetadataEntries(episodeKeys, (metadata) => ({ runtime: toMetadataBlock(metadata)?.runtime ?? null }));
+    
+    if (failed > 0) {
+      console.warn(`  ⚠️  Could not fetch the runtime of ${failed} episode(s), they'll be retried next run`);
+    }
+    writeMetadataCache(metadataCacheFile, metadataCache);
+  }
+  
+  return episodes.map(episode => {
+    const season = episode.parentKey ? metadataCache[String(episode.parentKey)] : null;
+    const show = episode.groupKey ? metadataCache[String(episode.groupKey)] : null;
+    const runtime = metadataCache[String(episode.itemKey)]?.runtime;
+    if (!isTautulliEvent(episode) || (!season && !show && !runtime)) {
+      return episode;
+    }
+    return {
+      ...episode,
+      parentThumb: episode.parentThumb || season?.thumb || null,
+      groupThumb: episode.groupThumb || show?.thumb || season?.parentThumb || null,
+      details: {
+        ...episode.details,
+        showEpisodeCount: show?.episodeCount ?? episode.details.showEpisodeCount ?? null,
+        seasonEpisodeCount: season?.episodeCount ?? episode.details.seasonEpisodeCount ?? null,
+        metadata: show?.metadata ?? episode.details.metadata ?? null,
+        runtime: runtime ?? episode.details.runtime ?? null
+      }
+    };
+  });
+}
+
+// Genres, directors, cast, studio, content rating and ratings for movies, from
+// Tautulli's metadata, stored as details.metadata (see toMetadataBlock). get_metadata
+// is called once per rating_key; the results are cached in public/data between runs
+async function addMovieMetadata(movies) {
+  const keys = Array.from(new Set(movies.filter(isTautulliEvent).map(movie => String(movie.itemKey))))
+    .filter(ratingKey => REFRESH_METADATA || !metadataCache[ratingKey]);
+  
+  if (keys.length > 0) {
+    console.log(`  Fetching metadata for ${keys.length} movie(s)...`);
+    const failed = await fetchMetadataEntries(keys, (metadata) => ({ metadata: toMetadataBlock(metadata) }));
+    
+    if (failed > 0) {
+      // A refresh keeps their cached metadata
+      console.warn(`  ⚠️  Could not fetch metadata for ${failed} movie(s), they'll be retried next run`);
+    }
+    writeMetadataCache(metadataCacheFile, metadataCache);
+  }
+  
+  return movies.map(movie => (isTautulliEvent(movie) ? {
+    ...movie,
+    details: {
+      ...movie.details,
+      metadata: metadataCache[String(movie.itemKey)]?.metadata ?? movie.details.metadata ?? null
+    }
+  } : movie));
+}
+
+// [artworkKey, thumbPath, refresh] for the artwork of the new plays, plus that of any
+// item --refresh-artwork asks for (which may only have older plays). The first
+// (newest) play of an item decides its thumb. getArtworkKey picks other artwork
+// than the item's own (e.g. an episode's season poster)
+function collectArtwork(sync, getThumbPath, getArtworkKey = event => event.artworkKey) {
+  const events = REFRESH_ARTWORK
+    ? sync.newEvents.concat(sync.events.filter(isRefreshRequested))
+    : sync.newEvents;
+  const artwork = new Map();
+  events.forEach(event => {
+    const artworkKey = getArtworkKey(event);
+    const thumbPath = getThumbPath(event);
+    if (artworkKey && thumbPath && !artwork.has(artworkKey)) {
+      artwork.set(artworkKey, [artworkKey, thumbPath, isRefreshRequested(event)]);
+    }
+  });
+  return Array.from(artwork.values());
+}
+
+// Download a poster unless the saved one came from the same thumb version.
+// Returns 'current', 'downloaded', 'updated' or 'failed'
+async function downloadPoster(ratingKey, thumbPath, postersDir, refresh = false) {
   const posterPath = join(postersDir, `${ratingKey}.jpg`);
+  const versionKey = `${basename(postersDir)}/${ratingKey}`;
+  const exists = hasSavedImage(posterPath);
   
-  // Skip if poster already exists
-  if (existsSync(posterPath)) {
-    return true; // Success - already exists
+  if (exists && !refresh) {
+    // Posters saved before versions were recorded are assumed to be current
+    if (!artworkVersions[versionKey]) {
+      artworkVersions[versionKey] = thumbPath;
+    }
+    if (artworkVersions[versionKey] === thumbPath) {
+      return 'current';
+    }
   }
   
   if (!thumbPath) {
-    return false; // No thumb path available
+    return 'failed'; // No thumb path available
   }
   
-  // Download directly from Tautulli/Plex (same logic as server.js)
   try {
-    // Try Tautulli's image proxy first (if available)
-    try {
-      const tautulliImageUrl = `${TAUTULLI_URL}/api/v2?apikey=${API_KEY}&cmd=get_pms_image&img=${encodeURIComponent(thumbPath)}`;
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-      
-      const response = await fetch(tautulliImageUrl, {
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (response.ok) {
-        const imageBuffer = await response.arrayBuffer();
-        writeFileSync(posterPath, Buffer.from(imageBuffer));
-        return true;
-      }
-    } catch (err) {
-      // Fall through to Plex direct access
-      if (err.name !== 'AbortError') {
-        console.log(`  Tautulli proxy failed for ${ratingKey}, trying Plex...`);
+    const image = await fetchPlexArtwork(thumbPath, {
+      tautulli,
+      plex,
+      onFallback: (err) => {
+        if (!err.timedOut) {
+          console.log(`  Tautulli proxy failed for ${ratingKey}, trying Plex...`);
+        }
       }
-    }
+    });
+    saveImage(posterPath, image);
+    artworkVersions[versionKey] = thumbPath;
+    return exists ? 'updated' : 'downloaded';
+  } catch (err) {
+    // Silently skip errors (timeouts, network issues, etc.) - an outdated poster
+    // keeps its old version, so it is tried again next time
+  }
+  
+  return 'failed'; // Failed to download
+}
+
+// Download artwork for [artworkKey, thumbPath, refresh] entries in parallel batches, logging progress
+async function downloadArtwork(entries, artworkDir) {
+  let downloaded = 0;
+  let updated = 0;
+  let skipped = 0;
+  
+  // Download posters in parallel batches for speed
+  const batchSize = 10;
+  
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+    const results = await Promise.all(
+      batch.map(([ratingKey, thumbPath, refresh]) => downloadPoster(ratingKey, thumbPath, artworkDir, refresh))
+    );
     
-    // Fallback: Try Plex direct access
-    if (PLEX_URL && PLEX_TOKEN && PLEX_TOKEN !== 'your_plex_token_here') {
-      let plexUrl = `${PLEX_URL}${thumbPath}`;
-      if (PLEX_TOKEN) {
-        plexUrl += `?X-Plex-Token=${PLEX_TOKEN}`;
-      }
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-      
-      const response = await fetch(plexUrl, {
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (response.ok) {
-        const imageBuffer = await response.arrayBuffer();
-        writeFileSync(posterPath, Buffer.from(imageBuffer));
-        return true;
+    for (const result of results) {
+      if (result === 'failed') {
+        skipped++;
+      } else {
+        downloaded++;
+        if (result === 'updated') {
+          updated++;
+        }
       }
     }
-  } catch (err) {
-    // Silently skip errors (timeouts, network issues, etc.)
-    if (err.name !== 'AbortError') {
-      // Only log non-timeout errors for debugging
+    
+    // Log progress every batch
+    if ((i + batchSize) % 50 === 0 || i + batchSize >= entries.length) {
+      console.log(`  Progress: ${Math.min(i + batchSize, entries.length)}/${entries.length} posters processed (${downloaded} downloaded, ${skipped} skipped)...`);
     }
   }
   
-  return false; // Failed to download
+  writeArtworkVersions(artworkVersionsFile, artworkVersions);
+  return { downloaded, updated, skipped };
 }
 
 async function generateStaticData() {
@@ -121,129 +384,86 @@ async function generateStaticData() {
     const postersDir = join(dataDir, 'posters');
     mkdirSync(postersDir, { recursive: true });
     
+    // Create album art directory
+    const albumArtDir = join(dataDir, 'album-art');
+    mkdirSync(albumArtDir, { recursive: true });
+    
     const fetchStart = Date.now();
     console.log('Fetching data from Tautulli API...\n');
     
     // Fetch movies
     const moviesStart = Date.now();
-    const moviesData = await fetchData('movie');
+    const moviesFile = join(dataDir, 'movies.json');
+    const moviesSync = await syncHistory('movie', moviesFile, { enrich: addMovieMetadata });
     
     // Download unique movie posters
     console.log('Downloading movie posters...');
     const moviePostersStart = Date.now();
-    const uniqueMovies = new Map();
-    moviesData.response?.data?.data?.forEach(movie => {
-      if (movie.rating_key && movie.thumb && !uniqueMovies.has(movie.rating_key)) {
-        uniqueMovies.set(movie.rating_key, movie.thumb);
-      }
-    });
-    
-    let downloaded = 0;
-    let skipped = 0;
-    let errorCount = 0;
+    // Incremental syncs only need posters for the new plays
+    const moviePosters = collectArtwork(moviesSync, movie => movie.thumb);
     
-    // Download posters in parallel batches for speed
-    const batchSize = 10;
-    const movieEntries = Array.from(uniqueMovies.entries());
-    
-    for (let i = 0; i < movieEntries.length; i += batchSize) {
-      const batch = movieEntries.slice(i, i + batchSize);
-      const results = await Promise.all(
-        batch.map(([ratingKey, thumbPath]) => downloadPoster(ratingKey, thumbPath, postersDir))
-      );
-      
-      for (const success of results) {
-        if (success) {
-          downloaded++;
-        } else {
-          skipped++;
-          errorCount++;
-        }
-      }
-      
-      // Log progress every batch
-      if ((i + batchSize) % 50 === 0 || i + batchSize >= movieEntries.length) {
-        console.log(`  Progress: ${Math.min(i + batchSize, movieEntries.length)}/${movieEntries.length} posters processed (${downloaded} downloaded, ${skipped} skipped)...`);
-      }
-    }
+    const { downloaded: moviePostersDownloaded, updated: moviePostersUpdated, skipped: moviePostersSkipped } = await downloadArtwork(moviePosters, postersDir);
     const moviePostersTime = ((Date.now() - moviePostersStart) / 1000).toFixed(2);
-    console.log(`  Downloaded ${downloaded} posters, skipped ${skipped} (${moviePostersTime}s)`);
+    console.log(`  Downloaded ${moviePostersDownloaded} posters (${moviePostersUpdated} updated), skipped ${moviePostersSkipped} (${moviePostersTime}s)`);
     
-    const moviesDataWithMetadata = {
-      ...moviesData,
-      _metadata: {
-        lastFetched: new Date().toISOString(),
-        itemCount: moviesData.response?.data?.data?.length || 0
-      }
-    };
-    writeFileSync(
-      join(dataDir, 'movies.json'),
-      JSON.stringify(moviesDataWithMetadata, null, 2)
-    );
+    const moviesDataWithMetadata = writeEventFile(moviesFile, 'movie', moviesSync.events, {
+      syncMode: moviesSync.syncMode,
+      newItemCount: moviesSync.newEvents.length
+    });
     const moviesTime = ((Date.now() - moviesStart) / 1000).toFixed(2);
     console.log(`✓ Movies data saved (${moviesDataWithMetadata._metadata.itemCount} items, ${moviesTime}s)`);
     
     // Fetch TV shows (episodes)
     const tvStart = Date.now();
-    const tvData = await fetchData('episode');
+    const tvFile = join(dataDir, 'tv-shows.json');
+    const tvSync = await syncHistory('episode', tvFile, { enrich: addShowMetadata });
     
-    // Download unique TV show posters (use grandparent_rating_key for shows)
+    // Download unique TV show posters (episodes use their show's key as artworkKey)
     console.log('Downloading TV show posters...');
     const tvPostersStart = Date.now();
-    const uniqueShows = new Map();
-    tvData.response?.data?.data?.forEach(episode => {
-      const showKey = episode.grandparent_rating_key || episode.parent_rating_key;
-      const thumbPath = episode.thumb || episode.parent_thumb || episode.grandparent_thumb;
-      if (showKey && thumbPath && !uniqueShows.has(showKey)) {
-        uniqueShows.set(showKey, thumbPath);
-      }
-    });
+    const showPosters = collectArtwork(tvSync, episode => episode.groupThumb || episode.parentThumb || episode.thumb);
     
-    downloaded = 0;
-    skipped = 0;
-    errorCount = 0;
+    const { downloaded: tvPostersDownloaded, updated: tvPostersUpdated, skipped: tvPostersSkipped } = await downloadArtwork(showPosters, postersDir);
+    const tvPostersTime = ((Date.now() - tvPostersStart) / 1000).toFixed(2);
+    console.log(`  Downloaded ${tvPostersDownloaded} posters (${tvPostersUpdated} updated), skipped ${tvPostersSkipped} (${tvPostersTime}s)`);
     
-    // Download posters in parallel batches for speed
-    const showBatchSize = 10;
-    const showEntries = Array.from(uniqueShows.entries());
+    // Download season posters, keyed by the season's rating_key (parent_rating_key)
+    console.log('Downloading TV season posters...');
+    const seasonPostersStart = Date.now();
+    const seasonPosters = collectArtwork(tvSync, episode => episode.parentThumb, episode => episode.parentKey);
     
-    for (let i = 0; i < showEntries.length; i += showBatchSize) {
-      const batch = showEntries.slice(i, i + showBatchSize);
-      const results = await Promise.all(
-        batch.map(([ratingKey, thumbPath]) => downloadPoster(ratingKey, thumbPath, postersDir))
-      );
-      
-      for (const success of results) {
-        if (success) {
-          downloaded++;
-        } else {
-          skipped++;
-          errorCount++;
-        }
-      }
-      
-      // Log progress every batch
-      if ((i + showBatchSize) % 50 === 0 || i + showBatchSize >= showEntries.length) {
-        console.log(`  Progress: ${Math.min(i + showBatchSize, showEntries.length)}/${showEntries.length} posters processed (${downloaded} downloaded, ${skipped} skipped)...`);
-      }
-    }
-    const tvPostersTime = ((Date.now() - tvPostersStart) / 1000).toFixed(2);
-    console.log(`  Downloaded ${downloaded} posters, skipped ${skipped} (${tvPostersTime}s)`);
+    const { downloaded: seasonPostersDownloaded, updated: seasonPostersUpdated, skipped: seasonPostersSkipped } = await downloadArtwork(seasonPosters, postersDir);
+    const seasonPostersTime = ((Date.now() - seasonPostersStart) / 1000).toFixed(2);
+    console.log(`  Downloaded ${seasonPostersDownloaded} season posters (${seasonPostersUpdated} updated), skipped ${seasonPostersSkipped} (${seasonPostersTime}s)`);
     
-    const tvDataWithMetadata = {
-      ...tvData,
-      _metadata: {
-        lastFetched: new Date().toISOString(),
-        itemCount: tvData.response?.data?.data?.length || 0
-      }
-    };
-    writeFileSync(
-      join(dataDir, 'tv-shows.json'),
-      JSON.stringify(tvDataWithMetadata, null, 2)
-    );
+    const tvDataWithMetadata = writeEventFile(tvFile, 'episode', tvSync.events, {
+      syncMode: tvSync.syncMode,
+      newItemCount: tvSync.newEvents.length
+    });
     const tvTime = ((Date.now() - tvStart) / 1000).toFixed(2);
     console.log(`✓ TV shows data saved (${tvDataWithMetadata._metadata.itemCount} items, ${tvTime}s)`);
     
+    // Fetch music (tracks)
+    const musicStart = Date.now();
+    const musicFile = join(dataDir, 'music.json');
+    const musicSync = await syncHistory('track', musicFile);
+    
+    // Download unique album art (tracks use their album's key as artworkKey)
+    console.log('Downloading album art...');
+    const albumArtStart = Date.now();
+    const albumArt = collectArtwork(musicSync, track => track.parentThumb || track.thumb);
+    
+    const { downloaded: albumArtDownloaded, updated: albumArtUpdated, skipped: albumArtSkipped } = await downloadArtwork(albumArt, albumArtDir);
+    const albumArtTime = ((Date.now() - albumArtStart) / 1000).toFixed(2);
+    console.log(`  Downloaded ${albumArtDownloaded} album covers (${albumArtUpdated} updated), skipped ${albumArtSkipped} (${albumArtTime}s)`);
+    
+    const musicDataWithMetadata = writeEventFile(musicFile, 'track', musicSync.events, {
+      syncMode: musicSync.syncMode,
+      newItemCount: musicSync.newEvents.length
+    });
+    const musicTime = ((Date.now() - musicStart) / 1000).toFixed(2);
+    console.log(`✓ Music data saved (${musicDataWithMetadata._metadata.itemCount} plays, ${musicTime}s)`);
+    
     const totalTime = ((Date.now() - fetchStart) / 1000).toFixed(2);
     console.log(`\n✓ Static data generation complete! (Total: ${totalTime}s)`);
     console.log(`Data saved to: ${dataDir}`);
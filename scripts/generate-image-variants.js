@@ -0,0 +1,36 @@
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { generateImageVariants } from '../lib/images/variants.js';
+import { IMAGE_MANIFEST_FILE } from '../lib/images/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Run after every fetch script: resizes new or re-downloaded posters/covers
+// into WebP/AVIF variants and updates public/data/image-manifest.json
+async function generateResponsiveImages() {
+  try {
+    const force = process.argv.includes('--force');
+    const start = Date.now();
+    console.log(`Generating responsive image variants${force ? ' (all images)' : ''}...`);
+    
+    const dataDir = join(__dirname, '../public/data');
+    const { generated, skipped, failed, removed } = await generateImageVariants(dataDir, {
+      force,
+      onProgress: ({ generated }) => {
+        if (generated > 0 && generated % 50 === 0) {
+          console.log(`  Progress: ${generated} images processed...`);
+        }
+      }
+    });
+    
+    const time = ((Date.now() - start) / 1000).toFixed(2);
+    console.log(`✓ Image variants: ${generated} generated, ${skipped} up to date, ${removed} removed${failed > 0 ? `, ${failed} failed` : ''} (${time}s)`);
+    console.log(`  Manifest saved to public/data/${IMAGE_MANIFEST_FILE}`);
+  } catch (error) {
+    console.error('Failed to generate image variants:', error);
+    process.exit(1);
+  }
+}
+
+generateResponsiveImages();
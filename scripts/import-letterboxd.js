@@ -0,0 +1,108 @@
+import { readFileSync, existsSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseCsv } from '../lib/csv.js';
+import { fromLetterboxdDiaryEntry, indexLetterboxdRatings, createMovieMatcher } from '../lib/events/index.js';
+import { readEventFile, writeEventFile, replaceSourceEvents } from '../lib/events/files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// How far (seconds) a diary date may be from a library play of the same movie
+// and still be the same watch, logged in Letterboxd as well
+const LIBRARY_MATCH_WINDOW = 36 * 3600;
+
+// Either the unzipped Letterboxd export folder, or diary.csv (and optionally ratings.csv)
+function getExportFiles(args) {
+  if (args.length === 0) {
+    console.error('Usage: npm run import-letterboxd -- <letterboxd export folder | diary.csv> [ratings.csv]');
+    process.exit(1);
+  }
+  
+  if (statSync(args[0]).isDirectory()) {
+    const ratingsPath = join(args[0], 'ratings.csv');
+    return {
+      diaryPath: join(args[0], 'diary.csv'),
+      ratingsPath: existsSync(ratingsPath) ? ratingsPath : null
+    };
+  }
+  
+  return { diaryPath: args[0], ratingsPath: args[1] || null };
+}
+
+// Library (non-Letterboxd) play times of each movie
+function getLibraryPlays(libraryEvents) {
+  const playsByItem = new Map();
+  libraryEvents.forEach(event => {
+    const key = String(event.itemKey);
+    if (!playsByItem.has(key)) {
+      playsByItem.set(key, []);
+    }
+    playsByItem.get(key).push(event.consumedAt);
+  });
+  return playsByItem;
+}
+
+function importLetterboxd() {
+  try {
+    const { diaryPath, ratingsPath } = getExportFiles(process.argv.slice(2));
+    if (!existsSync(diaryPath)) {
+      throw new Error(`Letterboxd diary not found: ${diaryPath}`);
+    }
+    
+    const moviesFile = join(__dirname, '../public/data/movies.json');
+    const existingEvents = readEventFile(moviesFile);
+    const libraryEvents = existingEvents.filter(event => event.source !== 'letterboxd');
+    
+    const diary = parseCsv(readFileSync(diaryPath, 'utf8'));
+    const ratings = indexLetterboxdRatings(ratingsPath ? parseCsv(readFileSync(ratingsPath, 'utf8')) : []);
+    console.log(`Read ${diary.length} diary entries${ratingsPath ? ` and ${ratings.size} ratings` : ''}`);
+    
+    const findMovie = createMovieMatcher(libraryEvents);
+    const libraryPlays = getLibraryPlays(libraryEvents);
+    // Imported entries are either matched to a library movie or not in the library
+    let matched = 0;
+    let notInLibrary = 0;
+    let alreadyPlayed = 0;
+    let undated = 0;
+    
+    const events = [];
+    diary.forEach(entry => {
+      const match = findMovie(entry.Name, entry.Year);
+      const event = fromLetterboxdDiaryEntry(entry, match, ratings);
+      if (!event) {
+        undated++;
+        return;
+      }
+      
+      if (match) {
+        // Watches logged in Letterboxd that the media server already recorded
+        const plays = libraryPlays.get(String(match.itemKey)) || [];
+        if (plays.some(playedAt => Math.abs(playedAt - event.consumedAt) <= LIBRARY_MATCH_WINDOW)) {
+          alreadyPlayed++;
+          return;
+        }
+        matched++;
+      } else {
+        notInLibrary++;
+      }
+      events.push(event);
+    });
+    
+    console.log(`  ${matched} matched to library movies, ${notInLibrary} not in the library`);
+    if (alreadyPlayed > 0) {
+      console.log(`  Skipped ${alreadyPlayed} already in the play history`);
+    }
+    if (undated > 0) {
+      console.log(`  Skipped ${undated} without a title or watch date`);
+    }
+    
+    const fileData = writeEventFile(moviesFile, 'movie', replaceSourceEvents(existingEvents, 'letterboxd', events));
+    console.log(`✓ Imported ${events.length} external watches (${fileData._metadata.itemCount} movie events in total)`);
+  } catch (error) {
+    console.error('Failed to import Letterboxd data:', error);
+    process.exit(1);
+  }
+}
+
+importLetterboxd();
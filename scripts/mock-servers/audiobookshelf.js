@@ -0,0 +1,43 @@
+import { readFixture, createPosterImage, startMockServer } from './common.js';
+
+// Local stand-in for the parts of the Audiobookshelf API fetch-audiobooks-data.js uses,
+// serving the user, listening sessions and library items in fixtures/audiobookshelf.json.
+// Any Bearer token is accepted:
+//
+//   npm run mock:audiobookshelf
+//   AUDIOBOOKSHELF_URL=http://localhost:13379 AUDIOBOOKSHELF_API_KEY=mock npm run fetch-audiobooks
+
+const { me, sessions, libraryItems } = readFixture('audiobookshelf.json');
+const cover = await createPosterImage();
+
+startMockServer('Audiobookshelf', 13379, (app) => {
+  app.use((req, res, next) => {
+    if (!/^Bearer .+/.test(req.get('Authorization') || '')) {
+      return res.status(401).send('Unauthorized');
+    }
+    next();
+  });
+  
+  app.get('/api/me', (req, res) => res.json(me));
+  
+  app.get('/api/me/listening-sessions', (req, res) => {
+    const itemsPerPage = Number(req.query.itemsPerPage) || 10;
+    const page = Number(req.query.page) || 0;
+    res.json({
+      total: sessions.length,
+      numPages: Math.ceil(sessions.length / itemsPerPage),
+      page,
+      itemsPerPage,
+      sessions: sessions.slice(page * itemsPerPage, (page + 1) * itemsPerPage)
+    });
+  });
+  
+  app.get('/api/items/:itemId', (req, res) => {
+    const item = libraryItems[req.params.itemId];
+    return item ? res.json(item) : res.status(404).send('Not Found');
+  });
+  
+  app.get('/api/items/:itemId/cover', (req, res) => {
+    return libraryItems[req.params.itemId] ? res.type('image/jpeg').send(cover) : res.status(404).send('Not Found');
+  });
+});
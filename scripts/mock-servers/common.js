@@ -0,0 +1,36 @@
+import express from 'express';
+import sharp from 'sharp';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Fixture data of a mock server, from fixtures/<name>
+export function readFixture(name) {
+  return JSON.parse(readFileSync(join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+// A plain poster-sized JPEG served for every image, so downloads pass the artwork checks
+export function createPosterImage() {
+  return sharp({ create: { width: 200, height: 300, channels: 3, background: '#667eea' } }).jpeg().toBuffer();
+}
+
+// Start a mock server on MOCK_PORT (or defaultPort), logging each request so a
+// fetch script's calls can be followed
+export function startMockServer(name, defaultPort, routes) {
+  const app = express();
+  const port = Number(process.env.MOCK_PORT) || defaultPort;
+  
+  app.use((req, res, next) => {
+    console.log(`${req.method} ${req.originalUrl}`);
+    next();
+  });
+  routes(app);
+  app.use((req, res) => res.status(404).json({ error: `Not mocked: ${req.path}` }));
+  
+  app.listen(port, () => {
+    console.log(`Mock ${name} server running on http://localhost:${port}`);
+  });
+}
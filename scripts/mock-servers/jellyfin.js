@@ -0,0 +1,38 @@
+import { readFixture, createPosterImage, startMockServer } from './common.js';
+
+// Local stand-in for the parts of the Jellyfin API fetch-jellyfin-data.js uses, serving
+// the played items in fixtures/jellyfin.json. Any X-Emby-Token is accepted:
+//
+//   npm run mock:jellyfin
+//   JELLYFIN_URL=http://localhost:8097 JELLYFIN_API_KEY=mock JELLYFIN_USERNAME=mock npm run fetch-jellyfin
+
+const { users, items } = readFixture('jellyfin.json');
+const poster = await createPosterImage();
+
+startMockServer('Jellyfin', 8097, (app) => {
+  app.use((req, res, next) => {
+    if (!req.get('X-Emby-Token')) {
+      return res.status(401).json({ error: 'Missing X-Emby-Token' });
+    }
+    next();
+  });
+  
+  app.get('/Users', (req, res) => res.json(users));
+  
+  app.get('/Users/:userId/Items', (req, res) => {
+    if (!users.some(user => user.Id === req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const types = String(req.query.IncludeItemTypes || '').split(',').filter(Boolean);
+    const matching = items
+      .filter(item => types.length === 0 || types.includes(item.Type))
+      .filter(item => req.query.Filters !== 'IsPlayed' || item.UserData?.Played);
+    const start = Number(req.query.StartIndex) || 0;
+    const limit = Number(req.query.Limit) || matching.length;
+    res.json({ Items: matching.slice(start, start + limit), TotalRecordCount: matching.length, StartIndex: start });
+  });
+  
+  app.get('/Items/:itemId/Images/Primary', (req, res) => {
+    res.type('image/jpeg').send(poster);
+  });
+});
@@ -1,9 +1,19 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import sharp from 'sharp';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync, rmSync } from 'fs';
+import { randomUUID } from 'crypto';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createTautulliClient } from './lib/clients/tautulli.js';
+import { createPlexClient } from './lib/clients/plex.js';
+import { createKomgaClient } from './lib/clients/komga.js';
+import { createKavitaClient } from './lib/clients/kavita.js';
+import { fetchPlexArtwork, saveImage } from './lib/clients/artwork.js';
+import { checkImageBuffer } from './lib/images/check.js';
+import { ARTWORK_DIRS, MANUAL_ENTRIES_FILE, fromManualEntry } from './lib/events/index.js';
+import { readEventFile, writeEventFile } from './lib/events/files.js';
 
 dotenv.config();
 
@@ -13,10 +23,11 @@ const PORT = 3001;
 app.use(cors({
   origin: true,
   credentials: false,
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+// Large enough for poster uploads on manual entries (sent as data URLs)
+app.use(express.json({ limit: '15mb' }));
 
 // All credentials must be set via environment variables
 const TAUTULLI_URL = process.env.TAUTULLI_URL;
@@ -25,6 +36,9 @@ const PLEX_URL = process.env.PLEX_URL;
 const PLEX_TOKEN = process.env.PLEX_TOKEN;
 const KOMGA_URL = process.env.KOMGA_URL || 'http://192.168.1.100:25600';
 const KOMGA_API_KEY = process.env.KOMGA_API_KEY || 'e4710dd37ec1449cb62b90d52d78de09';
+// Kavita is optional (COMIC_SOURCE=kavita), its cover route answers 503 when not configured
+const KAVITA_URL = process.env.KAVITA_URL;
+const KAVITA_API_KEY = process.env.KAVITA_API_KEY;
 
 // Validate required environment variables
 if (!TAUTULLI_URL || !API_KEY) {
@@ -34,74 +48,43 @@ if (!TAUTULLI_URL || !API_KEY) {
   process.exit(1);
 }
 
+const tautulli = createTautulliClient({ url: TAUTULLI_URL, apiKey: API_KEY });
+const plex = createPlexClient({ url: PLEX_URL, token: PLEX_TOKEN });
+const komga = createKomgaClient({ url: KOMGA_URL, apiKey: KOMGA_API_KEY });
+const kavita = KAVITA_URL && KAVITA_API_KEY ? createKavitaClient({ url: KAVITA_URL, apiKey: KAVITA_API_KEY }) : null;
+
+// Send a fetched image with long-lived, cross-origin friendly caching headers
+const sendImage = (res, image) => {
+  res.setHeader('Content-Type', image.contentType);
+  res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.send(image.buffer);
+};
+
 // Proxy endpoint to get history (movies or TV shows)
 app.get('/api/history', async (req, res) => {
   const startTime = Date.now();
+  // Default to movie if not specified
+  const mediaType = req.query.media_type || 'movie';
+  
   try {
-    const { media_type } = req.query;
-    
-    // Build the URL with proper query parameters
-    // Using a large length to get all history, but this can be slow
-    let url = `${TAUTULLI_URL}/api/v2?apikey=${API_KEY}&cmd=get_history&length=10000`;
+    console.log(`[${mediaType}] Fetching from Tautulli...`);
     
-    // Add media_type filter if specified
-    if (media_type) {
-      url += `&media_type=${media_type}`;
-    } else {
-      // Default to movie if not specified
-      url += '&media_type=movie';
-    }
-    
-    console.log(`[${media_type || 'movie'}] Fetching from Tautulli...`);
+    const data = await tautulli.getHistory(mediaType, {
+      onProgress: (fetched, total) => console.log(`[${mediaType}] Fetched ${fetched}/${total} rows...`)
+    });
     
-    // Add timeout to prevent hanging requests (60 seconds)
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 60000);
+    const totalTime = Date.now() - startTime;
+    console.log(`[${mediaType}] Total request time: ${totalTime}ms (${data.response?.data?.data?.length || 0} items)`);
     
-    try {
-      const fetchStart = Date.now();
-      const response = await fetch(url, {
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json',
-        }
-      });
-      clearTimeout(timeoutId);
-      
-      const fetchTime = Date.now() - fetchStart;
-      console.log(`[${media_type || 'movie'}] Tautulli response received in ${fetchTime}ms`);
-      
-      if (!response.ok) {
-        throw new Error(`Tautulli API returned ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      const parseTime = Date.now() - fetchStart - fetchTime;
-      console.log(`[${media_type || 'movie'}] JSON parsed in ${parseTime}ms`);
-      
-      // Filter results on the backend to ensure correct media type
-      if (data.response?.data?.data && media_type) {
-        data.response.data.data = data.response.data.data.filter(
-          item => item.media_type === media_type
-        );
-      }
-      
-      const totalTime = Date.now() - startTime;
-      console.log(`[${media_type || 'movie'}] Total request time: ${totalTime}ms (${data.response?.data?.data?.length || 0} items)`);
-      
-      res.json(data);
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      if (fetchError.name === 'AbortError') {
-        console.error(`[${media_type || 'movie'}] Request timeout after 60 seconds`);
-        res.status(504).json({ error: 'Request timeout - Tautulli server is taking too long to respond' });
-      } else {
-        throw fetchError;
-      }
-    }
+    res.json(data);
   } catch (error) {
     const totalTime = Date.now() - startTime;
-    console.error(`[${req.query.media_type || 'movie'}] Error fetching history (${totalTime}ms):`, error.message);
+    console.error(`[${mediaType}] Error fetching history (${totalTime}ms):`, error.message);
+    if (error.timedOut) {
+      return res.status(504).json({ error: 'Request timeout - Tautulli server is taking too long to respond' });
+    }
     res.status(500).json({ error: 'Failed to fetch history', details: error.message });
   }
 });
@@ -110,10 +93,7 @@ app.get('/api/history', async (req, res) => {
 app.get('/api/metadata/:ratingKey', async (req, res) => {
   try {
     const { ratingKey } = req.params;
-    const response = await fetch(
-      `${TAUTULLI_URL}/api/v2?apikey=${API_KEY}&cmd=get_metadata&rating_key=${ratingKey}`
-    );
-    const data = await response.json();
+    const data = await tautulli.getMetadata(ratingKey);
     res.json(data);
   } catch (error) {
     console.error('Error fetching metadata:', error);
@@ -132,10 +112,7 @@ app.get('/api/poster', async (req, res) => {
     
     // If no thumb path provided, try to get it from rating key
     if (!thumbPath && ratingKey) {
-      const metadataResponse = await fetch(
-        `${TAUTULLI_URL}/api/v2?apikey=${API_KEY}&cmd=get_metadata&rating_key=${ratingKey}`
-      );
-      const metadataData = await metadataResponse.json();
+      const metadataData = await tautulli.getMetadata(ratingKey);
       thumbPath = metadataData.response?.data?.thumb;
     }
     
@@ -143,58 +120,30 @@ app.get('/api/poster', async (req, res) => {
       return res.status(404).json({ error: 'Poster not found' });
     }
     
-    // Try Tautulli's image proxy first (if available)
     try {
-      const tautulliImageUrl = `${TAUTULLI_URL}/api/v2?apikey=${API_KEY}&cmd=get_pms_image&img=${encodeURIComponent(thumbPath)}`;
-      const tautulliResponse = await fetch(tautulliImageUrl);
-      
-      if (tautulliResponse.ok) {
-        const imageBuffer = await tautulliResponse.arrayBuffer();
-        const contentType = tautulliResponse.headers.get('content-type') || 'image/jpeg';
-        
-        res.setHeader('Content-Type', contentType);
-        res.setHeader('Cache-Control', 'public, max-age=31536000');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-        return res.send(Buffer.from(imageBuffer));
-      } else {
-        console.log(`Tautulli image proxy returned ${tautulliResponse.status} for ${thumbPath.substring(0, 50)}...`);
-      }
-    } catch (err) {
-      // Fall through to Plex direct access
-      console.log(`Tautulli image proxy error for ${thumbPath.substring(0, 50)}...:`, err.message);
-    }
-    
-    // Fallback: Construct Plex URL
-    let plexUrl = `${PLEX_URL}${thumbPath}`;
-    if (PLEX_TOKEN && PLEX_TOKEN !== 'your_plex_token_here') {
-      plexUrl += `?X-Plex-Token=${PLEX_TOKEN}`;
-    } else if (!PLEX_TOKEN || PLEX_TOKEN === 'your_plex_token_here') {
-      // If no valid Plex token, return error with helpful message
-      console.error(`Plex token not set or is placeholder. Cannot fetch from Plex: ${thumbPath.substring(0, 50)}...`);
-      return res.status(503).json({ 
-        error: 'Poster unavailable - Plex token not configured. Tautulli proxy failed and Plex requires authentication.' 
+      const image = await fetchPlexArtwork(thumbPath, {
+        tautulli,
+        plex,
+        onFallback: (err) => {
+          console.log(`Tautulli image proxy error for ${thumbPath.substring(0, 50)}...:`, err.message);
+        }
       });
-    }
-    
-    // Fetch the image from Plex and proxy it
-    const imageResponse = await fetch(plexUrl);
-    if (!imageResponse.ok) {
-      console.error(`Failed to fetch poster from Plex: ${imageResponse.status} ${imageResponse.statusText} for ${thumbPath.substring(0, 50)}...`);
-      if (imageResponse.status === 401) {
+      sendImage(res, image);
+    } catch (err) {
+      if (err.status === 503) {
+        // If no valid Plex token, return error with helpful message
+        console.error(`Plex token not set or is placeholder. Cannot fetch from Plex: ${thumbPath.substring(0, 50)}...`);
+        return res.status(503).json({ 
+          error: 'Poster unavailable - Plex token not configured. Tautulli proxy failed and Plex requires authentication.' 
+        });
+      }
+      
+      console.error(`Failed to fetch poster from Plex: ${err.message} for ${thumbPath.substring(0, 50)}...`);
+      if (err.status === 401) {
         console.error('Plex authentication failed. Check PLEX_TOKEN in .env file.');
       }
-      return res.status(404).json({ error: 'Poster not found' });
+      res.status(404).json({ error: 'Poster not found' });
     }
-    
-    const imageBuffer = await imageResponse.arrayBuffer();
-    const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
-    
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.send(Buffer.from(imageBuffer));
   } catch (error) {
     console.error('Error proxying poster:', error);
     res.status(500).json({ error: 'Failed to fetch poster' });
@@ -215,6 +164,8 @@ const getRankingsPath = (contentType) => {
     return join(rankingsDir, 'tv-rankings.json');
   } else if (contentType === 'comics') {
     return join(rankingsDir, 'comic-rankings.json');
+  } else if (contentType === 'audiobooks') {
+    return join(rankingsDir, 'audiobook-rankings.json');
   } else {
     return join(rankingsDir, 'movie-rankings.json');
   }
@@ -274,26 +225,182 @@ app.post('/api/rankings/:contentType', (req, res) => {
   }
 });
 
+// Manual entries API (see lib/events/manual.js)
+const manualEntriesPath = join(rankingsDir, MANUAL_ENTRIES_FILE);
+
+// Uploaded posters arrive as data URLs
+const POSTER_DATA_URL = /^data:image\/(jpeg|png|webp);base64,(.+)$/;
+
+const getManualArtworkPath = (mediaType, artworkKey) => join(rankingsDir, ARTWORK_DIRS[mediaType], `${artworkKey}.jpg`);
+
+// Decode an uploaded poster and convert it to JPEG, the format all other artwork is
+// saved in. Returns { buffer }, or { error } if it isn't a usable JPEG, PNG or WebP image
+const readUploadedPoster = async (dataUrl) => {
+  const match = POSTER_DATA_URL.exec(dataUrl);
+  if (!match) {
+    return { error: 'poster must be a JPEG, PNG or WebP image' };
+  }
+  
+  const upload = Buffer.from(match[2], 'base64');
+  const problem = await checkImageBuffer(upload);
+  if (problem) {
+    return { error: `poster is unusable: ${problem}` };
+  }
+  try {
+    // rotate() applies the EXIF orientation of photos before it is dropped
+    return { buffer: await sharp(upload).rotate().jpeg({ quality: 90 }).toBuffer() };
+  } catch (error) {
+    return { error: `poster could not be converted: ${error.message}` };
+  }
+};
+
+// Save an uploaded poster (from readUploadedPoster) and return its artworkKey. The key
+// changes with every upload so browsers don't keep showing a cached old poster
+const saveManualPoster = (mediaType, id, poster) => {
+  const artworkKey = `manual-${id}-${Date.now().toString(36)}`;
+  mkdirSync(join(rankingsDir, ARTWORK_DIRS[mediaType]), { recursive: true });
+  saveImage(getManualArtworkPath(mediaType, artworkKey), poster);
+  return artworkKey;
+};
+
+const removeManualPoster = (event) => {
+  if (event.artworkKey) {
+    rmSync(getManualArtworkPath(event.mediaType, event.artworkKey), { force: true });
+  }
+};
+
+// The overlay file holds entries of several media types, so it has no single mediaType
+const saveManualEntries = (events) => writeEventFile(manualEntriesPath, null, events);
+
+// Validate an entry from the admin form, answering 400 if it is invalid
+const validateManualEntry = (res, entry, options) => {
+  try {
+    fromManualEntry(entry, options);
+    return true;
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return false;
+  }
+};
+
+// The entry's uploaded poster, if it has one, answering 400 if it isn't a usable image.
+// Returns undefined when the request was answered
+const readManualPoster = async (res, entry) => {
+  if (!entry.poster) {
+    return null;
+  }
+  const poster = await readUploadedPoster(entry.poster);
+  if (poster.error) {
+    res.status(400).json({ error: poster.error });
+    return undefined;
+  }
+  return poster;
+};
+
+// GET all manual entries
+app.get('/api/manual-entries', (req, res) => {
+  try {
+    res.json(readEventFile(manualEntriesPath));
+  } catch (error) {
+    console.error('Error reading manual entries:', error);
+    res.status(500).json({ error: 'Failed to read manual entries' });
+  }
+});
+
+// POST a new manual entry ({ mediaType, title, date, groupTitle, number, notes, poster })
+app.post('/api/manual-entries', async (req, res) => {
+  try {
+    const id = randomUUID();
+    // Validate before saving the poster, so a rejected entry leaves no file behind
+    if (!validateManualEntry(res, req.body, { id })) {
+      return;
+    }
+    const poster = await readManualPoster(res, req.body);
+    if (poster === undefined) {
+      return;
+    }
+    
+    const artworkKey = poster ? saveManualPoster(req.body.mediaType, id, poster) : null;
+    const event = fromManualEntry(req.body, { id, artworkKey });
+    saveManualEntries(readEventFile(manualEntriesPath).concat(event));
+    console.log(`[POST] ✓ Manual entry added: ${event.title} (${event.mediaType})`);
+    
+    res.status(201).json(event);
+  } catch (error) {
+    console.error('[POST] Error adding manual entry:', error);
+    res.status(500).json({ error: 'Failed to add manual entry', details: error.message });
+  }
+});
+
+// PUT (update) a manual entry. Send `poster` to replace its poster or `removePoster: true` to drop it
+app.put('/api/manual-entries/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const events = readEventFile(manualEntriesPath);
+    const existing = events.find(event => event.id === `manual:${id}`);
+    if (!existing) {
+      return res.status(404).json({ error: 'Manual entry not found' });
+    }
+    if (!validateManualEntry(res, req.body, { id })) {
+      return;
+    }
+    const poster = await readManualPoster(res, req.body);
+    if (poster === undefined) {
+      return;
+    }
+    
+    let artworkKey = existing.artworkKey;
+    if (poster || req.body.removePoster) {
+      removeManualPoster(existing);
+      artworkKey = poster ? saveManualPoster(req.body.mediaType, id, poster) : null;
+    } else if (artworkKey && ARTWORK_DIRS[req.body.mediaType] !== ARTWORK_DIRS[existing.mediaType]) {
+      // Changing e.g. a movie into a comic moves its poster to the covers
+      const posterPath = getManualArtworkPath(existing.mediaType, artworkKey);
+      if (existsSync(posterPath)) {
+        mkdirSync(join(rankingsDir, ARTWORK_DIRS[req.body.mediaType]), { recursive: true });
+        renameSync(posterPath, getManualArtworkPath(req.body.mediaType, artworkKey));
+      }
+    }
+    
+    const event = fromManualEntry(req.body, { id, artworkKey, createdAt: existing.details.createdAt });
+    saveManualEntries(events.map(e => (e.id === event.id ? event : e)));
+    console.log(`[PUT] ✓ Manual entry updated: ${event.title} (${event.mediaType})`);
+    
+    res.json(event);
+  } catch (error) {
+    console.error('[PUT] Error updating manual entry:', error);
+    res.status(500).json({ error: 'Failed to update manual entry', details: error.message });
+  }
+});
+
+// DELETE a manual entry and its poster
+app.delete('/api/manual-entries/:id', (req, res) => {
+  try {
+    const events = readEventFile(manualEntriesPath);
+    const existing = events.find(event => event.id === `manual:${req.params.id}`);
+    if (!existing) {
+      return res.status(404).json({ error: 'Manual entry not found' });
+    }
+    
+    removeManualPoster(existing);
+    saveManualEntries(events.filter(event => event !== existing));
+    console.log(`[DELETE] ✓ Manual entry deleted: ${existing.title} (${existing.mediaType})`);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[DELETE] Error deleting manual entry:', error);
+    res.status(500).json({ error: 'Failed to delete manual entry', details: error.message });
+  }
+});
+
 // Komga API endpoints
 // Get books with read progress from Komga
 app.get('/api/komga/read-progress', async (req, res) => {
   try {
     // Fetch books and filter for those with read progress
     const { page = 0, size = 1000 } = req.query;
-    // Komga uses X-API-Key header for authentication
-    const response = await fetch(`${KOMGA_URL}/api/v1/books?page=${page}&size=${size}`, {
-      headers: {
-        'X-API-Key': KOMGA_API_KEY,
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Komga API returned ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    const books = data.content || data || [];
+    const data = await komga.getBooksPage(page, size);
+    const books = data.content || [];
     // Filter to only books with read progress
     const booksWithProgress = books.filter(book => book.readProgress !== null);
     res.json(booksWithProgress);
@@ -307,19 +414,7 @@ app.get('/api/komga/read-progress', async (req, res) => {
 app.get('/api/komga/series', async (req, res) => {
   try {
     const { page = 0, size = 1000 } = req.query;
-    // Komga uses X-API-Key header for authentication
-    const response = await fetch(`${KOMGA_URL}/api/v1/series?page=${page}&size=${size}`, {
-      headers: {
-        'X-API-Key': KOMGA_API_KEY,
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Komga API returned ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await komga.getSeriesPage(page, size);
     res.json(data);
   } catch (error) {
     console.error('Error fetching Komga series:', error);
@@ -331,31 +426,37 @@ app.get('/api/komga/series', async (req, res) => {
 app.get('/api/komga/cover/:seriesId', async (req, res) => {
   try {
     const { seriesId } = req.params;
-    // Komga uses X-API-Key header for authentication
-    const response = await fetch(`${KOMGA_URL}/api/v1/series/${seriesId}/thumbnail`, {
-      headers: {
-        'X-API-Key': KOMGA_API_KEY
-      }
-    });
-    
-    if (!response.ok) {
+    const image = await komga.getSeriesThumbnail(seriesId);
+    sendImage(res, image);
+  } catch (error) {
+    if (error.status) {
       return res.status(404).json({ error: 'Cover not found' });
     }
-    
-    const imageBuffer = await response.arrayBuffer();
-    const contentType = response.headers.get('content-type') || 'image/jpeg';
-    
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Cache-Control', 'public, max-age=31536000');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-    res.send(Buffer.from(imageBuffer));
-  } catch (error) {
     console.error('Error fetching Komga cover:', error);
     res.status(500).json({ error: 'Failed to fetch cover' });
   }
 });
 
+// Kavita API endpoints
+// Get manga/comic series cover from Kavita
+app.get('/api/kavita/cover/:seriesId', async (req, res) => {
+  if (!kavita) {
+    return res.status(503).json({ error: 'Kavita not configured - set KAVITA_URL and KAVITA_API_KEY' });
+  }
+  
+  try {
+    const { seriesId } = req.params;
+    const image = await kavita.getSeriesCover(seriesId);
+    sendImage(res, image);
+  } catch (error) {
+    if (error.status) {
+      return res.status(404).json({ error: 'Cover not found' });
+    }
+    console.error('Error fetching Kavita cover:', error);
+    res.status(500).json({ error: 'Failed to fetch cover' });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Backend server running on http://localhost:${PORT}`);
 });
@@ -1,38 +1,23 @@
-import { useState, useEffect } from 'react';
 import './App.css';
 import HomePage from './components/HomePage';
 import MoviesView from './components/MoviesView';
 import TVShowsView from './components/TVShowsView';
 import ComicBooksView from './components/ComicBooksView';
+import AudiobooksView from './components/AudiobooksView';
+import MusicView from './components/MusicView';
+import WrappedView from './components/WrappedView';
 import ThemeToggle from './components/ThemeToggle';
+import { useRoute, navigate } from './utils/router';
+import { WRAPPED_MEDIA } from './utils/wrapped';
 
 function App() {
-  // Initialize from URL or default to home
-  const getInitialView = () => {
-    const params = new URLSearchParams(window.location.search);
-    const view = params.get('view') || 'home';
-    return view === 'movies' || view === 'tv' || view === 'comics' ? view : 'home';
-  };
-
-  const [currentView, setCurrentView] = useState(getInitialView);
-
-  // Update URL when view changes
-  useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    if (currentView === 'home') {
-      // Remove view param when on home
-      params.delete('view');
-      const newUrl = params.toString() ? `?${params.toString()}` : window.location.pathname;
-      window.history.replaceState({}, '', newUrl);
-    } else {
-      params.set('view', currentView);
-      const newUrl = `?${params.toString()}`;
-      window.history.replaceState({}, '', newUrl);
-    }
-  }, [currentView]);
-
+  // The view comes from the path (see utils/router.js)
+  const route = useRoute();
+  // A year in review (/movies/wrapped/2024) replaces its view
+  const currentView = route.wrapped && WRAPPED_MEDIA[route.view] ? 'wrapped' : route.view;
+  
   const handleNavigate = (view) => {
-    setCurrentView(view);
+    navigate({ view });
   };
   
   return (
@@ -42,6 +27,9 @@ function App() {
       {currentView === 'movies' && <MoviesView onNavigate={handleNavigate} />}
       {currentView === 'tv' && <TVShowsView onNavigate={handleNavigate} />}
       {currentView === 'comics' && <ComicBooksView onNavigate={handleNavigate} />}
+      {currentView === 'audiobooks' && <AudiobooksView onNavigate={handleNavigate} />}
+      {currentView === 'music' && <MusicView onNavigate={handleNavigate} />}
+      {currentView === 'wrapped' && <WrappedView kind={route.view} year={route.tab} onNavigate={handleNavigate} />}
     </div>
   );
 }
@@ -0,0 +1,122 @@
+import { useMemo, useState } from 'react';
+import './ActivityCalendar.css';
+import { WRAPPED_MEDIA, MONTHS, getPlayLabel } from '../utils/wrapped';
+import { formatDate } from '../utils/formatters';
+
+// Titles listed in a day's tooltip before "and N more"
+const TOOLTIP_ITEMS = 6;
+
+// Shades of a day by how busy it was compared to the year's busiest day (0 = nothing)
+const LEVELS = 4;
+
+const getDayKey = (date) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
+// Every day of the year as { date, items }, and the week column of each month's first day.
+// Weeks start on Sunday, so the first column is padded to January 1st's weekday
+const buildDays = (plays, year, kind) => {
+  const itemsByDay = new Map();
+  plays.forEach(play => {
+    if (play.watchDate.getFullYear() !== year) {
+      return;
+    }
+    const key = getDayKey(play.watchDate);
+    if (!itemsByDay.has(key)) {
+      itemsByDay.set(key, []);
+    }
+    itemsByDay.get(key).push({ label: getPlayLabel(play, kind), time: play.watchDate.getTime() });
+  });
+  
+  const days = [];
+  const monthColumns = [];
+  const offset = new Date(year, 0, 1).getDay();
+  for (let date = new Date(year, 0, 1); date.getFullYear() === year; date = new Date(year, date.getMonth(), date.getDate() + 1)) {
+    const column = Math.floor((days.length + offset) / 7);
+    if (date.getDate() === 1) {
+      monthColumns.push(column);
+    }
+    const items = (itemsByDay.get(getDayKey(date)) || []).sort((a, b) => a.time - b.time).map(item => item.label);
+    days.push({ date, items, row: date.getDay(), column });
+  }
+  return { days, monthColumns };
+};
+
+// GitHub-style calendar of a year: one square per day, shaded by how many plays
+// (or reads) it had, listing them on hover. plays are the view's processed
+// watches (with watchDate), kind the view (movies, tv or comics)
+function ActivityCalendar({ plays, year, kind }) {
+  const [hovered, setHovered] = useState(null);
+  const unit = WRAPPED_MEDIA[kind].units;
+  
+  const { days, monthColumns } = useMemo(() => buildDays(plays, year, kind), [plays, year, kind]);
+  const total = days.reduce((sum, day) => sum + day.items.length, 0);
+  const max = Math.max(...days.map(day => day.items.length), 1);
+  const getLevel = (count) => (count === 0 ? 0 : Math.ceil((count / max) * LEVELS));
+  
+  if (total === 0) {
+    return null;
+  }
+  
+  const showTooltip = (e, day) => {
+    // Centered above the day's square
+    const square = e.currentTarget;
+    setHovered({ day, left: square.offsetLeft + square.offsetWidth / 2, top: square.offsetTop });
+  };
+  
+  return (
+    <div className="activity-calendar">
+      <p className="activity-calendar-summary">
+        {total} {total === 1 ? unit[0] : unit[1]} in {year}
+      </p>
+      <div className="activity-calendar-grid" onMouseLeave={() => setHovered(null)}>
+        {monthColumns.map((column, month) => (
+          <span key={month} className="activity-calendar-month" style={{ gridColumn: column + 2 }}>
+            {MONTHS[month].slice(0, 3)}
+          </span>
+        ))}
+        {['Mon', 'Wed', 'Fri'].map((label, i) => (
+          <span key={label} className="activity-calendar-weekday" style={{ gridRow: i * 2 + 3 }}>
+            {label}
+          </span>
+        ))}
+        {days.map(day => (
+          <span
+            key={day.date.getTime()}
+            className={`activity-calendar-day level-${getLevel(day.items.length)}`}
+            style={{ gridColumn: day.column + 2, gridRow: day.row + 2 }}
+            tabIndex={day.items.length > 0 ? 0 : undefined}
+            aria-label={`${formatDate(day.date)}: ${day.items.length} ${day.items.length === 1 ? unit[0] : unit[1]}`}
+            onMouseEnter={(e) => showTooltip(e, day)}
+            onFocus={(e) => showTooltip(e, day)}
+            onBlur={() => setHovered(null)}
+          />
+        ))}
+        {hovered && (
+          <div className="activity-calendar-tooltip" style={{ left: hovered.left, top: hovered.top }}>
+            <strong>{formatDate(hovered.day.date)}</strong>
+            {hovered.day.items.length === 0 ? (
+              <span>Nothing</span>
+            ) : (
+              <ul>
+                {hovered.day.items.slice(0, TOOLTIP_ITEMS).map((label, i) => (
+                  <li key={i}>{label}</li>
+                ))}
+                {hovered.day.items.length > TOOLTIP_ITEMS && (
+                  <li className="activity-calendar-more">and {hovered.day.items.length - TOOLTIP_ITEMS} more</li>
+                )}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+      <div className="activity-calendar-legend">
+        Less
+        {Array.from({ length: LEVELS + 1 }, (_, level) => (
+          <span key={level} className={`activity-calendar-day level-${level}`} />
+        ))}
+        More
+      </div>
+    </div>
+  );
+}
+
+export default ActivityCalendar;
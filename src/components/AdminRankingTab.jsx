@@ -3,6 +3,7 @@ import React from 'react';
 import './AdminRankingTab.css';
 import { API_BASE_URL, IS_DEV, STATIC_DATA_PATH } from '../config';
 import { cache } from '../utils/cache';
+import { getContentType } from '../utils/contentTypes';
 
 function AdminRankingTab({ movies, contentType = 'movies' }) {
   const [rankings, setRankings] = useState([]);
@@ -11,8 +12,9 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
   const [dragOverIndex, setDragOverIndex] = useState(null);
   const [saveStatus, setSaveStatus] = useState(''); // 'saving', 'saved', 'error'
   
-  // Use different localStorage keys for movies vs TV shows
-  const storageKey = contentType === 'tv' ? 'tvShowRankings' : contentType === 'comics' ? 'comicRankings' : 'movieRankings';
+  // Names, rankings file and localStorage key for this content type
+  const contentInfo = getContentType(contentType);
+  const storageKey = contentInfo.storageKey;
 
   const rankingsLoadedRef = React.useRef({});
   const lastContentTypeRef = React.useRef(contentType);
@@ -43,7 +45,7 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
         
         if (IS_DEV) {
           // In development: try backend API first, fallback to static files
-          const endpoint = contentType === 'tv' ? 'tv' : contentType === 'comics' ? 'comics' : 'movies';
+          const endpoint = contentInfo.rankingsEndpoint;
           try {
             const response = await fetch(`${API_BASE_URL}/rankings/${endpoint}`);
             if (response.ok) {
@@ -55,7 +57,7 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
           } catch (apiError) {
             console.log(`[AdminRankingTab] API unavailable, falling back to static files:`, apiError.message);
             // Fallback to static JSON file
-            const filename = contentType === 'tv' ? 'tv-rankings.json' : contentType === 'comics' ? 'comic-rankings.json' : 'movie-rankings.json';
+            const filename = contentInfo.rankingsFile;
             const staticResponse = await fetch(`${STATIC_DATA_PATH}/${filename}`);
             if (staticResponse.ok) {
               rankingsData = await staticResponse.json();
@@ -65,7 +67,7 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
           }
         } else {
           // In production: load from static JSON file
-          const filename = contentType === 'tv' ? 'tv-rankings.json' : contentType === 'comics' ? 'comic-rankings.json' : 'movie-rankings.json';
+          const filename = contentInfo.rankingsFile;
           const response = await fetch(`${STATIC_DATA_PATH}/${filename}`);
           if (response.ok) {
             rankingsData = await response.json();
@@ -304,7 +306,7 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
     setSaveStatus('saving');
     
     try {
-      const endpoint = `${API_BASE_URL}/rankings/${contentType === 'tv' ? 'tv' : contentType === 'comics' ? 'comics' : 'movies'}`;
+      const endpoint = `${API_BASE_URL}/rankings/${contentInfo.rankingsEndpoint}`;
       console.log('[AdminRankingTab] Saving rankings to:', endpoint);
       console.log('[AdminRankingTab] Rankings to save:', minimalRankings.length, 'items');
       
@@ -376,7 +378,7 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
     link.href = url;
-    const filename = contentType === 'tv' ? 'tv-rankings.json' : contentType === 'comics' ? 'comic-rankings.json' : 'movie-rankings.json';
+    const filename = contentInfo.rankingsFile;
     link.download = filename;
     document.body.appendChild(link);
     link.click();
@@ -403,7 +405,7 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
         <div className="admin-header-top">
           <div>
             <h2>Admin: Manage Rankings</h2>
-            <p className="admin-subtitle">Drag and drop to reorder rankings. Add or remove {contentType === 'tv' ? 'TV shows' : contentType === 'comics' ? 'comic books' : 'movies'} from my rankings.</p>
+            <p className="admin-subtitle">Drag and drop to reorder rankings. Add or remove {contentInfo.plural} from my rankings.</p>
           </div>
           <div className="admin-actions">
             {saveStatus === 'saving' && <span className="save-status saving">Saving...</span>}
@@ -432,8 +434,8 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
           <div className="section-header">
             <div className="section-header-top">
               <div>
-                <h3>Ranked {contentType === 'tv' ? 'TV Shows' : contentType === 'comics' ? 'Comic Books' : 'Movies'} ({rankings.length})</h3>
-                <p className="section-description">Drag {contentType === 'tv' ? 'shows' : contentType === 'comics' ? 'comics' : 'movies'} to reorder. Click × to remove from rankings.</p>
+                <h3>Ranked {contentInfo.label} ({rankings.length})</h3>
+                <p className="section-description">Drag {contentInfo.shortPlural} to reorder. Click × to remove from rankings.</p>
               </div>
               <button 
                 className="save-button"
@@ -452,7 +454,7 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
             </div>
           ) : rankings.length === 0 ? (
             <div className="empty-rankings">
-              <p>No {contentType === 'tv' ? 'TV shows' : contentType === 'comics' ? 'comic books' : 'movies'} ranked yet. Add {contentType === 'tv' ? 'shows' : contentType === 'comics' ? 'comics' : 'movies'} from the unranked section below.</p>
+              <p>No {contentInfo.plural} ranked yet. Add {contentInfo.shortPlural} from the unranked section below.</p>
             </div>
           ) : (
             <div className="rankings-list">
@@ -503,13 +505,13 @@ function AdminRankingTab({ movies, contentType = 'movies' }) {
 
         <div className="unranked-section">
           <div className="section-header">
-            <h3>Unranked {contentType === 'tv' ? 'TV Shows' : contentType === 'comics' ? 'Comic Books' : 'Movies'} ({unrankedMovies.length})</h3>
-            <p className="section-description">Click a {contentType === 'tv' ? 'show' : contentType === 'comics' ? 'comic' : 'movie'} to add it to my rankings.</p>
+            <h3>Unranked {contentInfo.label} ({unrankedMovies.length})</h3>
+            <p className="section-description">Click a {contentInfo.shortSingular} to add it to my rankings.</p>
           </div>
           
           {unrankedMovies.length === 0 ? (
             <div className="empty-unranked">
-              <p>All {contentType === 'tv' ? 'TV shows' : contentType === 'comics' ? 'comic books' : 'movies'} have been ranked!</p>
+              <p>All {contentInfo.plural} have been ranked!</p>
             </div>
           ) : (
             <div className="unranked-movies">
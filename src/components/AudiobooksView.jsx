@@ -0,0 +1,462 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import '../App.css';
+import SearchBox from './SearchBox';
+import MovieList from './MovieList';
+import RankingTab from './RankingTab';
+import AdminRankingTab from './AdminRankingTab';
+import AdminLogin from './AdminLogin';
+import PosterImage from './PosterImage';
+import { API_BASE_URL, IS_DEV, STATIC_DATA_PATH } from '../config';
+import { cache } from '../utils/cache';
+import { useRoute, getRoute, navigate } from '../utils/router';
+import { readConsumptionEvents } from '../../lib/events';
+
+// Audiobooks and podcasts are fetched into separate files but shown together
+const DATA_FILES = ['audiobooks.json', 'podcasts.json'];
+
+function AudiobooksView({ onNavigate }) {
+  const [titles, setTitles] = useState([]);
+  const [allListenData, setAllListenData] = useState([]); // Store all listening sessions for accurate calculations
+  const [rankings, setRankings] = useState([]); // Store rankings for Top 3 display
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // The tab comes from the path (/audiobooks/2024), with the current year's tab as 'current'
+  // (see utils/router.js)
+  const route = useRoute();
+  const activeTab = !route.tab || route.tab === new Date().getFullYear().toString() ? 'current' : route.tab;
+  
+  // Pass { replace: true } when correcting the URL rather than following a click
+  const setActiveTab = (tab, options) => {
+    navigate({ view: 'audiobooks', tab: tab === 'current' ? new Date().getFullYear().toString() : tab }, options);
+  };
+  
+  const [years, setYears] = useState([]);
+  const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(() => {
+    return localStorage.getItem('adminAuthenticated') === 'true';
+  });
+  const fetchingRef = useRef(false); // Prevent duplicate fetches (React StrictMode)
+  
+  useEffect(() => {
+    if (!fetchingRef.current) {
+      fetchingRef.current = true;
+      fetchAudiobooks();
+    }
+  }, []);
+  
+  // Load rankings for Top 3 display
+  useEffect(() => {
+    const loadRankings = async () => {
+      try {
+        const cacheKey = `rankings-audiobooks`;
+        const cachedRankings = await cache.get(cacheKey);
+        if (cachedRankings) {
+          setRankings(cachedRankings);
+          return;
+        }
+        
+        let rankingsData = [];
+        if (IS_DEV) {
+          const response = await fetch(`${API_BASE_URL}/rankings/audiobooks`);
+          if (response.ok) {
+            rankingsData = await response.json();
+          }
+        } else {
+          const response = await fetch(`${STATIC_DATA_PATH}/audiobook-rankings.json`);
+          if (response.ok) {
+            rankingsData = await response.json();
+          }
+        }
+        
+        const restoredRankings = rankingsData.map(r => ({
+          ...r,
+          watchDate: r.watchDate ? new Date(r.watchDate) : new Date()
+        }));
+        setRankings(restoredRankings);
+        await cache.set(cacheKey, restoredRankings);
+      } catch (e) {
+        console.error('Error loading rankings for Top 3:', e);
+      }
+    };
+    
+    loadRankings();
+    
+    // Listen for rankings updates
+    const handleRankingsSaved = (e) => {
+      // Only reload if it's for audiobooks
+      if (!e.detail || !e.detail.contentType || e.detail.contentType === 'audiobooks') {
+        // Clear from IndexedDB and reload fresh data
+        cache.clear().then(() => {
+          loadRankings();
+        }).catch(() => {
+          // If cache clear fails, just reload
+          loadRankings();
+        });
+      }
+    };
+    window.addEventListener('rankingsSaved', handleRankingsSaved);
+    
+    return () => {
+      window.removeEventListener('rankingsSaved', handleRankingsSaved);
+    };
+  }, []);
+  
+  // Pick the tab from the URL if it's valid, otherwise the current (or latest) year
+  const selectInitialTab = (availableYears) => {
+    const urlTab = getRoute().tab;
+    // Only allow 'ranking' or 'admin' tabs in dev mode
+    if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || availableYears.includes(parseInt(urlTab)))) {
+      // URL tab is valid, keep it
+      setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+    } else {
+      // No valid URL tab, set default
+      const currentYear = new Date().getFullYear();
+      if (availableYears.includes(currentYear)) {
+        setActiveTab('current', { replace: true });
+      } else if (availableYears.length > 0) {
+        setActiveTab(availableYears[0].toString(), { replace: true });
+      }
+    }
+  };
+  
+  const fetchAudiobooks = async () => {
+    try {
+      setLoading(true);
+      const startTime = performance.now();
+      
+      // Check cache first
+      const cacheKey = IS_DEV ? 'audiobooks-dev' : 'audiobooks-prod';
+      const cachedData = await cache.get(cacheKey);
+      
+      if (cachedData) {
+        console.log(`Using cached data for audiobooks (${cachedData.processed?.length || 0} titles)`);
+        setTitles(cachedData.processed);
+        setAllListenData(cachedData.allListenData);
+        setYears(cachedData.years);
+        setLoading(false);
+        selectInitialTab(cachedData.years);
+        console.log(`Audiobooks loaded from cache in ${(performance.now() - startTime).toFixed(2)}ms`);
+        return;
+      }
+      
+      console.log('Loading audiobooks and podcasts from static data files...');
+      const fetchStart = performance.now();
+      // Always use static JSON files (both dev and production)
+      // Run 'npm run fetch-audiobooks' to update the data
+      const responses = await Promise.all(DATA_FILES.map(file => fetch(`${STATIC_DATA_PATH}/${file}`)));
+      if (responses.every(response => !response.ok)) {
+        throw new Error(`Failed to load audiobooks data: ${responses[0].status} ${responses[0].statusText}. Please run 'npm run fetch-audiobooks' to generate the data files.`);
+      }
+      // Either file may be missing (e.g. no podcasts listened to yet)
+      const files = await Promise.all(responses.map(response => (response.ok ? response.json() : null)));
+      const fetchTime = performance.now() - fetchStart;
+      console.log(`Static file fetch took ${fetchTime.toFixed(2)}ms`);
+      
+      // Check if data is stale (older than 24 hours)
+      files.filter(Boolean).forEach(data => {
+        if (data._metadata?.lastFetched) {
+          const lastFetched = new Date(data._metadata.lastFetched);
+          const hoursSinceFetch = (Date.now() - lastFetched.getTime()) / (1000 * 60 * 60);
+          if (hoursSinceFetch > 24) {
+            console.warn(`⚠️ Audiobook data is ${Math.round(hoursSinceFetch)} hours old. Run 'npm run fetch-audiobooks' to update.`);
+          }
+        }
+      });
+      
+      // Read consumption events (see lib/events/schema.js for the format)
+      const listenData = files
+        .flatMap(data => readConsumptionEvents(data))
+        .filter(event => event.mediaType === 'audiobook' || event.mediaType === 'podcast');
+      console.log(`Processing ${listenData.length} listening sessions...`);
+      const processStart = performance.now();
+      
+      if (listenData.length > 0) {
+        
+        // Process listening events into the shape the list, stats and rankings use.
+        // Podcast episodes are shown under their podcast, like TV episodes under a show
+        const processedListens = listenData.map((listen) => {
+          const listenDate = new Date(listen.consumedAt * 1000);
+          const isPodcast = listen.mediaType === 'podcast';
+          
+          // Use the cover downloaded from Audiobookshelf (works in both dev and prod)
+          const posterUrl = listen.artworkKey ? `${STATIC_DATA_PATH}/covers/${listen.artworkKey}.jpg` : null;
+          
+          return {
+            ...listen,
+            watchDate: listenDate,
+            date: listen.consumedAt, // Unix timestamp in seconds for sorting compatibility
+            year: listenDate.getFullYear(), // Keep listen year for filtering by listen date
+            poster: posterUrl,
+            title: isPodcast ? listen.groupTitle : listen.title,
+            episodeTitle: isPodcast ? listen.title : null,
+            rating_key: isPodcast ? listen.groupKey : listen.itemKey, // Book or podcast id for rankings
+            author: listen.details.author || null,
+            isPodcast,
+            isFinished: Boolean(listen.details.isFinished),
+          };
+        });
+        
+        // Sort by listen date (most recent first)
+        processedListens.sort((a, b) => b.date - a.date);
+        
+        // Store all listening sessions for accurate calculations
+        setAllListenData(processedListens);
+        
+        // Deduplicate by book/podcast - keep only the most recent session for each
+        const titlesByKey = new Map();
+        processedListens.forEach(listen => {
+          const existing = titlesByKey.get(listen.rating_key);
+          if (!existing || listen.date > existing.date) {
+            titlesByKey.set(listen.rating_key, listen);
+          }
+        });
+        
+        // Convert back to array, most recent first
+        const deduplicatedTitles = Array.from(titlesByKey.values());
+        deduplicatedTitles.sort((a, b) => b.date - a.date);
+        
+        // Extract unique years from deduplicated titles
+        const uniqueYears = [...new Set(deduplicatedTitles.map(t => t.year))].sort((a, b) => b - a);
+        
+        console.log(`Processing took ${(performance.now() - processStart).toFixed(2)}ms`);
+        
+        // Cache the processed data
+        await cache.set(cacheKey, {
+          processed: deduplicatedTitles,
+          allListenData: processedListens,
+          years: uniqueYears
+        });
+        
+        setTitles(deduplicatedTitles);
+        setYears(uniqueYears);
+        selectInitialTab(uniqueYears);
+        
+        console.log(`Total audiobooks load time: ${(performance.now() - startTime).toFixed(2)}ms`);
+      } else {
+        setError('No audiobook or podcast data found');
+      }
+    } catch (err) {
+      console.error('Error fetching audiobooks:', err);
+      if (err.message && err.message.includes('Failed to load audiobooks data')) {
+        setError(err.message);
+      } else {
+        setError('Failed to load audiobooks data. Please run "npm run fetch-audiobooks" to generate the data files.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const getTitlesByYear = useMemo(() => {
+    return (year) => {
+      if (year === 'current') {
+        const currentYear = new Date().getFullYear();
+        return titles.filter(t => t.year === currentYear);
+      }
+      return titles.filter(t => t.year === parseInt(year));
+    };
+  }, [titles]);
+  
+  // Get top 3 ranked titles for a year
+  // Only includes books/podcasts that were listened to that year
+  const getTop3ForYear = useMemo(() => {
+    return (year) => {
+      const targetYear = year === 'current' ? new Date().getFullYear() : parseInt(year);
+      
+      const listenedThatYear = new Set(
+        allListenData
+          .filter(listen => listen.watchDate.getFullYear() === targetYear)
+          .map(listen => listen.rating_key)
+      );
+      
+      return rankings
+        .filter(r => r.rating_key && listenedThatYear.has(r.rating_key))
+        .slice(0, 3);
+    };
+  }, [rankings, allListenData]);
+  
+  const getYearStats = useMemo(() => {
+    // Pre-compute format function
+    const formatListeningTime = (seconds) => {
+      if (!seconds || seconds === 0) return '0 minutes';
+      
+      const days = Math.floor(seconds / 86400);
+      const hours = Math.floor((seconds % 86400) / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      
+      const parts = [];
+      if (days > 0) parts.push(`${days} day${days !== 1 ? 's' : ''}`);
+      if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+      if (minutes > 0 || parts.length === 0) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+      
+      return parts.join(', ');
+    };
+    
+    return (year) => {
+      const yearTitles = getTitlesByYear(year);
+      const count = new Set(yearTitles.map(t => t.rating_key)).size;
+      
+      // Calculate total listening time from ALL sessions (not deduplicated)
+      const targetYear = year === 'current' ? new Date().getFullYear() : parseInt(year);
+      const allYearListens = allListenData.filter(listen => listen.watchDate.getFullYear() === targetYear);
+      
+      const totalSeconds = allYearListens.reduce((sum, listen) => sum + (listen.duration || 0), 0);
+      
+      // Books finished this year (podcast episodes aren't counted)
+      const finishedBooks = new Set(
+        allYearListens
+          .filter(listen => !listen.isPodcast && listen.details.finishedAt &&
+            new Date(listen.details.finishedAt).getFullYear() === targetYear)
+          .map(listen => listen.rating_key)
+      );
+      
+      return {
+        count,
+        finishedCount: finishedBooks.size,
+        totalListeningTime: formatListeningTime(totalSeconds)
+      };
+    };
+  }, [titles, allListenData, getTitlesByYear]);
+  
+  if (loading) {
+    return (
+      <div className="app">
+        <div className="loading">Loading audiobooks...</div>
+      </div>
+    );
+  }
+  
+  if (error) {
+    return (
+      <div className="app">
+        <div className="error">{error}</div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="app">
+      <header className="app-header">
+        <div className="header-top">
+          <button className="home-button" onClick={() => onNavigate('home')}>
+            ← Home
+          </button>
+          <div className="nav-buttons">
+            <button className="switch-button" onClick={() => onNavigate('movies')}>
+              🎬 Movies
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('tv')}>
+              📺 TV Shows
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('comics')}>
+              📚 Comic Books
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('music')}>
+              🎵 Music
+            </button>
+          </div>
+        </div>
+        <h1>Audiobooks & Podcasts</h1>
+        <SearchBox />
+      </header>
+      
+      <div className="tabs">
+        <button
+          className={`tab ${activeTab === 'current' ? 'active' : ''}`}
+          onClick={() => setActiveTab('current')}
+        >
+          {new Date().getFullYear()}
+        </button>
+        {years.map(year => (
+          year !== new Date().getFullYear() && (
+            <button
+              key={year}
+              className={`tab ${activeTab === year.toString() ? 'active' : ''}`}
+              onClick={() => setActiveTab(year.toString())}
+            >
+              {year}
+            </button>
+          )
+        ))}
+        {IS_DEV && (
+          <button
+            className={`tab ${activeTab === 'ranking' ? 'active' : ''}`}
+            onClick={() => setActiveTab('ranking')}
+          >
+            Rankings
+          </button>
+        )}
+        {IS_DEV && (
+          <button
+            className={`tab ${activeTab === 'admin' ? 'active' : ''}`}
+            onClick={() => setActiveTab('admin')}
+          >
+            Admin
+          </button>
+        )}
+      </div>
+      
+      <div className="tab-content">
+        {activeTab === 'ranking' && IS_DEV ? (
+          <RankingTab movies={titles} contentType="audiobooks" />
+        ) : activeTab === 'admin' && IS_DEV ? (
+          isAdminAuthenticated ? (
+            <AdminRankingTab movies={titles} contentType="audiobooks" />
+          ) : (
+            <AdminLogin onLogin={() => setIsAdminAuthenticated(true)} />
+          )
+        ) : (
+          <>
+            {(() => {
+              const stats = getYearStats(activeTab);
+              const top3 = getTop3ForYear(activeTab);
+              return (
+                <div className="year-stats">
+                  <div className="stat-item">
+                    <span className="stat-label">Titles:</span>
+                    <span className="stat-value">{stats.count}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Books Finished:</span>
+                    <span className="stat-value">{stats.finishedCount}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Listening Time:</span>
+                    <span className="stat-value">{stats.totalListeningTime}</span>
+                  </div>
+                  {top3.map((item, index) => {
+                    // Local static cover file (works in both dev and prod)
+                    const posterUrl = item.rating_key ? `${STATIC_DATA_PATH}/covers/${item.rating_key}.jpg` : item.poster;
+                    
+                    return (
+                      <div key={item.rating_key || index} className="stat-item top-3-stat-item">
+                        <span className="stat-label">#{index + 1}</span>
+                        <div className="top-3-content">
+                          {posterUrl && (
+                            <PosterImage
+                              src={posterUrl}
+                              alt={item.title}
+                              className="top-3-poster"
+                              sizes="40px"
+                              onError={(e) => {
+                                e.target.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="60" height="90"%3E%3Crect fill="%23ddd" width="60" height="90"/%3E%3C/svg%3E';
+                              }}
+                            />
+                          )}
+                          <span className="stat-value top-3-value">{item.title}</span>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })()}
+            <MovieList movies={getTitlesByYear(activeTab)} contentType="audiobooks" />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AudiobooksView;
@@ -1,11 +1,25 @@
 import { useState, useEffect, useMemo, useRef } from 'react';
 import '../App.css';
+import SearchBox from './SearchBox';
 import MovieList from './MovieList';
+import ActivityCalendar from './ActivityCalendar';
+import ComicSeriesDetail from './ComicSeriesDetail';
 import RankingTab from './RankingTab';
 import AdminRankingTab from './AdminRankingTab';
+import ManualEntriesAdmin from './ManualEntriesAdmin';
 import AdminLogin from './AdminLogin';
+import PosterImage from './PosterImage';
 import { API_BASE_URL, IS_DEV, STATIC_DATA_PATH } from '../config';
 import { cache } from '../utils/cache';
+import { useRoute, getRoute, navigate, goBack } from '../utils/router';
+import { loadManualEntries, mergeManualEntries, MANUAL_ENTRIES_SAVED } from '../utils/manualEntries';
+import { readConsumptionEvents } from '../../lib/events';
+
+// In development, a series' cover straight from the comic server it was read on
+// (the backend's /komga/cover or /kavita/cover proxy), for when the saved file is missing
+const getCoverProxyUrl = (comic) => (IS_DEV && (comic?.source === 'komga' || comic?.source === 'kavita')
+  ? `${API_BASE_URL}/${comic.source}/cover/${comic.groupKey}`
+  : null);
 
 function ComicBooksView({ onNavigate }) {
   const [comics, setComics] = useState([]);
@@ -14,49 +28,47 @@ function ComicBooksView({ onNavigate }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
-  // Initialize activeTab from URL or default to 'current'
-  const getInitialTab = () => {
-    const params = new URLSearchParams(window.location.search);
-    const tab = params.get('tab');
-    // Only allow 'ranking' or 'admin' tabs in dev mode
-    if ((tab === 'ranking' || tab === 'admin') && IS_DEV) {
-      return tab;
-    }
-    if (tab) {
-      return tab; // Could be a year like '2024'
-    }
-    return 'current';
+  // The tab and open item come from the path (/comics/2024, /comics/item/<series id>),
+  // with the current year's tab as 'current' (see utils/router.js)
+  const route = useRoute();
+  const activeTab = !route.tab || route.tab === new Date().getFullYear().toString() ? 'current' : route.tab;
+  const selectedItem = route.item;
+  
+  // Pass { replace: true } when correcting the URL rather than following a click
+  const setActiveTab = (tab, options) => {
+    navigate({ view: 'comics', tab: tab === 'current' ? new Date().getFullYear().toString() : tab }, options);
   };
   
-  const [activeTab, setActiveTab] = useState(getInitialTab);
   const [years, setYears] = useState([]);
   const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(() => {
     return localStorage.getItem('adminAuthenticated') === 'true';
   });
   const fetchingRef = useRef(false); // Prevent duplicate fetches (React StrictMode)
-
-  // Update URL when tab changes
+  
+  // Open detail pages at the top
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    params.set('view', 'comics');
-    if (activeTab === 'current') {
-      // For 'current', use the actual current year in URL
-      const currentYear = new Date().getFullYear();
-      params.set('tab', currentYear.toString());
-    } else {
-      params.set('tab', activeTab);
-    }
-    const newUrl = `?${params.toString()}`;
-    window.history.replaceState({}, '', newUrl);
-  }, [activeTab]);
-
+    window.scrollTo(0, 0);
+  }, [selectedItem]);
+  
   useEffect(() => {
     if (!fetchingRef.current) {
       fetchingRef.current = true;
       fetchComicBooks();
     }
   }, []);
-
+  
+  // Reload when manual entries are changed in the admin panel
+  useEffect(() => {
+    const handleManualEntriesSaved = () => {
+      cache.clear().then(fetchComicBooks).catch(fetchComicBooks);
+    };
+    window.addEventListener(MANUAL_ENTRIES_SAVED, handleManualEntriesSaved);
+    
+    return () => {
+      window.removeEventListener(MANUAL_ENTRIES_SAVED, handleManualEntriesSaved);
+    };
+  }, []);
+  
   // Load rankings for Top 3 display
   useEffect(() => {
     const loadRankings = async () => {
@@ -116,7 +128,7 @@ function ComicBooksView({ onNavigate }) {
       window.removeEventListener('rankingsSaved', handleRankingsSaved);
     };
   }, []);
-
+  
   const fetchComicBooks = async () => {
     try {
       setLoading(true);
@@ -134,19 +146,18 @@ function ComicBooksView({ onNavigate }) {
         setLoading(false);
         
         // Set active tab from URL if valid, otherwise default
-        const params = new URLSearchParams(window.location.search);
-        const urlTab = params.get('tab');
+        const urlTab = getRoute().tab;
         // Only allow 'ranking' or 'admin' tabs in dev mode
         if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || cachedData.years.includes(parseInt(urlTab)))) {
           // URL tab is valid, keep it
-          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab);
-        } else {
-          // No valid URL tab, set default
+          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+        } else if (!getRoute().item) {
+          // No valid URL tab (and not an item page), set default
           const currentYear = new Date().getFullYear();
           if (cachedData.years.includes(currentYear)) {
-            setActiveTab('current');
+            setActiveTab('current', { replace: true });
           } else if (cachedData.years.length > 0) {
-            setActiveTab(cachedData.years[0].toString());
+            setActiveTab(cachedData.years[0].toString(), { replace: true });
           }
         }
         console.log(`Comic books loaded from cache in ${(performance.now() - startTime).toFixed(2)}ms`);
@@ -176,92 +187,58 @@ function ComicBooksView({ onNavigate }) {
         }
       }
       
-      // Handle different possible response structures
-      const comicData = data.response?.data?.data || data.data || data.readProgress || [];
+      // Read consumption events (see lib/events/schema.js for the format)
+      // Manual entries from the admin panel are merged in (see lib/events/manual.js)
+      const comicData = mergeManualEntries(
+        readConsumptionEvents(data).filter(event => event.mediaType === 'comic'),
+        await loadManualEntries('comic')
+      );
       console.log(`Processing ${comicData.length} comic book reads...`);
       const processStart = performance.now();
       
       if (comicData.length > 0) {
         
-        // Process comic books
+        // Process comic book read events into the shape the list, stats and rankings use
         const processedComics = comicData.map((comic) => {
-          // Handle date - could be Unix timestamp or ISO string
-          // Check multiple possible date fields
-          let readDate;
-          if (typeof comic.date === 'number') {
-            // Unix timestamp in seconds (from fetch script)
-            readDate = new Date(comic.date * 1000);
-          } else if (typeof comic.lastRead === 'number') {
-            readDate = new Date(comic.lastRead);
-          } else if (typeof comic.lastRead === 'string') {
-            readDate = new Date(comic.lastRead);
-          } else if (typeof comic.watchDate === 'string') {
-            readDate = new Date(comic.watchDate);
-          } else if (comic.readProgress?.readDate) {
-            // Fallback to readProgress.readDate
-            readDate = new Date(comic.readProgress.readDate);
-          } else if (comic.readProgress?.lastReadAt) {
-            readDate = new Date(comic.readProgress.lastReadAt);
-          } else if (comic.readProgress?.completedAt) {
-            readDate = new Date(comic.readProgress.completedAt);
-          } else {
-            // Only use today's date as last resort - log warning
-            console.warn(`No read date found for comic: ${comic.title || comic.seriesTitle || 'Unknown'}`);
-            readDate = null; // Set to null instead of today to avoid false dates
-          }
-          
-          // If we still don't have a valid date, skip this comic
-          if (!readDate || isNaN(readDate.getTime())) {
-            return null;
-          }
+          const readDate = new Date(comic.consumedAt * 1000);
           const watchYear = readDate.getFullYear();
           
-          // Extract issue release year from bookMetadata.releaseDate or parse from title
-          let issueReleaseYear = null;
-          if (comic.bookMetadata?.releaseDate) {
-            issueReleaseYear = new Date(comic.bookMetadata.releaseDate).getFullYear();
-          } else if (comic.bookTitle) {
-            // Try to extract year from title like "House of Slaughter 001 (2021)"
-            const yearMatch = comic.bookTitle.match(/\((\d{4})\)/);
-            if (yearMatch) {
-              issueReleaseYear = parseInt(yearMatch[1]);
-            }
-          }
+          // Issue release year (from the issue's release date or a "(2021)" style year in its title)
+          const issueReleaseYear = comic.releaseYear;
           
           // Fallback to series release year if issue release year not available
-          const releaseYear = issueReleaseYear || comic.year || comic.seriesMetadata?.releaseYear || null;
-          const comicTitle = comic.seriesTitle || comic.title || comic.name || 'Unknown';
+          const releaseYear = issueReleaseYear || comic.details.seriesMetadata?.releaseYear || null;
+          const comicTitle = comic.groupTitle || 'Unknown';
           
-          // Use the cover/thumbnail from Komga
+          // Use the series cover saved by the comic book fetch (Komga or Kavita)
           let posterUrl = null;
-          if (comic.seriesId || comic.id) {
-            const seriesId = comic.seriesId || comic.id;
+          if (comic.artworkKey) {
             // Try local static cover file first (works in both dev and prod)
-            posterUrl = `${STATIC_DATA_PATH}/covers/${seriesId}.jpg`;
-          }
-          
-          // In development, if we don't have a local file, fallback to backend proxy
-          if (IS_DEV && (comic.seriesId || comic.id) && !posterUrl) {
-            const seriesId = comic.seriesId || comic.id;
-            posterUrl = `${API_BASE_URL}/komga/cover/${seriesId}`;
+            posterUrl = `${STATIC_DATA_PATH}/covers/${comic.artworkKey}.jpg`;
           }
           
           return {
             ...comic,
             watchDate: readDate,
-            date: Math.floor(readDate.getTime() / 1000), // Unix timestamp in seconds for sorting compatibility
+            date: comic.consumedAt, // Unix timestamp in seconds for sorting compatibility
             year: watchYear, // Keep watch year for filtering by watch date
             releaseYear, // Issue release year (or series release year as fallback)
             issueReleaseYear, // Specific issue release year (null if not available)
             readYear: watchYear, // Year the issue was read
             poster: posterUrl,
             title: comicTitle,
-            rating_key: comic.seriesId || comic.id, // Use seriesId as rating_key for consistency
-            seriesId: comic.seriesId || comic.id,
-            bookId: comic.id, // Keep book ID to track individual issues
+            rating_key: comic.groupKey, // Use seriesId as rating_key for consistency
+            seriesId: comic.groupKey,
+            bookId: comic.itemKey, // Keep book ID to track individual issues
+            bookTitle: comic.title,
+            bookNumber: comic.number,
+            readProgress: comic.details.readProgress,
+            seriesMetadata: comic.details.seriesMetadata,
+            bookMetadata: comic.details.bookMetadata,
+            isExternal: Boolean(comic.details.external), // Read outside the comic server (a manual entry)
           };
-        }).filter(comic => comic !== null); // Filter out comics with invalid dates
-
+        });
+        
         // Sort by read date (most recent first)
         processedComics.sort((a, b) => b.date - a.date);
         
@@ -314,19 +291,18 @@ function ComicBooksView({ onNavigate }) {
         setYears(uniqueYears);
         
         // Set active tab from URL if valid, otherwise default
-        const params = new URLSearchParams(window.location.search);
-        const urlTab = params.get('tab');
+        const urlTab = getRoute().tab;
         // Only allow 'ranking' or 'admin' tabs in dev mode
         if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || uniqueYears.includes(parseInt(urlTab)))) {
           // URL tab is valid, keep it
-          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab);
-        } else {
-          // No valid URL tab, set default
+          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+        } else if (!getRoute().item) {
+          // No valid URL tab (and not an item page), set default
           const currentYear = new Date().getFullYear();
           if (uniqueYears.includes(currentYear)) {
-            setActiveTab('current');
+            setActiveTab('current', { replace: true });
           } else if (uniqueYears.length > 0) {
-            setActiveTab(uniqueYears[0].toString());
+            setActiveTab(uniqueYears[0].toString(), { replace: true });
           }
         }
         
@@ -345,7 +321,7 @@ function ComicBooksView({ onNavigate }) {
       setLoading(false);
     }
   };
-
+  
   const getComicsByYear = useMemo(() => {
     return (year) => {
       if (year === 'current') {
@@ -355,7 +331,7 @@ function ComicBooksView({ onNavigate }) {
       return comics.filter(c => c.year === parseInt(year));
     };
   }, [comics]);
-
+  
   // Get top 3 ranked comic books for a year
   // Only includes comics where: (1) an issue was released that year AND (2) that issue was read that year
   const getTop3ForYear = useMemo(() => {
@@ -403,7 +379,7 @@ function ComicBooksView({ onNavigate }) {
       return yearRankings;
     };
   }, [rankings, allReadData]);
-
+  
   const getYearStats = useMemo(() => {
     // Pre-compute format function
     const formatReadTime = (issues) => {
@@ -434,7 +410,9 @@ function ComicBooksView({ onNavigate }) {
       };
     };
   }, [comics, allReadData, getComicsByYear]);
-
+  
+  const selectedSeries = selectedItem ? comics.find(comic => String(comic.seriesId) === selectedItem) : null;
+  
   if (loading) {
     return (
       <div className="app">
@@ -442,7 +420,7 @@ function ComicBooksView({ onNavigate }) {
       </div>
     );
   }
-
+  
   if (error) {
     return (
       <div className="app">
@@ -450,7 +428,7 @@ function ComicBooksView({ onNavigate }) {
       </div>
     );
   }
-
+  
   return (
     <div className="app">
       <header className="app-header">
@@ -465,14 +443,21 @@ function ComicBooksView({ onNavigate }) {
             <button className="switch-button" onClick={() => onNavigate('tv')}>
               📺 TV Shows
             </button>
+            <button className="switch-button" onClick={() => onNavigate('audiobooks')}>
+              🎧 Audiobooks
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('music')}>
+              🎵 Music
+            </button>
           </div>
         </div>
         <h1>Comic Books</h1>
+        <SearchBox />
       </header>
-
+      
       <div className="tabs">
         <button
-          className={`tab ${activeTab === 'current' ? 'active' : ''}`}
+          className={`tab ${!selectedItem && activeTab === 'current' ? 'active' : ''}`}
           onClick={() => setActiveTab('current')}
         >
           {new Date().getFullYear()}
@@ -481,7 +466,7 @@ function ComicBooksView({ onNavigate }) {
           year !== new Date().getFullYear() && (
             <button
               key={year}
-              className={`tab ${activeTab === year.toString() ? 'active' : ''}`}
+              className={`tab ${!selectedItem && activeTab === year.toString() ? 'active' : ''}`}
               onClick={() => setActiveTab(year.toString())}
             >
               {year}
@@ -490,7 +475,7 @@ function ComicBooksView({ onNavigate }) {
         ))}
         {IS_DEV && (
           <button
-            className={`tab ${activeTab === 'ranking' ? 'active' : ''}`}
+            className={`tab ${!selectedItem && activeTab === 'ranking' ? 'active' : ''}`}
             onClick={() => setActiveTab('ranking')}
           >
             Rankings
@@ -498,25 +483,40 @@ function ComicBooksView({ onNavigate }) {
         )}
         {IS_DEV && (
           <button
-            className={`tab ${activeTab === 'admin' ? 'active' : ''}`}
+            className={`tab ${!selectedItem && activeTab === 'admin' ? 'active' : ''}`}
             onClick={() => setActiveTab('admin')}
           >
             Admin
           </button>
         )}
       </div>
-
+      
       <div className="tab-content">
         {activeTab === 'ranking' && IS_DEV ? (
           <RankingTab movies={comics} contentType="comics" />
         ) : activeTab === 'admin' && IS_DEV ? (
           isAdminAuthenticated ? (
-            <AdminRankingTab movies={comics} contentType="comics" />
+            <>
+              <AdminRankingTab movies={comics} contentType="comics" />
+              <ManualEntriesAdmin mediaType="comic" />
+            </>
           ) : (
             <AdminLogin onLogin={() => setIsAdminAuthenticated(true)} />
           )
+        ) : selectedSeries ? (
+          <ComicSeriesDetail
+            series={selectedSeries}
+            reads={allReadData.filter(comic => comic.seriesId === selectedSeries.seriesId)}
+            onBack={() => goBack({ view: 'comics' })}
+          />
         ) : (
           <>
+            <button
+              className="wrapped-link"
+              onClick={() => navigate({ view: 'comics', tab: activeTab === 'current' ? new Date().getFullYear().toString() : activeTab, wrapped: true })}
+            >
+              🎁 Your {activeTab === 'current' ? new Date().getFullYear() : activeTab} Wrapped
+            </button>
             {(() => {
               const stats = getYearStats(activeTab);
               const top3 = getTop3ForYear(activeTab);
@@ -531,38 +531,32 @@ function ComicBooksView({ onNavigate }) {
                     <span className="stat-value">{stats.totalIssues}</span>
                   </div>
                   {top3.map((item, index) => {
-                    // Build poster URL - try local static files first, fallback to backend proxy in dev
-                    let posterUrl = null;
-                    if (item.rating_key) {
-                      // Try local static cover file first (works in both dev and prod)
-                      posterUrl = `${STATIC_DATA_PATH}/covers/${item.rating_key}.jpg`;
-                    }
+                    // The ranking only stores the series id, the read entries know its cover and source
+                    const series = allReadData.find(comic => comic.seriesId === item.rating_key);
                     
-                    // In development, if we don't have a local file, fallback to backend proxy
-                    if (IS_DEV && item.rating_key && !posterUrl) {
-                      posterUrl = `${API_BASE_URL}/komga/cover/${item.rating_key}`;
-                    } else if (item.poster && !item.poster.includes('localhost')) {
-                      // Fallback to stored poster if it's not a localhost URL
+                    // Local static cover file of the series (works in both dev and prod), else the
+                    // poster stored with the ranking if it's not a localhost URL
+                    let posterUrl = series?.poster || null;
+                    if (!posterUrl && item.poster && !item.poster.includes('localhost')) {
                       posterUrl = item.poster;
                     }
+                    const proxyUrl = getCoverProxyUrl(series);
                     
                     return (
                       <div key={item.rating_key || index} className="stat-item top-3-stat-item">
                         <span className="stat-label">#{index + 1}</span>
                         <div className="top-3-content">
                           {posterUrl && (
-                            <img 
-                              src={posterUrl} 
+                            <PosterImage
+                              src={posterUrl}
                               alt={item.title}
                               className="top-3-poster"
-                              loading="lazy"
+                              sizes="40px"
                               onError={(e) => {
-                                // Try fallback with rating_key if available
-                                if (item.rating_key) {
-                                  if (IS_DEV) {
-                                    e.target.src = `${API_BASE_URL}/komga/cover/${item.rating_key}`;
-                                    return;
-                                  }
+                                // In development, try the comic server the series was read on
+                                if (proxyUrl && !e.target.src.endsWith(proxyUrl)) {
+                                  e.target.src = proxyUrl;
+                                  return;
                                 }
                                 // Final fallback
                                 e.target.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="60" height="90"%3E%3Crect fill="%23ddd" width="60" height="90"/%3E%3C/svg%3E';
@@ -577,7 +571,16 @@ function ComicBooksView({ onNavigate }) {
                 </div>
               );
             })()}
-            <MovieList movies={getComicsByYear(activeTab)} contentType="comics" />
+            <ActivityCalendar
+              plays={allReadData}
+              year={activeTab === 'current' ? new Date().getFullYear() : parseInt(activeTab)}
+              kind="comics"
+            />
+            <MovieList
+              movies={getComicsByYear(activeTab)}
+              contentType="comics"
+              onSelect={(comic) => navigate({ view: 'comics', item: String(comic.seriesId) })}
+            />
           </>
         )}
       </div>
@@ -0,0 +1,178 @@
+import { useMemo } from 'react';
+import './ItemDetail.css';
+import PosterImage from './PosterImage';
+import Completion from './Completion';
+import { formatDate } from '../utils/formatters';
+
+// Komga status names ("ONGOING") as labels ("Ongoing")
+const formatStatus = (status) => (status ? status.charAt(0) + status.slice(1).toLowerCase() : null);
+
+// One row per issue (reads of the same book grouped), ordered by issue number,
+// with a row for each gap in the run between the lowest and highest issue read
+const buildIssueRows = (reads) => {
+  const issues = new Map();
+  reads.forEach(read => {
+    const key = read.bookId || read.id;
+    if (!issues.has(key)) {
+      issues.set(key, { key, number: read.bookNumber, title: read.bookTitle, reads: [] });
+    }
+    issues.get(key).reads.push(read);
+  });
+  
+  const sortedIssues = Array.from(issues.values())
+    .map(issue => ({ ...issue, reads: issue.reads.sort((a, b) => a.date - b.date) }))
+    .sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity) || a.reads[0].date - b.reads[0].date);
+  
+  const rows = [];
+  let previousNumber = null;
+  sortedIssues.forEach(issue => {
+    if (Number.isInteger(issue.number)) {
+      if (previousNumber !== null && issue.number - previousNumber > 1) {
+        rows.push({ type: 'gap', from: previousNumber + 1, to: issue.number - 1 });
+      }
+      previousNumber = issue.number;
+    }
+    rows.push({ type: 'issue', ...issue });
+  });
+  return rows;
+};
+
+// Pages read of one read: "22", or "12 / 22" when it wasn't finished
+const formatPages = (read) => {
+  const pagesCount = read.details.pagesCount;
+  const page = read.readProgress?.page;
+  if (read.readProgress?.completed || (pagesCount && page >= pagesCount)) {
+    return pagesCount || '–';
+  }
+  if (page) {
+    return pagesCount ? `${page} / ${pagesCount}` : page;
+  }
+  return pagesCount || '–';
+};
+
+// Every issue read of one comic series. series is the series' entry in the comic
+// list, reads every read of it (ComicBooksView's allReadData for the series)
+function ComicSeriesDetail({ series, reads, onBack }) {
+  const rows = useMemo(() => buildIssueRows(reads), [reads]);
+  
+  // Series details from the most recently fetched read
+  const latest = useMemo(() => [...reads].sort((a, b) => b.date - a.date)[0] || series, [reads, series]);
+  const metadata = latest.seriesMetadata || {};
+  const bookCount = latest.details?.seriesBookCount || null;
+  
+  const issues = rows.filter(row => row.type === 'issue');
+  const gaps = rows.filter(row => row.type === 'gap');
+  const missingCount = gaps.reduce((sum, gap) => sum + gap.to - gap.from + 1, 0);
+  const firstRead = reads.reduce((first, read) => (read.watchDate < first ? read.watchDate : first), latest.watchDate);
+  
+  return (
+    <div className="item-detail">
+      <button className="item-detail-back" onClick={onBack}>
+        ← Back
+      </button>
+      
+      <div className="item-detail-header">
+        <div className="item-detail-poster">
+          {series.poster ? (
+            <PosterImage src={series.poster} alt={series.title} sizes="200px" />
+          ) : (
+            <div className="poster-placeholder">
+              <span>No Cover</span>
+            </div>
+          )}
+        </div>
+        <div className="item-detail-info">
+          <h2>{series.title}</h2>
+          {(metadata.publisher || metadata.releaseYear) && (
+            <p className="item-detail-subtitle">
+              {[metadata.publisher, metadata.releaseYear].filter(Boolean).join(' · ')}
+            </p>
+          )}
+          {metadata.summary && <p className="item-detail-description">{metadata.summary}</p>}
+          <dl className="item-detail-facts">
+            {metadata.status && (
+              <div>
+                <dt>Status</dt>
+                <dd>{formatStatus(metadata.status)}</dd>
+              </div>
+            )}
+            {metadata.genres?.length > 0 && (
+              <div>
+                <dt>Genres</dt>
+                <dd>{metadata.genres.join(', ')}</dd>
+              </div>
+            )}
+            <div>
+              <dt>First Read</dt>
+              <dd>{formatDate(firstRead)}</dd>
+            </div>
+            <div>
+              <dt>Last Read</dt>
+              <dd>{formatDate(latest.watchDate)}</dd>
+            </div>
+            <div>
+              <dt>Issues Read</dt>
+              <dd><Completion count={issues.length} total={bookCount} unit="issue" /></dd>
+            </div>
+            {missingCount > 0 && (
+              <div>
+                <dt>Gaps in Run</dt>
+                <dd>{missingCount} issue{missingCount !== 1 ? 's' : ''} skipped</dd>
+              </div>
+            )}
+          </dl>
+        </div>
+      </div>
+      
+      <section className="item-detail-section">
+        <table className="item-detail-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Issue</th>
+              <th>Read</th>
+              <th>Pages</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (row.type === 'gap' ? (
+              <tr key={`gap-${row.from}`} className="missing">
+                <td>{row.from === row.to ? row.from : `${row.from}–${row.to}`}</td>
+                <td colSpan={3}>
+                  Not read ({row.to - row.from + 1} issue{row.to !== row.from ? 's' : ''})
+                </td>
+              </tr>
+            ) : (
+              <tr key={row.key}>
+                <td>{row.number ?? '–'}</td>
+                <td>
+                  {row.title}
+                  {row.reads.length > 1 && (
+                    <span className="item-detail-badge" title={`Read ${row.reads.length} times`}>
+                      ×{row.reads.length}
+                    </span>
+                  )}
+                </td>
+                <td>
+                  {row.reads.map(read => (
+                    <span key={read.id} className="item-detail-date">
+                      {formatDate(read.watchDate)}
+                      {read.isExternal && ' (external)'}
+                    </span>
+                  ))}
+                </td>
+                <td>
+                  {row.reads.map(read => (
+                    <span key={read.id} className="item-detail-date">{formatPages(read)}</span>
+                  ))}
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
+
+export default ComicSeriesDetail;
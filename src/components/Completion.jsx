@@ -0,0 +1,18 @@
+// "3 of 10 episodes (30%)" with a progress bar, or just "3 episodes" when the
+// total is unknown. Styled by ItemDetail.css
+function Completion({ count, total, unit }) {
+  if (!total) {
+    return <span className="item-detail-completion">{count} {unit}{count !== 1 ? 's' : ''}</span>;
+  }
+  const percent = Math.min(100, Math.round((count / total) * 100));
+  return (
+    <span className="item-detail-completion">
+      {count} of {total} {unit}{total !== 1 ? 's' : ''} ({percent}%)
+      <span className="item-detail-progress">
+        <span className="item-detail-progress-bar" style={{ width: `${percent}%` }} />
+      </span>
+    </span>
+  );
+}
+
+export default Completion;
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import './ExportButton.css';
+import { EXPORT_FORMATS, exportHistory } from '../../lib/events';
+import { loadEventFile } from '../utils/dataFiles';
+
+// Download a year (or the full history) of one data file in any export format
+// that supports its media type
+function ExportButton({ dataFile, mediaType, name, year }) {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportFailed, setExportFailed] = useState(false);
+  
+  const formats = Object.entries(EXPORT_FORMATS)
+    .filter(([, format]) => !format.mediaTypes || format.mediaTypes.includes(mediaType));
+  
+  const download = async (format, exportYear) => {
+    try {
+      setExporting(true);
+      setExportFailed(false);
+      // Every event (not the deduplicated list) so every watch is exported, with
+      // the manual entries the views show
+      const events = await loadEventFile(dataFile, mediaType);
+      const { content, fileName, mimeType } = exportHistory(events, format, { year: exportYear, name });
+      
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+      setOpen(false);
+    } catch (err) {
+      console.error('Error exporting history:', err);
+      setExportFailed(true);
+    } finally {
+      setExporting(false);
+    }
+  };
+  
+  return (
+    <div className="history-export">
+      <button
+        className="history-export-toggle"
+        onClick={() => setOpen(!open)}
+        disabled={exporting}
+      >
+        {exporting ? 'Exporting...' : '⬇️ Export'}
+      </button>
+      {exportFailed && <span className="history-export-status error">✗ Export failed</span>}
+      {open && (
+        <div className="history-export-menu">
+          {formats.map(([format, { label }]) => (
+            <div key={format} className="history-export-format">
+              <span className="history-export-format-label">{label}</span>
+              <button onClick={() => download(format, year)} disabled={exporting}>
+                {year}
+              </button>
+              <button onClick={() => download(format, null)} disabled={exporting}>
+                All years
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportButton;
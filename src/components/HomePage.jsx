@@ -1,9 +1,11 @@
 import './HomePage.css';
+import SearchBox from './SearchBox';
 
 function HomePage({ onSelectContent }) {
   return (
     <div className="homepage">
       <div className="homepage-content">
+        <SearchBox />
         <div className="content-selector">
           <button 
             className="content-button movies-button"
@@ -34,6 +36,26 @@ function HomePage({ onSelectContent }) {
               <h2>Comic Books</h2>
             </div>
           </button>
+          
+          <button 
+            className="content-button audiobooks-button"
+            onClick={() => onSelectContent('audiobooks')}
+          >
+            <div className="button-icon">🎧</div>
+            <div className="button-content">
+              <h2>Audiobooks</h2>
+            </div>
+          </button>
+          
+          <button 
+            className="content-button music-button"
+            onClick={() => onSelectContent('music')}
+          >
+            <div className="button-icon">🎵</div>
+            <div className="button-content">
+              <h2>Music</h2>
+            </div>
+          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,274 @@
+import { useState, useEffect } from 'react';
+import './ManualEntriesAdmin.css';
+import { API_BASE_URL, STATIC_DATA_PATH } from '../config';
+import { ARTWORK_DIRS, MANUAL_MEDIA_TYPES, toManualEntryForm } from '../../lib/events';
+import { MANUAL_ENTRIES_SAVED } from '../utils/manualEntries';
+
+// Today's date (local) as YYYY-MM-DD, for the date input
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const emptyForm = (mediaType) => ({
+  mediaType,
+  title: '',
+  date: today(),
+  groupTitle: '',
+  number: '',
+  notes: ''
+});
+
+// Create, edit and delete manual entries (see lib/events/manual.js) of one media type.
+// Saved through the dev server, which writes public/data/manual-entries.json
+function ManualEntriesAdmin({ mediaType }) {
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(() => emptyForm(mediaType));
+  const [editing, setEditing] = useState(null); // Event being edited, null when adding
+  const [poster, setPoster] = useState(null); // Data URL of a newly chosen poster
+  const [removePoster, setRemovePoster] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(''); // 'saving', 'saved', 'error'
+  const [errorMessage, setErrorMessage] = useState('');
+  const [formVersion, setFormVersion] = useState(0); // Bumped to clear the file input
+  
+  const loadEntries = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/manual-entries`);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const events = await response.json();
+      setEntries(events.filter(event => event.mediaType === mediaType).sort((a, b) => b.consumedAt - a.consumedAt));
+    } catch (err) {
+      console.error('[ManualEntriesAdmin] Failed to load manual entries:', err);
+    }
+  };
+  
+  useEffect(() => {
+    loadEntries();
+  }, [mediaType]);
+  
+  const resetForm = () => {
+    setForm(emptyForm(mediaType));
+    setEditing(null);
+    setPoster(null);
+    setRemovePoster(false);
+    setFormVersion(version => version + 1);
+  };
+  
+  const startEditing = (event) => {
+    setForm(toManualEntryForm(event));
+    setEditing(event);
+    setPoster(null);
+    setRemovePoster(false);
+    setFormVersion(version => version + 1);
+    setSaveStatus('');
+  };
+  
+  const handlePosterChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      setPoster(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setPoster(reader.result);
+      setRemovePoster(false);
+    };
+    reader.readAsDataURL(file);
+  };
+  
+  // Views reload their data (and clear their caches) when entries change
+  const notifySaved = () => {
+    window.dispatchEvent(new CustomEvent(MANUAL_ENTRIES_SAVED, { detail: { mediaType } }));
+  };
+  
+  const sendRequest = async (path, method, body) => {
+    setSaveStatus('saving');
+    setErrorMessage('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/manual-entries${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `${response.status} ${response.statusText}`);
+      }
+      setSaveStatus('saved');
+      resetForm();
+      await loadEntries();
+      notifySaved();
+    } catch (err) {
+      console.error(`[ManualEntriesAdmin] ${method} failed:`, err);
+      setErrorMessage(err.message);
+      setSaveStatus('error');
+    }
+  };
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const body = { ...form, poster, removePoster };
+    if (editing) {
+      sendRequest(`/${editing.id.replace(/^manual:/, '')}`, 'PUT', body);
+    } else {
+      sendRequest('', 'POST', body);
+    }
+  };
+  
+  const handleDelete = (event) => {
+    if (window.confirm(`Delete "${event.groupTitle ? `${event.groupTitle}: ` : ''}${event.title}"?`)) {
+      sendRequest(`/${event.id.replace(/^manual:/, '')}`, 'DELETE');
+    }
+  };
+  
+  const getPosterUrl = (event) => (event.artworkKey
+    ? `${STATIC_DATA_PATH}/${ARTWORK_DIRS[event.mediaType]}/${event.artworkKey}.jpg`
+    : null);
+  
+  const groupLabel = MANUAL_MEDIA_TYPES[form.mediaType].groupLabel;
+  const currentPoster = poster || (editing && !removePoster ? getPosterUrl(editing) : null);
+  
+  return (
+    <div className="manual-entries-admin">
+      <div className="section-header">
+        <div className="section-header-top">
+          <div>
+            <h3>Manual Entries ({entries.length})</h3>
+            <p className="section-description">
+              Record something that never touched Plex or Komga: a cinema visit, a borrowed comic, a friend's Netflix.
+            </p>
+          </div>
+          {saveStatus === 'saving' && <span className="save-status saving">Saving...</span>}
+          {saveStatus === 'saved' && <span className="save-status saved">✓ Saved</span>}
+          {saveStatus === 'error' && <span className="save-status error">✗ {errorMessage || 'Save failed'}</span>}
+        </div>
+      </div>
+      
+      <form className="manual-entry-form" onSubmit={handleSubmit}>
+        <label>
+          Type
+          <select
+            value={form.mediaType}
+            onChange={(e) => setForm({ ...form, mediaType: e.target.value })}
+          >
+            {Object.entries(MANUAL_MEDIA_TYPES).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {groupLabel && (
+          <label>
+            {groupLabel}
+            <input
+              type="text"
+              value={form.groupTitle}
+              onChange={(e) => setForm({ ...form, groupTitle: e.target.value })}
+              required
+            />
+          </label>
+        )}
+        <label>
+          Title
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            required
+          />
+        </label>
+        {groupLabel && (
+          <label>
+            Number
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.number}
+              onChange={(e) => setForm({ ...form, number: e.target.value })}
+            />
+          </label>
+        )}
+        <label>
+          Date
+          <input
+            type="date"
+            value={form.date}
+            onChange={(e) => setForm({ ...form, date: e.target.value })}
+            required
+          />
+        </label>
+        <label className="manual-entry-notes">
+          Notes
+          <textarea
+            value={form.notes}
+            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            rows={2}
+          />
+        </label>
+        <div className="manual-entry-poster">
+          {currentPoster && <img src={currentPoster} alt="Poster" />}
+          <label>
+            Poster (optional)
+            <input key={formVersion} type="file" accept="image/jpeg,image/png,image/webp" onChange={handlePosterChange} />
+          </label>
+          {editing?.artworkKey && !poster && (
+            <label className="manual-entry-checkbox">
+              <input
+                type="checkbox"
+                checked={removePoster}
+                onChange={(e) => setRemovePoster(e.target.checked)}
+              />
+              Remove poster
+            </label>
+          )}
+        </div>
+        <div className="manual-entry-actions">
+          <button type="submit" className="save-button" disabled={saveStatus === 'saving'}>
+            {editing ? '💾 Save Changes' : '➕ Add Entry'}
+          </button>
+          {editing && (
+            <button type="button" className="cancel-button" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+      
+      {entries.length === 0 ? (
+        <div className="empty-rankings">No manual entries yet.</div>
+      ) : (
+        <ul className="manual-entries-list">
+          {entries.map(event => (
+            <li key={event.id} className={`manual-entry ${editing?.id === event.id ? 'editing' : ''}`}>
+              <div className="manual-entry-thumb">
+                {getPosterUrl(event) ? (
+                  <img src={getPosterUrl(event)} alt={event.title} loading="lazy" />
+                ) : (
+                  <div className="poster-placeholder-small">No Poster</div>
+                )}
+              </div>
+              <div className="manual-entry-info">
+                <h4>
+                  {event.groupTitle && `${event.groupTitle}: `}
+                  {event.number !== null && `#${event.number} `}
+                  {event.title}
+                </h4>
+                <p>{new Date(event.consumedAt * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</p>
+                {event.details.notes && <p className="manual-entry-note">{event.details.notes}</p>}
+              </div>
+              <div className="manual-entry-buttons">
+                <button type="button" onClick={() => startEditing(event)}>Edit</button>
+                <button type="button" className="remove-button" onClick={() => handleDelete(event)} title="Delete entry">×</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ManualEntriesAdmin;
@@ -0,0 +1,33 @@
+// Number of cast members listed (the block keeps more, for filtering)
+const CAST_SHOWN = 5;
+
+// "75%" for Rotten Tomatoes scores (Plex stores them out of 10), "7.5/10" otherwise
+const formatScore = (score, source) => (source === 'rottentomatoes' ? `${Math.round(score * 10)}%` : `${score}/10`);
+
+// Facts of an item's metadata block (toMetadataBlock in lib/events/tautulli.js)
+// for an item-detail-facts list: genres, directors, cast, studio, content rating
+// and ratings. Renders nothing without metadata. Styled by ItemDetail.css
+function MetadataFacts({ metadata }) {
+  if (!metadata) {
+    return null;
+  }
+  const { ratings = {} } = metadata;
+  const facts = [
+    ['Genres', metadata.genres?.join(', ')],
+    [metadata.directors?.length > 1 ? 'Directors' : 'Director', metadata.directors?.join(', ')],
+    ['Starring', metadata.cast?.slice(0, CAST_SHOWN).join(', ')],
+    ['Studio', metadata.studio],
+    ['Rated', metadata.contentRating],
+    ['Critics', ratings.critic !== null && ratings.critic !== undefined ? formatScore(ratings.critic, ratings.source) : null],
+    ['Audience', ratings.audience !== null && ratings.audience !== undefined ? formatScore(ratings.audience, ratings.source) : null]
+  ];
+  
+  return facts.filter(([, value]) => value).map(([label, value]) => (
+    <div key={label}>
+      <dt>{label}</dt>
+      <dd>{value}</dd>
+    </div>
+  ));
+}
+
+export default MetadataFacts;
@@ -0,0 +1,140 @@
+import { useMemo } from 'react';
+import './ItemDetail.css';
+import PosterImage from './PosterImage';
+import MetadataFacts from './MetadataFacts';
+import { formatDate, formatRuntime, formatTotalTime } from '../utils/formatters';
+import { isUnfinished, getRuntime } from '../utils/listFilters';
+
+const SOURCE_LABELS = {
+  tautulli: 'Tautulli',
+  plex: 'Plex',
+  jellyfin: 'Jellyfin',
+  letterboxd: 'Letterboxd',
+  manual: 'Manual'
+};
+
+// Time actually played: Tautulli's play_duration (paused time excluded), else the event duration
+const getPlayedSeconds = (watch) => Number(watch.details.play_duration ?? watch.duration) || 0;
+
+// "Living Room TV (Roku)"
+const formatPlayer = (details) => {
+  const device = details.player || details.product;
+  const platform = details.platform && details.platform !== device ? details.platform : null;
+  if (!device) return platform || '–';
+  return platform ? `${device} (${platform})` : device;
+};
+
+// Every viewing of one movie. movie is its entry in the movie list, watches every
+// play of it (MoviesView's allWatchData for the movie), rankings the full ranked list
+function MovieDetail({ movie, watches, rankings, onBack }) {
+  const sortedWatches = useMemo(() => [...watches].sort((a, b) => b.date - a.date), [watches]);
+  
+  const rankIndex = rankings.findIndex(r => r.rating_key === movie.rating_key ||
+    r.title?.toLowerCase().trim() === movie.title.toLowerCase().trim());
+  const finishedCount = watches.filter(watch => !isUnfinished(watch)).length;
+  const totalPlayed = watches.reduce((sum, watch) => sum + getPlayedSeconds(watch), 0);
+  const firstWatched = sortedWatches[sortedWatches.length - 1]?.watchDate || movie.watchDate;
+  const releaseDate = sortedWatches.find(watch => watch.releaseDate)?.releaseDate;
+  const rating = sortedWatches.find(watch => watch.rating)?.rating;
+  
+  return (
+    <div className="item-detail">
+      <button className="item-detail-back" onClick={onBack}>
+        ← Back
+      </button>
+      
+      <div className="item-detail-header">
+        <div className="item-detail-poster">
+          {movie.poster ? (
+            <PosterImage src={movie.poster} alt={movie.title} sizes="200px" />
+          ) : (
+            <div className="poster-placeholder">
+              <span>No Poster</span>
+            </div>
+          )}
+        </div>
+        <div className="item-detail-info">
+          <h2>{movie.title}</h2>
+          {movie.releaseYear && <p className="item-detail-subtitle">{movie.releaseYear}</p>}
+          <dl className="item-detail-facts">
+            {releaseDate && (
+              <div>
+                <dt>Released</dt>
+                <dd>{formatDate(new Date(`${releaseDate.slice(0, 10)}T12:00:00`))}</dd>
+              </div>
+            )}
+            <div>
+              <dt>Ranking</dt>
+              <dd>{rankIndex !== -1 ? `#${rankIndex + 1} of ${rankings.length}` : 'Not ranked'}</dd>
+            </div>
+            <div>
+              <dt>Viewings</dt>
+              <dd>
+                {finishedCount}
+                {finishedCount < watches.length && ` (+${watches.length - finishedCount} unfinished)`}
+              </dd>
+            </div>
+            <div>
+              <dt>First Watched</dt>
+              <dd>{formatDate(firstWatched)}</dd>
+            </div>
+            <div>
+              <dt>Last Watched</dt>
+              <dd>{formatDate(movie.watchDate)}</dd>
+            </div>
+            <div>
+              <dt>Total Watch Time</dt>
+              <dd>{formatTotalTime(totalPlayed)}</dd>
+            </div>
+            {rating && (
+              <div>
+                <dt>Rating</dt>
+                <dd>{rating}/10</dd>
+              </div>
+            )}
+            <MetadataFacts metadata={movie.metadata} />
+          </dl>
+        </div>
+      </div>
+      
+      <section className="item-detail-section">
+        <table className="item-detail-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Played</th>
+              <th>Paused</th>
+              <th>Player</th>
+              <th>Complete</th>
+              <th>Source</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedWatches.map(watch => (
+              <tr key={watch.id} className={isUnfinished(watch) ? 'unfinished' : ''}>
+                <td>
+                  <span className="item-detail-date">{formatDate(watch.watchDate)}</span>
+                  {watch.details.rewatch && <span className="item-detail-badge">Rewatch</span>}
+                </td>
+                <td>
+                  {watch.details.play_duration !== undefined && getRuntime(watch)
+                    ? `${formatRuntime(getPlayedSeconds(watch))} of ${formatRuntime(getRuntime(watch))}`
+                    : formatRuntime(getPlayedSeconds(watch))}
+                </td>
+                <td>{watch.details.paused_counter ? formatRuntime(Number(watch.details.paused_counter)) : '–'}</td>
+                <td>{formatPlayer(watch.details)}</td>
+                <td>
+                  {watch.percentComplete !== null && watch.percentComplete !== undefined ? `${watch.percentComplete}%` : '–'}
+                  {isUnfinished(watch) && <span className="item-detail-badge">Unfinished</span>}
+                </td>
+                <td>{SOURCE_LABELS[watch.source] || watch.source}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
+
+export default MovieDetail;
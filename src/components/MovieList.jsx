@@ -1,78 +1,105 @@
 import { useMemo } from 'react';
 import './MovieList.css';
 import { API_BASE_URL, IS_DEV } from '../config';
+import { getContentType } from '../utils/contentTypes';
+import PosterImage from './PosterImage';
+import MovieListToolbar from './MovieListToolbar';
+import { useQueryParams } from '../utils/router';
+import { indexFirstWatches, getFilterOptions, getAvailableSorts, applyListQuery } from '../utils/listFilters';
 
-function MovieList({ movies, contentType }) {
-  const sortedMovies = useMemo(() => {
-    if (!movies || movies.length === 0) return [];
-    // Sort by watch date (most recent first)
-    return [...movies].sort((a, b) => b.date - a.date);
-  }, [movies]);
-
+// onSelect (optional) is called with the item whose card is clicked. watches
+// (optional) are every watch of the items, which tells rewatches from first watches.
+// The toolbar's filters and sort are the page's query parameters
+function MovieList({ movies, contentType, onSelect, watches }) {
+  const query = useQueryParams();
+  const context = useMemo(() => ({ firstWatches: indexFirstWatches(watches) }), [watches]);
+  
+  const filters = useMemo(() => getFilterOptions(movies || [], query, context), [movies, query, context]);
+  const sorts = useMemo(() => getAvailableSorts(movies || []), [movies]);
+  const sortedMovies = useMemo(() => applyListQuery(movies || [], query, context), [movies, query, context]);
+  
   if (!movies || movies.length === 0) {
-    const emptyMessage = contentType === 'comics' 
-      ? 'No comic books found for this year.'
-      : contentType === 'tv'
-      ? 'No TV shows found for this year.'
-      : 'No movies found for this year.';
+    const emptyMessage = `No ${getContentType(contentType).plural} found for this year.`;
     return (
       <div className="movie-list-empty">
         <p>{emptyMessage}</p>
       </div>
     );
   }
-
+  
   return (
-    <div className="movie-list">
-      {sortedMovies.map((movie) => (
-          <div key={`${movie.rating_key}-${movie.date}`} className="movie-card">
-            <div className="movie-poster">
-              {movie.poster ? (
-                <img 
-                  src={movie.poster} 
-                  alt={movie.title}
-                  loading="lazy"
-                  onError={(e) => {
-                    // If local poster file fails, try backend proxy in dev mode
-                    const originalSrc = e.target.src;
-                    if (IS_DEV && movie.rating_key) {
-                      // First try using rating_key to get poster via API
-                      const fallbackUrl = `${API_BASE_URL}/poster?ratingKey=${movie.rating_key}`;
-                      e.target.src = fallbackUrl;
-                      return;
-                    }
-                    // If thumb is available and we're in dev, try using it directly
-                    if (IS_DEV && movie.thumb) {
-                      const thumbUrl = `${API_BASE_URL}/poster?thumb=${encodeURIComponent(movie.thumb)}`;
-                      e.target.src = thumbUrl;
-                      return;
-                    }
-                    // Final fallback to placeholder
-                    e.target.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="300"%3E%3Crect fill="%23ddd" width="200" height="300"/%3E%3Ctext fill="%23999" font-family="sans-serif" font-size="18" x="50%25" y="50%25" text-anchor="middle" dy=".3em"%3ENo Poster%3C/text%3E%3C/svg%3E';
-                  }}
-                />
-              ) : (
-                <div className="poster-placeholder">
-                  <span>No Poster</span>
-                </div>
-              )}
-            </div>
-            <div className="movie-info">
-              <h3 className="movie-title">{movie.title}</h3>
-              <p className="movie-date">
-                {contentType === 'comics' ? 'Read' : 'Watched'}: {movie.watchDate.toLocaleDateString('en-US', {
-                  year: 'numeric',
-                  month: 'long',
-                  day: 'numeric'
-                })}
-              </p>
-              {movie.rating && (
-                <p className="movie-rating">Rating: {movie.rating}/10</p>
-              )}
-            </div>
+    <>
+      <MovieListToolbar
+        filters={filters}
+        sorts={sorts}
+        query={query}
+        contentType={contentType}
+        shownCount={sortedMovies.length}
+        totalCount={movies.length}
+      />
+      {sortedMovies.length === 0 && (
+        <div className="movie-list-empty">
+          <p>No {getContentType(contentType).plural} match these filters.</p>
         </div>
-      ))}
-    </div>
+      )}
+      <div className="movie-list">
+        {sortedMovies.map((movie) => (
+            <div
+              key={`${movie.rating_key}-${movie.date}`}
+              className={`movie-card ${movie.isExternal ? 'external' : ''}`}
+              onClick={onSelect ? () => onSelect(movie) : undefined}
+            >
+              <div className="movie-poster">
+                {movie.isExternal && (
+                  <span className="external-badge" title="Watched outside Plex">External</span>
+                )}
+                {movie.poster ? (
+                  <PosterImage
+                    src={movie.poster}
+                    alt={movie.title}
+                    sizes="(max-width: 768px) 50vw, 300px"
+                    onError={(e) => {
+                      // If local poster file fails, try backend proxy in dev mode
+                      const originalSrc = e.target.src;
+                      if (IS_DEV && movie.rating_key) {
+                        // First try using rating_key to get poster via API
+                        const fallbackUrl = `${API_BASE_URL}/poster?ratingKey=${movie.rating_key}`;
+                        e.target.src = fallbackUrl;
+                        return;
+                      }
+                      // If thumb is available and we're in dev, try using it directly
+                      if (IS_DEV && movie.thumb) {
+                        const thumbUrl = `${API_BASE_URL}/poster?thumb=${encodeURIComponent(movie.thumb)}`;
+                        e.target.src = thumbUrl;
+                        return;
+                      }
+                      // Final fallback to placeholder
+                      e.target.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="300"%3E%3Crect fill="%23ddd" width="200" height="300"/%3E%3Ctext fill="%23999" font-family="sans-serif" font-size="18" x="50%25" y="50%25" text-anchor="middle" dy=".3em"%3ENo Poster%3C/text%3E%3C/svg%3E';
+                    }}
+                  />
+                ) : (
+                  <div className="poster-placeholder">
+                    <span>No Poster</span>
+                  </div>
+                )}
+              </div>
+              <div className="movie-info">
+                <h3 className="movie-title">{movie.title}</h3>
+                <p className="movie-date">
+                  {getContentType(contentType).consumedLabel}: {movie.watchDate.toLocaleDateString('en-US', {
+                    year: 'numeric',
+                    month: 'long',
+                    day: 'numeric'
+                  })}
+                </p>
+                {movie.rating && (
+                  <p className="movie-rating">Rating: {movie.rating}/10</p>
+                )}
+              </div>
+          </div>
+        ))}
+      </div>
+    </>
   );
 }
 
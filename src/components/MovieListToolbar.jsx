@@ -0,0 +1,78 @@
+import { setQueryParams } from '../utils/router';
+import { SORTS, DEFAULT_SORT } from '../utils/listFilters';
+import { getContentType } from '../utils/contentTypes';
+
+// Filter and sort controls above MovieList. filters and sorts are the ones that
+// apply to the list (see utils/listFilters.js), query the page's query parameters
+function MovieListToolbar({ filters, sorts, query, contentType, shownCount, totalCount }) {
+  const sort = SORTS[query.sort] ? query.sort : DEFAULT_SORT;
+  const descending = query.order ? query.order === 'desc' : SORTS[sort].descending;
+  const isFiltered = filters.some(filter => query[filter.param]);
+  
+  const clearAll = () => {
+    const updates = { sort: null, order: null };
+    filters.forEach(filter => {
+      updates[filter.param] = null;
+    });
+    setQueryParams(updates);
+  };
+  
+  return (
+    <div className="movie-list-toolbar">
+      {filters.map(filter => (
+        <label key={filter.param} className="movie-list-control">
+          <span>{filter.label}</span>
+          <select
+            value={query[filter.param] || ''}
+            onChange={(e) => setQueryParams({ [filter.param]: e.target.value })}
+          >
+            <option value="">All</option>
+            {filter.options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+            {/* A shared link's value that isn't in this list (e.g. another year's genre) */}
+            {query[filter.param] && !filter.options.some(option => option.value === query[filter.param]) && (
+              <option value={query[filter.param]}>{query[filter.param]}</option>
+            )}
+          </select>
+        </label>
+      ))}
+      {sorts.length > 1 && (
+        <div className="movie-list-control">
+          <span>Sort</span>
+          <select
+            aria-label="Sort"
+            value={sort}
+            onChange={(e) => setQueryParams({ sort: e.target.value === DEFAULT_SORT ? null : e.target.value, order: null })}
+          >
+            {sorts.map(key => (
+              <option key={key} value={key}>
+                {key === 'date' ? `Date ${getContentType(contentType).consumedLabel}` : SORTS[key].label}
+              </option>
+            ))}
+          </select>
+          <button
+            className="movie-list-order"
+            onClick={() => setQueryParams({ order: descending ? 'asc' : 'desc' })}
+            title={descending ? 'Descending' : 'Ascending'}
+            aria-label={descending ? 'Sort descending' : 'Sort ascending'}
+          >
+            {descending ? '↓' : '↑'}
+          </button>
+        </div>
+      )}
+      {(isFiltered || query.sort || query.order) && (
+        <button className="movie-list-clear" onClick={clearAll}>
+          Clear
+        </button>
+      )}
+      {isFiltered && (
+        <span className="movie-list-count">
+          {shownCount} of {totalCount}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default MovieListToolbar;
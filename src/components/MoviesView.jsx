@@ -1,11 +1,20 @@
 import { useState, useEffect, useMemo, useRef } from 'react';
 import '../App.css';
+import SearchBox from './SearchBox';
 import MovieList from './MovieList';
+import ActivityCalendar from './ActivityCalendar';
+import MovieDetail from './MovieDetail';
+import ExportButton from './ExportButton';
 import RankingTab from './RankingTab';
 import AdminRankingTab from './AdminRankingTab';
+import ManualEntriesAdmin from './ManualEntriesAdmin';
 import AdminLogin from './AdminLogin';
+import PosterImage from './PosterImage';
 import { API_BASE_URL, IS_DEV, STATIC_DATA_PATH } from '../config';
 import { cache } from '../utils/cache';
+import { useRoute, getRoute, navigate, goBack } from '../utils/router';
+import { loadManualEntries, mergeManualEntries, MANUAL_ENTRIES_SAVED } from '../utils/manualEntries';
+import { readConsumptionEvents } from '../../lib/events';
 
 function MoviesView({ onNavigate }) {
   const [movies, setMovies] = useState([]);
@@ -14,49 +23,47 @@ function MoviesView({ onNavigate }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
-  // Initialize activeTab from URL or default to 'current'
-  const getInitialTab = () => {
-    const params = new URLSearchParams(window.location.search);
-    const tab = params.get('tab');
-    // Only allow 'ranking' or 'admin' tabs in dev mode
-    if ((tab === 'ranking' || tab === 'admin') && IS_DEV) {
-      return tab;
-    }
-    if (tab) {
-      return tab; // Could be a year like '2024'
-    }
-    return 'current';
+  // The tab and open item come from the path (/movies/2024, /movies/item/<rating_key>),
+  // with the current year's tab as 'current' (see utils/router.js)
+  const route = useRoute();
+  const activeTab = !route.tab || route.tab === new Date().getFullYear().toString() ? 'current' : route.tab;
+  const selectedItem = route.item;
+  
+  // Pass { replace: true } when correcting the URL rather than following a click
+  const setActiveTab = (tab, options) => {
+    navigate({ view: 'movies', tab: tab === 'current' ? new Date().getFullYear().toString() : tab }, options);
   };
   
-  const [activeTab, setActiveTab] = useState(getInitialTab);
   const [years, setYears] = useState([]);
   const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(() => {
     return localStorage.getItem('adminAuthenticated') === 'true';
   });
   const fetchingRef = useRef(false); // Prevent duplicate fetches (React StrictMode)
-
-  // Update URL when tab changes
+  
+  // Open detail pages at the top
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    params.set('view', 'movies');
-    if (activeTab === 'current') {
-      // For 'current', use the actual current year in URL
-      const currentYear = new Date().getFullYear();
-      params.set('tab', currentYear.toString());
-    } else {
-      params.set('tab', activeTab);
-    }
-    const newUrl = `?${params.toString()}`;
-    window.history.replaceState({}, '', newUrl);
-  }, [activeTab]);
-
+    window.scrollTo(0, 0);
+  }, [selectedItem]);
+  
   useEffect(() => {
     if (!fetchingRef.current) {
       fetchingRef.current = true;
       fetchMovies();
     }
   }, []);
-
+  
+  // Reload when manual entries are changed in the admin panel
+  useEffect(() => {
+    const handleManualEntriesSaved = () => {
+      cache.clear().then(fetchMovies).catch(fetchMovies);
+    };
+    window.addEventListener(MANUAL_ENTRIES_SAVED, handleManualEntriesSaved);
+    
+    return () => {
+      window.removeEventListener(MANUAL_ENTRIES_SAVED, handleManualEntriesSaved);
+    };
+  }, []);
+  
   // Load rankings for Top 3 display
   useEffect(() => {
     const loadRankings = async () => {
@@ -116,7 +123,7 @@ function MoviesView({ onNavigate }) {
       window.removeEventListener('rankingsSaved', handleRankingsSaved);
     };
   }, []);
-
+  
   const fetchMovies = async () => {
     try {
       setLoading(true);
@@ -150,19 +157,18 @@ function MoviesView({ onNavigate }) {
               setLoading(false);
               
               // Set active tab from URL if valid, otherwise default
-              const params = new URLSearchParams(window.location.search);
-              const urlTab = params.get('tab');
+              const urlTab = getRoute().tab;
               // Only allow 'ranking' or 'admin' tabs in dev mode
               if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || cachedData.years.includes(parseInt(urlTab)))) {
                 // URL tab is valid, keep it
-                setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab);
-              } else {
-                // No valid URL tab, set default
+                setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+              } else if (!getRoute().item) {
+                // No valid URL tab (and not an item page), set default
                 const currentYear = new Date().getFullYear();
                 if (cachedData.years.includes(currentYear)) {
-                  setActiveTab('current');
+                  setActiveTab('current', { replace: true });
                 } else if (cachedData.years.length > 0) {
-                  setActiveTab(cachedData.years[0].toString());
+                  setActiveTab(cachedData.years[0].toString(), { replace: true });
                 }
               }
               console.log(`Movies loaded from cache in ${(performance.now() - startTime).toFixed(2)}ms`);
@@ -179,17 +185,16 @@ function MoviesView({ onNavigate }) {
           setLoading(false);
           
           // Set active tab from URL if valid, otherwise default
-          const params = new URLSearchParams(window.location.search);
-          const urlTab = params.get('tab');
+          const urlTab = getRoute().tab;
           // Only allow 'ranking' or 'admin' tabs in dev mode
           if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || cachedData.years.includes(parseInt(urlTab)))) {
-            setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab);
-          } else {
+            setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+          } else if (!getRoute().item) {
             const currentYear = new Date().getFullYear();
             if (cachedData.years.includes(currentYear)) {
-              setActiveTab('current');
+              setActiveTab('current', { replace: true });
             } else if (cachedData.years.length > 0) {
-              setActiveTab(cachedData.years[0].toString());
+              setActiveTab(cachedData.years[0].toString(), { replace: true });
             }
           }
           console.log(`Movies loaded from cache in ${(performance.now() - startTime).toFixed(2)}ms`);
@@ -222,36 +227,39 @@ function MoviesView({ onNavigate }) {
         }
       }
       
-      // Handle different possible response structures
-      const movieData = data.response?.data?.data || data.response?.data || data.data || [];
+      // Read consumption events (see lib/events/schema.js for the format)
+      // Manual entries from the admin panel are merged in (see lib/events/manual.js)
+      const movieData = mergeManualEntries(
+        readConsumptionEvents(data).filter(event => event.mediaType === 'movie'),
+        await loadManualEntries('movie')
+      );
       console.log(`Processing ${movieData.length} movies...`);
       const processStart = performance.now();
       
       if (movieData.length > 0) {
         
-        // Process movies and use Plex posters from Tautulli
-        // Use requestIdleCallback or setTimeout to break up processing
-        const processedMovies = movieData.map((movie) => {
-          // Handle date - could be Unix timestamp or ISO string
-          let watchDate;
-          if (typeof movie.date === 'number') {
-            watchDate = new Date(movie.date * 1000);
-          } else if (typeof movie.date === 'string') {
-            watchDate = new Date(movie.date);
-          } else {
-            watchDate = new Date();
+        // Genres, cast etc. fetched for the movie (imported watches, e.g. from
+        // Letterboxd, share them through the movie's rating_key)
+        const metadataByKey = new Map();
+        movieData.forEach(movie => {
+          if (movie.details.metadata && !metadataByKey.has(movie.itemKey)) {
+            metadataByKey.set(movie.itemKey, movie.details.metadata);
           }
+        });
+        
+        // Process movie watch events into the shape the list, stats and rankings use
+        const processedMovies = movieData.map((movie) => {
+          const watchDate = new Date(movie.consumedAt * 1000);
           const watchYear = watchDate.getFullYear();
-          const releaseYear = movie.year || null; // Preserve original release year from Tautulli
+          const releaseYear = movie.releaseYear; // Preserve original release year
           const movieTitle = movie.title || 'Unknown';
           
-          // Use the thumb path from Tautulli to construct poster URL
           // Try local static files first (same in dev and prod), fallback to backend proxy in dev
           let posterUrl = null;
-          if (movie.rating_key) {
+          if (movie.artworkKey) {
             // Try local static poster file first (works in both dev and prod)
             // Use STATIC_DATA_PATH to account for GitHub Pages base path
-            posterUrl = `${STATIC_DATA_PATH}/posters/${movie.rating_key}.jpg`;
+            posterUrl = `${STATIC_DATA_PATH}/posters/${movie.artworkKey}.jpg`;
           }
           
           // In development, if we don't have a local file, fallback to backend proxy
@@ -261,16 +269,20 @@ function MoviesView({ onNavigate }) {
           
           return {
             ...movie,
+            rating_key: movie.itemKey,
+            date: movie.consumedAt,
             watchDate,
             year: watchYear, // Keep watch year for filtering by watch date
             releaseYear, // Preserve release year for filtering top 3 by release date
             poster: posterUrl,
             thumb: movie.thumb, // Keep thumb for fallback poster loading
             title: movieTitle,
-            rating: movie.rating || null,
+            rating: movie.details.rating || null,
+            isExternal: Boolean(movie.details.external), // Watched outside the media server (e.g. imported from Letterboxd)
+            metadata: metadataByKey.get(movie.itemKey) || null, // Genres, directors, cast, ratings (see toMetadataBlock)
           };
         });
-
+        
         // Sort by watch date (most recent first)
         processedMovies.sort((a, b) => b.date - a.date);
         
@@ -362,19 +374,18 @@ function MoviesView({ onNavigate }) {
         setYears(uniqueYears);
         
         // Set active tab from URL if valid, otherwise default
-        const params = new URLSearchParams(window.location.search);
-        const urlTab = params.get('tab');
+        const urlTab = getRoute().tab;
         // Only allow 'ranking' or 'admin' tabs in dev mode
         if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || uniqueYears.includes(parseInt(urlTab)))) {
           // URL tab is valid, keep it
-          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab);
-        } else {
-          // No valid URL tab, set default
+          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+        } else if (!getRoute().item) {
+          // No valid URL tab (and not an item page), set default
           const currentYear = new Date().getFullYear();
           if (uniqueYears.includes(currentYear)) {
-            setActiveTab('current');
+            setActiveTab('current', { replace: true });
           } else if (uniqueYears.length > 0) {
-            setActiveTab(uniqueYears[0].toString());
+            setActiveTab(uniqueYears[0].toString(), { replace: true });
           }
         }
         
@@ -393,7 +404,7 @@ function MoviesView({ onNavigate }) {
       setLoading(false);
     }
   };
-
+  
   const getMoviesByYear = useMemo(() => {
     return (year) => {
       if (year === 'current') {
@@ -403,7 +414,7 @@ function MoviesView({ onNavigate }) {
       return movies.filter(m => m.year === parseInt(year));
     };
   }, [movies]);
-
+  
   // Get top 3 ranked movies for a year
   const getTop3ForYear = useMemo(() => {
     return (year) => {
@@ -444,7 +455,7 @@ function MoviesView({ onNavigate }) {
       return yearRankings;
     };
   }, [rankings, movies, allWatchData]); // Recompute when rankings, movies, or allWatchData change
-
+  
   const getYearStats = useMemo(() => {
     // Pre-compute format function
     const formatWatchTime = (seconds) => {
@@ -486,7 +497,16 @@ function MoviesView({ onNavigate }) {
       };
     };
   }, [movies, allWatchData, getMoviesByYear]);
-
+  
+  const selectedMovie = selectedItem ? movies.find(movie => String(movie.rating_key) === selectedItem) : null;
+  
+  // Every play of a movie: the list merges plays with the same title under one rating_key
+  const getWatches = (movie) => {
+    const normalizedTitle = movie.title.toLowerCase().trim();
+    return allWatchData.filter(watch => watch.rating_key === movie.rating_key ||
+      watch.title?.toLowerCase().trim() === normalizedTitle);
+  };
+  
   if (loading) {
     return (
       <div className="app">
@@ -494,7 +514,7 @@ function MoviesView({ onNavigate }) {
       </div>
     );
   }
-
+  
   if (error) {
     return (
       <div className="app">
@@ -502,7 +522,7 @@ function MoviesView({ onNavigate }) {
       </div>
     );
   }
-
+  
   return (
     <div className="app">
       <header className="app-header">
@@ -517,14 +537,21 @@ function MoviesView({ onNavigate }) {
             <button className="switch-button" onClick={() => onNavigate('comics')}>
               📚 Comic Books
             </button>
+            <button className="switch-button" onClick={() => onNavigate('audiobooks')}>
+              🎧 Audiobooks
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('music')}>
+              🎵 Music
+            </button>
           </div>
         </div>
         <h1>Movies</h1>
+        <SearchBox />
       </header>
-
+      
       <div className="tabs">
         <button
-          className={`tab ${activeTab === 'current' ? 'active' : ''}`}
+          className={`tab ${!selectedItem && activeTab === 'current' ? 'active' : ''}`}
           onClick={() => setActiveTab('current')}
         >
           {new Date().getFullYear()}
@@ -533,7 +560,7 @@ function MoviesView({ onNavigate }) {
           year !== new Date().getFullYear() && (
             <button
               key={year}
-              className={`tab ${activeTab === year.toString() ? 'active' : ''}`}
+              className={`tab ${!selectedItem && activeTab === year.toString() ? 'active' : ''}`}
               onClick={() => setActiveTab(year.toString())}
             >
               {year}
@@ -542,7 +569,7 @@ function MoviesView({ onNavigate }) {
         ))}
         {IS_DEV && (
           <button
-            className={`tab ${activeTab === 'ranking' ? 'active' : ''}`}
+            className={`tab ${!selectedItem && activeTab === 'ranking' ? 'active' : ''}`}
             onClick={() => setActiveTab('ranking')}
           >
             Rankings
@@ -550,25 +577,47 @@ function MoviesView({ onNavigate }) {
         )}
         {IS_DEV && (
           <button
-            className={`tab ${activeTab === 'admin' ? 'active' : ''}`}
+            className={`tab ${!selectedItem && activeTab === 'admin' ? 'active' : ''}`}
             onClick={() => setActiveTab('admin')}
           >
             Admin
           </button>
         )}
       </div>
-
+      
       <div className="tab-content">
         {activeTab === 'ranking' && IS_DEV ? (
           <RankingTab movies={movies} contentType="movies" />
         ) : activeTab === 'admin' && IS_DEV ? (
           isAdminAuthenticated ? (
-            <AdminRankingTab movies={movies} contentType="movies" />
+            <>
+              <AdminRankingTab movies={movies} contentType="movies" />
+              <ManualEntriesAdmin mediaType="movie" />
+            </>
           ) : (
             <AdminLogin onLogin={() => setIsAdminAuthenticated(true)} />
           )
+        ) : selectedMovie ? (
+          <MovieDetail
+            movie={selectedMovie}
+            watches={getWatches(selectedMovie)}
+            rankings={rankings}
+            onBack={() => goBack({ view: 'movies' })}
+          />
         ) : (
           <>
+            <ExportButton
+              dataFile="movies.json"
+              mediaType="movie"
+              name="movies"
+              year={activeTab === 'current' ? new Date().getFullYear() : parseInt(activeTab)}
+            />
+            <button
+              className="wrapped-link"
+              onClick={() => navigate({ view: 'movies', tab: activeTab === 'current' ? new Date().getFullYear().toString() : activeTab, wrapped: true })}
+            >
+              🎁 Your {activeTab === 'current' ? new Date().getFullYear() : activeTab} Wrapped
+            </button>
             {(() => {
               const stats = getYearStats(activeTab);
               const top3 = getTop3ForYear(activeTab);
@@ -583,39 +632,33 @@ function MoviesView({ onNavigate }) {
                     <span className="stat-value">{stats.totalWatchTime}</span>
                   </div>
                   {top3.map((item, index) => {
-                    // Build poster URL - try local static files first, fallback to backend proxy in dev
-                    let posterUrl = null;
-                    if (item.rating_key) {
-                      // Try local static poster file first (works in both dev and prod)
-                      // Use STATIC_DATA_PATH to account for GitHub Pages base path
-                      posterUrl = `${STATIC_DATA_PATH}/posters/${item.rating_key}.jpg`;
-                    }
-                    
-                    // In development, if we don't have a local file, fallback to backend proxy
-                    if (IS_DEV && item.thumb && !posterUrl) {
-                      posterUrl = `${API_BASE_URL}/poster?thumb=${encodeURIComponent(item.thumb)}`;
-                    } else if (item.poster && !item.poster.includes('localhost')) {
-                      // Fallback to stored poster if it's not a localhost URL
+                    // The poster the list shows for the movie (from its artworkKey - imported and manual
+                    // entries have no Plex rating_key to name it), else the one stored with the ranking
+                    // if it's not a localhost URL
+                    const movie = allWatchData.find(watch => watch.rating_key === item.rating_key);
+                    let posterUrl = movie?.poster || null;
+                    if (!posterUrl && item.poster && !item.poster.includes('localhost')) {
                       posterUrl = item.poster;
                     }
                     
+                    // In development, the backend proxy can fetch a Plex poster by its thumb
+                    const thumb = movie?.thumb || item.thumb;
+                    const proxyUrl = IS_DEV && thumb ? `${API_BASE_URL}/poster?thumb=${encodeURIComponent(thumb)}` : null;
+                    
                     return (
                       <div key={item.rating_key || index} className="stat-item top-3-stat-item">
                         <span className="stat-label">#{index + 1}</span>
                         <div className="top-3-content">
                           {posterUrl && (
-                            <img 
-                              src={posterUrl} 
+                            <PosterImage
+                              src={posterUrl}
                               alt={item.title}
                               className="top-3-poster"
-                              loading="lazy"
+                              sizes="40px"
                               onError={(e) => {
-                                // Try fallback with rating_key if available
-                                if (item.rating_key) {
-                                  if (IS_DEV) {
-                                    e.target.src = `${API_BASE_URL}/poster?ratingKey=${item.rating_key}`;
-                                    return;
-                                  }
+                                if (proxyUrl && !e.target.src.endsWith(proxyUrl)) {
+                                  e.target.src = proxyUrl;
+                                  return;
                                 }
                                 // Final fallback
                                 e.target.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="60" height="90"%3E%3Crect fill="%23ddd" width="60" height="90"/%3E%3C/svg%3E';
@@ -630,7 +673,16 @@ function MoviesView({ onNavigate }) {
                 </div>
               );
             })()}
-            <MovieList movies={getMoviesByYear(activeTab)} />
+            <ActivityCalendar
+              plays={allWatchData}
+              year={activeTab === 'current' ? new Date().getFullYear() : parseInt(activeTab)}
+              kind="movies"
+            />
+            <MovieList
+              movies={getMoviesByYear(activeTab)}
+              watches={allWatchData}
+              onSelect={(movie) => navigate({ view: 'movies', item: String(movie.rating_key) })}
+            />
           </>
         )}
       </div>
@@ -0,0 +1,346 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import '../App.css';
+import SearchBox from './SearchBox';
+import './MusicView.css';
+import { IS_DEV, STATIC_DATA_PATH } from '../config';
+import { cache } from '../utils/cache';
+import { useRoute, getRoute, navigate } from '../utils/router';
+import { readConsumptionEvents } from '../../lib/events';
+
+// Number of artists and albums shown in each top list
+const TOP_LIMIT = 10;
+
+const ALBUM_PLACEHOLDER = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="200"%3E%3Crect fill="%23ddd" width="200" height="200"/%3E%3Ctext fill="%23999" font-family="sans-serif" font-size="18" x="50%25" y="50%25" text-anchor="middle" dy=".3em"%3ENo Art%3C/text%3E%3C/svg%3E';
+
+const formatListeningTime = (seconds) => {
+  if (!seconds || seconds === 0) return '0 minutes';
+  
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  
+  const parts = [];
+  if (days > 0) parts.push(`${days} day${days !== 1 ? 's' : ''}`);
+  if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+  if (minutes > 0 || parts.length === 0) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+  
+  return parts.join(', ');
+};
+
+// Total plays and listening time per key, most played first (ties broken by time)
+const aggregatePlays = (plays, getKey, getEntry) => {
+  const totals = new Map();
+  plays.forEach(play => {
+    const key = getKey(play);
+    if (!totals.has(key)) {
+      totals.set(key, { ...getEntry(play), key, plays: 0, seconds: 0 });
+    }
+    const total = totals.get(key);
+    total.plays++;
+    total.seconds += play.duration || 0;
+  });
+  return Array.from(totals.values()).sort((a, b) => b.plays - a.plays || b.seconds - a.seconds);
+};
+
+function MusicView({ onNavigate }) {
+  const [plays, setPlays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // The tab comes from the path (/music/2024), with the current year's tab as 'current'
+  // (see utils/router.js)
+  const route = useRoute();
+  const activeTab = !route.tab || route.tab === new Date().getFullYear().toString() ? 'current' : route.tab;
+  
+  // Pass { replace: true } when correcting the URL rather than following a click
+  const setActiveTab = (tab, options) => {
+    navigate({ view: 'music', tab: tab === 'current' ? new Date().getFullYear().toString() : tab }, options);
+  };
+  
+  const [years, setYears] = useState([]);
+  const fetchingRef = useRef(false); // Prevent duplicate fetches (React StrictMode)
+  
+  useEffect(() => {
+    if (!fetchingRef.current) {
+      fetchingRef.current = true;
+      fetchMusic();
+    }
+  }, []);
+  
+  // Pick the tab from the URL if it's valid, otherwise the current (or latest) year
+  const selectInitialTab = (availableYears) => {
+    const urlTab = getRoute().tab;
+    if (urlTab && availableYears.includes(parseInt(urlTab))) {
+      // URL tab is valid, keep it
+      setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+    } else {
+      // No valid URL tab, set default
+      const currentYear = new Date().getFullYear();
+      if (availableYears.includes(currentYear)) {
+        setActiveTab('current', { replace: true });
+      } else if (availableYears.length > 0) {
+        setActiveTab(availableYears[0].toString(), { replace: true });
+      }
+    }
+  };
+  
+  const fetchMusic = async () => {
+    try {
+      setLoading(true);
+      const startTime = performance.now();
+      
+      // Check cache first
+      const cacheKey = IS_DEV ? 'music-dev' : 'music-prod';
+      const cachedData = await cache.get(cacheKey);
+      
+      if (cachedData) {
+        console.log(`Using cached data for music (${cachedData.plays?.length || 0} plays)`);
+        setPlays(cachedData.plays);
+        setYears(cachedData.years);
+        setLoading(false);
+        selectInitialTab(cachedData.years);
+        console.log(`Music loaded from cache in ${(performance.now() - startTime).toFixed(2)}ms`);
+        return;
+      }
+      
+      console.log('Loading music from static data file...');
+      // Always use static JSON files (both dev and production)
+      // Run 'npm run fetch-data' to update the data
+      const response = await fetch(`${STATIC_DATA_PATH}/music.json`);
+      if (!response.ok) {
+        throw new Error(`Failed to load music data: ${response.status} ${response.statusText}. Please run 'npm run fetch-data' to generate the data file.`);
+      }
+      const data = await response.json();
+      
+      // Check if data is stale (older than 24 hours)
+      if (data._metadata?.lastFetched) {
+        const lastFetched = new Date(data._metadata.lastFetched);
+        const hoursSinceFetch = (Date.now() - lastFetched.getTime()) / (1000 * 60 * 60);
+        if (hoursSinceFetch > 24) {
+          console.warn(`⚠️ Music data is ${Math.round(hoursSinceFetch)} hours old. Run 'npm run fetch-data' to update.`);
+        }
+      }
+      
+      // Read consumption events (see lib/events/schema.js for the format)
+      const trackData = readConsumptionEvents(data).filter(event => event.mediaType === 'track');
+      console.log(`Processing ${trackData.length} track plays...`);
+      
+      if (trackData.length > 0) {
+        // Tracks are grouped under their artist (group) and album (parent)
+        const processedPlays = trackData.map((track) => {
+          const playDate = new Date(track.consumedAt * 1000);
+          
+          return {
+            ...track,
+            watchDate: playDate,
+            date: track.consumedAt,
+            year: playDate.getFullYear(),
+            artist: track.groupTitle,
+            album: track.parentTitle || 'Unknown Album',
+            // Album art downloaded by fetch-data (works in both dev and prod)
+            albumArt: track.artworkKey ? `${STATIC_DATA_PATH}/album-art/${track.artworkKey}.jpg` : null
+          };
+        });
+        
+        // Sort by play date (most recent first)
+        processedPlays.sort((a, b) => b.date - a.date);
+        
+        const uniqueYears = [...new Set(processedPlays.map(p => p.year))].sort((a, b) => b - a);
+        
+        // Cache the processed data
+        await cache.set(cacheKey, {
+          plays: processedPlays,
+          years: uniqueYears
+        });
+        
+        setPlays(processedPlays);
+        setYears(uniqueYears);
+        selectInitialTab(uniqueYears);
+        
+        console.log(`Total music load time: ${(performance.now() - startTime).toFixed(2)}ms`);
+      } else {
+        setError('No music data found');
+      }
+    } catch (err) {
+      console.error('Error fetching music:', err);
+      if (err.message && err.message.includes('Failed to load music data')) {
+        setError(err.message);
+      } else {
+        setError('Failed to load music data. Please run "npm run fetch-data" to generate the data file.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const yearPlays = useMemo(() => {
+    const targetYear = activeTab === 'current' ? new Date().getFullYear() : parseInt(activeTab);
+    return plays.filter(p => p.year === targetYear);
+  }, [plays, activeTab]);
+  
+  // Artists by name, as Plex can split one artist across several keys
+  const topArtists = useMemo(() => {
+    return aggregatePlays(yearPlays, play => play.artist, play => ({
+      name: play.artist,
+      albumArt: play.albumArt
+    }));
+  }, [yearPlays]);
+  
+  // The same album title can exist for different artists, so key by both
+  const topAlbums = useMemo(() => {
+    return aggregatePlays(yearPlays, play => `${play.artist}\u0000${play.album}`, play => ({
+      name: play.album,
+      artist: play.artist,
+      albumArt: play.albumArt
+    }));
+  }, [yearPlays]);
+  
+  if (loading) {
+    return (
+      <div className="app">
+        <div className="loading">Loading music...</div>
+      </div>
+    );
+  }
+  
+  if (error) {
+    return (
+      <div className="app">
+        <div className="error">{error}</div>
+      </div>
+    );
+  }
+  
+  const totalSeconds = yearPlays.reduce((sum, play) => sum + (play.duration || 0), 0);
+  
+  return (
+    <div className="app">
+      <header className="app-header">
+        <div className="header-top">
+          <button className="home-button" onClick={() => onNavigate('home')}>
+            ← Home
+          </button>
+          <div className="nav-buttons">
+            <button className="switch-button" onClick={() => onNavigate('movies')}>
+              🎬 Movies
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('tv')}>
+              📺 TV Shows
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('comics')}>
+              📚 Comic Books
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('audiobooks')}>
+              🎧 Audiobooks
+            </button>
+          </div>
+        </div>
+        <h1>Music</h1>
+        <SearchBox />
+      </header>
+      
+      <div className="tabs">
+        <button
+          className={`tab ${activeTab === 'current' ? 'active' : ''}`}
+          onClick={() => setActiveTab('current')}
+        >
+          {new Date().getFullYear()}
+        </button>
+        {years.map(year => (
+          year !== new Date().getFullYear() && (
+            <button
+              key={year}
+              className={`tab ${activeTab === year.toString() ? 'active' : ''}`}
+              onClick={() => setActiveTab(year.toString())}
+            >
+              {year}
+            </button>
+          )
+        ))}
+      </div>
+      
+      <div className="tab-content">
+        <div className="year-stats">
+          <div className="stat-item">
+            <span className="stat-label">Plays:</span>
+            <span className="stat-value">{yearPlays.length}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Artists:</span>
+            <span className="stat-value">{topArtists.length}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Albums:</span>
+            <span className="stat-value">{topAlbums.length}</span>
+          </div>
+          <div className="stat-item">
+            <span className="stat-label">Listening Time:</span>
+            <span className="stat-value">{formatListeningTime(totalSeconds)}</span>
+          </div>
+        </div>
+        
+        {yearPlays.length === 0 ? (
+          <div className="music-empty">
+            <p>No music found for this year.</p>
+          </div>
+        ) : (
+          <>
+            <section className="music-section">
+              <h2>Top Artists</h2>
+              <ol className="top-artists">
+                {topArtists.slice(0, TOP_LIMIT).map((artist, index) => (
+                  <li key={artist.key} className="top-artist">
+                    <span className="top-artist-rank">#{index + 1}</span>
+                    <img
+                      src={artist.albumArt || ALBUM_PLACEHOLDER}
+                      alt={artist.name}
+                      className="top-artist-art"
+                      loading="lazy"
+                      onError={(e) => {
+                        e.target.src = ALBUM_PLACEHOLDER;
+                      }}
+                    />
+                    <span className="top-artist-name">{artist.name}</span>
+                    <span className="top-artist-stats">
+                      {artist.plays} play{artist.plays !== 1 ? 's' : ''} · {formatListeningTime(artist.seconds)}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            </section>
+            
+            <section className="music-section">
+              <h2>Top Albums</h2>
+              <div className="album-grid">
+                {topAlbums.slice(0, TOP_LIMIT).map((album, index) => (
+                  <div key={album.key} className="album-card">
+                    <div className="album-art">
+                      <img
+                        src={album.albumArt || ALBUM_PLACEHOLDER}
+                        alt={album.name}
+                        loading="lazy"
+                        onError={(e) => {
+                          e.target.src = ALBUM_PLACEHOLDER;
+                        }}
+                      />
+                      <span className="album-rank">#{index + 1}</span>
+                    </div>
+                    <div className="album-info">
+                      <h3 className="album-title">{album.name}</h3>
+                      <p className="album-artist">{album.artist}</p>
+                      <p className="album-stats">
+                        {album.plays} play{album.plays !== 1 ? 's' : ''} · {formatListeningTime(album.seconds)}
+                      </p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MusicView;
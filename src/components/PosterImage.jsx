@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { getImageSources } from '../../lib/images';
+import { useImageManifest } from '../utils/imageManifest';
+
+// A poster/cover <img> that serves the generated AVIF/WebP variants of local
+// artwork through srcset. `sizes` is the rendered width, e.g. "60px".
+// If a variant fails to load it falls back to the plain JPEG, and only if that
+// fails too does `onError` (the caller's proxy/placeholder fallback) run
+function PosterImage({ src, alt, sizes, className, onError }) {
+  const manifest = useImageManifest();
+  const [variantsFailed, setVariantsFailed] = useState(false);
+  
+  useEffect(() => {
+    setVariantsFailed(false);
+  }, [src]);
+  
+  // Wait for the manifest rather than start downloading the full-size JPEG
+  if (manifest === undefined) {
+    return null;
+  }
+  
+  const sources = variantsFailed ? null : getImageSources(manifest, src);
+  
+  if (!sources) {
+    return <img src={src} alt={alt} className={className} loading="lazy" onError={onError} />;
+  }
+  
+  return (
+    <picture>
+      {sources.map(({ type, srcSet }) => (
+        <source key={type} type={type} srcSet={srcSet} sizes={sizes} />
+      ))}
+      <img
+        src={src}
+        alt={alt}
+        className={className}
+        loading="lazy"
+        onError={() => setVariantsFailed(true)}
+      />
+    </picture>
+  );
+}
+
+export default PosterImage;
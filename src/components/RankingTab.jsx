@@ -2,6 +2,8 @@ import { useState, useEffect, useRef } from 'react';
 import './RankingTab.css';
 import { API_BASE_URL, IS_DEV, STATIC_DATA_PATH } from '../config';
 import { cache } from '../utils/cache';
+import { getContentType } from '../utils/contentTypes';
+import PosterImage from './PosterImage';
 
 function RankingTab({ movies, contentType = 'movies' }) {
   const [rankings, setRankings] = useState([]);
@@ -9,10 +11,11 @@ function RankingTab({ movies, contentType = 'movies' }) {
   const fetchingRef = useRef(false);
   const lastLoadTimeRef = useRef(0);
   
-  // Use different localStorage keys for movies vs TV shows vs comics
-  const storageKey = contentType === 'tv' ? 'tvShowRankings' : contentType === 'comics' ? 'comicRankings' : 'movieRankings';
+  // Names, rankings file and localStorage key for this content type
+  const contentInfo = getContentType(contentType);
+  const storageKey = contentInfo.storageKey;
   const cacheKey = `rankings-${contentType}`;
-
+  
   useEffect(() => {
     // Load rankings from server (shared across all users)
     const loadRankings = async (forceRefresh = false) => {
@@ -38,7 +41,7 @@ function RankingTab({ movies, contentType = 'movies' }) {
         if (IS_DEV) {
           // In development: try backend API first, fallback to static files
           const fetchStart = performance.now();
-          const endpoint = contentType === 'tv' ? 'tv' : contentType === 'comics' ? 'comics' : 'movies';
+          const endpoint = contentInfo.rankingsEndpoint;
           try {
             const response = await fetch(`${API_BASE_URL}/rankings/${endpoint}`);
             const fetchTime = performance.now() - fetchStart;
@@ -53,7 +56,7 @@ function RankingTab({ movies, contentType = 'movies' }) {
           } catch (apiError) {
             console.log(`[Rankings] API unavailable, falling back to static files:`, apiError.message);
             // Fallback to static JSON file
-            const filename = contentType === 'tv' ? 'tv-rankings.json' : contentType === 'comics' ? 'comic-rankings.json' : 'movie-rankings.json';
+            const filename = contentInfo.rankingsFile;
             const staticResponse = await fetch(`${STATIC_DATA_PATH}/${filename}`);
             const staticFetchTime = performance.now() - fetchStart;
             console.log(`[Rankings] Static file fetch took ${staticFetchTime.toFixed(2)}ms`);
@@ -65,7 +68,7 @@ function RankingTab({ movies, contentType = 'movies' }) {
         } else {
           // In production: load from static JSON file
           const fetchStart = performance.now();
-          const filename = contentType === 'tv' ? 'tv-rankings.json' : contentType === 'comics' ? 'comic-rankings.json' : 'movie-rankings.json';
+          const filename = contentInfo.rankingsFile;
           const response = await fetch(`${STATIC_DATA_PATH}/${filename}`);
           const fetchTime = performance.now() - fetchStart;
           console.log(`[Rankings] Static file fetch took ${fetchTime.toFixed(2)}ms`);
@@ -159,7 +162,7 @@ function RankingTab({ movies, contentType = 'movies' }) {
       window.removeEventListener('rankingsSaved', handleRankingsSaved);
     };
   }, [storageKey, contentType, cacheKey]); // Reload when contentType changes
-
+  
   return (
     <div className="ranking-tab">
       <div className="ranking-section">
@@ -171,7 +174,7 @@ function RankingTab({ movies, contentType = 'movies' }) {
           </div>
         ) : rankings.length === 0 ? (
           <div className="empty-rankings">
-            <p>No {contentType === 'tv' ? 'TV shows' : contentType === 'comics' ? 'comic books' : 'movies'} ranked yet. Use the Admin tab to start ranking!</p>
+            <p>No {contentInfo.plural} ranked yet. Use the Admin tab to start ranking!</p>
           </div>
         ) : (
           <div className="rankings-grid read-only">
@@ -183,10 +186,10 @@ function RankingTab({ movies, contentType = 'movies' }) {
                 <div className="rank-badge">{index + 1}</div>
                 <div className="ranking-poster-card">
                   {movie.poster ? (
-                    <img 
-                      src={movie.poster} 
+                    <PosterImage
+                      src={movie.poster}
                       alt={movie.title}
-                      loading="lazy"
+                      sizes="(max-width: 768px) 50vw, 240px"
                       onError={(e) => {
                         e.target.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="300"%3E%3Crect fill="%23ddd" width="200" height="300"/%3E%3Ctext fill="%23999" font-family="sans-serif" font-size="18" x="50%25" y="50%25" text-anchor="middle" dy=".3em"%3ENo Poster%3C/text%3E%3C/svg%3E';
                       }}
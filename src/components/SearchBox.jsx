@@ -0,0 +1,103 @@
+import { useState, useMemo, useRef } from 'react';
+import './SearchBox.css';
+import { loadSearchIndex, searchIndex, RESULT_KINDS } from '../utils/search';
+import { navigate } from '../utils/router';
+
+// Search box for the home page and view headers: fuzzy matches movie, show,
+// episode, comic series and issue titles, and opens the match's detail page
+function SearchBox() {
+  const [query, setQuery] = useState('');
+  const [index, setIndex] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const inputRef = useRef(null);
+  
+  const results = useMemo(() => (index ? searchIndex(index, query) : []), [index, query]);
+  
+  // The data is only loaded once someone starts searching
+  const handleFocus = () => {
+    setOpen(true);
+    loadSearchIndex()
+      .then(setIndex)
+      .catch(err => console.error('Error loading search index:', err));
+  };
+  
+  const selectResult = (result) => {
+    setQuery('');
+    setOpen(false);
+    inputRef.current?.blur();
+    navigate(result.route);
+  };
+  
+  // mousedown rather than click: the input's blur would close the list first
+  const handleResultMouseDown = (e, result) => {
+    e.preventDefault();
+    selectResult(result);
+  };
+  
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(current => Math.min(current + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(current => Math.max(current - 1, 0));
+    } else if (e.key === 'Enter' && results[highlighted]) {
+      e.preventDefault();
+      selectResult(results[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      inputRef.current?.blur();
+    }
+  };
+  
+  const showResults = open && query.trim() !== '';
+  
+  return (
+    <div className="search-box">
+      <input
+        ref={inputRef}
+        type="search"
+        className="search-input"
+        placeholder="🔍 Search movies, shows and comics..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setHighlighted(0);
+          setOpen(true);
+        }}
+        onFocus={handleFocus}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        aria-label="Search"
+      />
+      {showResults && (
+        <ul className="search-results">
+          {!index ? (
+            <li className="search-status">Loading...</li>
+          ) : results.length === 0 ? (
+            <li className="search-status">No matches</li>
+          ) : (
+            results.map((result, i) => (
+              <li
+                key={result.key}
+                className={`search-result ${i === highlighted ? 'highlighted' : ''}`}
+                onMouseDown={(e) => handleResultMouseDown(e, result)}
+                onMouseEnter={() => setHighlighted(i)}
+              >
+                <span className="search-result-title">{result.title}</span>
+                <span className="search-result-meta">
+                  {RESULT_KINDS[result.kind]}
+                  {result.subtitle && ` · ${result.subtitle}`}
+                  {` · ${result.year}`}
+                </span>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SearchBox;
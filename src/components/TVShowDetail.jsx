@@ -0,0 +1,160 @@
+import { useMemo } from 'react';
+import './ItemDetail.css';
+import PosterImage from './PosterImage';
+import Completion from './Completion';
+import MetadataFacts from './MetadataFacts';
+import { formatDate, formatRuntime, formatTotalTime } from '../utils/formatters';
+import { getRuntime } from '../utils/listFilters';
+
+// Episodes of a show grouped by season, one row per episode with every watch of it
+const groupEpisodes = (events) => {
+  const seasons = new Map();
+  
+  events.forEach(event => {
+    const seasonKey = event.parentKey || `season-${event.parentNumber ?? 'unknown'}`;
+    if (!seasons.has(seasonKey)) {
+      seasons.set(seasonKey, {
+        key: seasonKey,
+        number: event.parentNumber,
+        title: event.parentTitle,
+        episodeCount: null,
+        episodes: new Map()
+      });
+    }
+    const season = seasons.get(seasonKey);
+    season.episodeCount = season.episodeCount ?? event.details.seasonEpisodeCount ?? null;
+    
+    if (!season.episodes.has(event.itemKey)) {
+      season.episodes.set(event.itemKey, {
+        key: event.itemKey,
+        number: event.number,
+        title: event.title,
+        runtime: null,
+        watches: []
+      });
+    }
+    const episode = season.episodes.get(event.itemKey);
+    episode.runtime = episode.runtime ?? getRuntime(event);
+    episode.watches.push(event);
+  });
+  
+  return Array.from(seasons.values())
+    .map(season => ({
+      ...season,
+      episodes: Array.from(season.episodes.values())
+        .map(episode => ({ ...episode, watches: episode.watches.sort((a, b) => a.consumedAt - b.consumedAt) }))
+        .sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity) || a.watches[0].consumedAt - b.watches[0].consumedAt)
+    }))
+    .sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity));
+};
+
+// Everything watched of one show (an entry of TVShowsView's show list)
+function TVShowDetail({ show, onBack }) {
+  const seasons = useMemo(() => groupEpisodes(show.episodes), [show]);
+  
+  // Episode count of the whole show, from the most recently fetched metadata
+  const showEpisodeCount = useMemo(() => {
+    const latest = [...show.episodes]
+      .sort((a, b) => b.consumedAt - a.consumedAt)
+      .find(event => event.details.showEpisodeCount);
+    return latest ? latest.details.showEpisodeCount : null;
+  }, [show]);
+  
+  const seasonPosters = new Map(show.seasons.map(season => [season.rating_key, season.poster]));
+  const uniqueEpisodes = seasons.reduce((sum, season) => sum + season.episodes.length, 0);
+  
+  return (
+    <div className="item-detail">
+      <button className="item-detail-back" onClick={onBack}>
+        ← Back
+      </button>
+      
+      <div className="item-detail-header">
+        <div className="item-detail-poster">
+          {show.poster ? (
+            <PosterImage src={show.poster} alt={show.title} sizes="200px" />
+          ) : (
+            <div className="poster-placeholder">
+              <span>No Poster</span>
+            </div>
+          )}
+        </div>
+        <div className="item-detail-info">
+          <h2>{show.title}</h2>
+          {show.releaseYear && <p className="item-detail-subtitle">{show.releaseYear}</p>}
+          <dl className="item-detail-facts">
+            <div>
+              <dt>First Watched</dt>
+              <dd>{formatDate(show.firstWatched)}</dd>
+            </div>
+            <div>
+              <dt>Last Watched</dt>
+              <dd>{formatDate(show.lastWatched)}</dd>
+            </div>
+            <div>
+              <dt>Episodes Watched</dt>
+              <dd><Completion count={uniqueEpisodes} total={showEpisodeCount} unit="episode" /></dd>
+            </div>
+            <div>
+              <dt>Plays</dt>
+              <dd>{show.episodes.length}</dd>
+            </div>
+            <div>
+              <dt>Total Watch Time</dt>
+              <dd>{formatTotalTime(show.totalDuration)}</dd>
+            </div>
+            <MetadataFacts metadata={show.metadata} />
+          </dl>
+        </div>
+      </div>
+      
+      {seasons.map(season => (
+        <section key={season.key} className="item-detail-section">
+          <div className="item-detail-section-header">
+            {seasonPosters.get(season.key) && (
+              <img className="item-detail-section-poster" src={seasonPosters.get(season.key)} alt={season.title || ''} loading="lazy" />
+            )}
+            <h3>{season.title || (season.number !== null && season.number !== undefined ? `Season ${season.number}` : 'Other Episodes')}</h3>
+            <Completion count={season.episodes.length} total={season.episodeCount} unit="episode" />
+          </div>
+          <table className="item-detail-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Episode</th>
+                <th>Runtime</th>
+                <th>Watched</th>
+              </tr>
+            </thead>
+            <tbody>
+              {season.episodes.map(episode => (
+                <tr key={episode.key}>
+                  <td>{episode.number ?? '–'}</td>
+                  <td>
+                    {episode.title}
+                    {episode.watches.length > 1 && (
+                      <span className="item-detail-badge" title={`Watched ${episode.watches.length} times`}>
+                        ×{episode.watches.length}
+                      </span>
+                    )}
+                  </td>
+                  <td>{formatRuntime(episode.runtime)}</td>
+                  <td>
+                    {episode.watches.map(watch => (
+                      <span key={watch.id} className="item-detail-date">
+                        {formatDate(new Date(watch.consumedAt * 1000))}
+                        {watch.details.external && ' (external)'}
+                      </span>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default TVShowDetail;
@@ -1,11 +1,19 @@
 import { useState, useEffect, useMemo, useRef } from 'react';
 import '../App.css';
+import SearchBox from './SearchBox';
 import MovieList from './MovieList';
+import ActivityCalendar from './ActivityCalendar';
+import TVShowDetail from './TVShowDetail';
+import ExportButton from './ExportButton';
 import RankingTab from './RankingTab';
 import AdminRankingTab from './AdminRankingTab';
+import ManualEntriesAdmin from './ManualEntriesAdmin';
 import AdminLogin from './AdminLogin';
 import { API_BASE_URL, IS_DEV, STATIC_DATA_PATH } from '../config';
 import { cache } from '../utils/cache';
+import { useRoute, getRoute, navigate, goBack } from '../utils/router';
+import { loadManualEntries, mergeManualEntries, MANUAL_ENTRIES_SAVED } from '../utils/manualEntries';
+import { readConsumptionEvents } from '../../lib/events';
 
 function TVShowsView({ onNavigate }) {
   const [shows, setShows] = useState([]);
@@ -14,49 +22,47 @@ function TVShowsView({ onNavigate }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
-  // Initialize activeTab from URL or default to 'current'
-  const getInitialTab = () => {
-    const params = new URLSearchParams(window.location.search);
-    const tab = params.get('tab');
-    // Only allow 'ranking' or 'admin' tabs in dev mode
-    if ((tab === 'ranking' || tab === 'admin') && IS_DEV) {
-      return tab;
-    }
-    if (tab) {
-      return tab; // Could be a year like '2024'
-    }
-    return 'current';
+  // The tab and open item come from the path (/tv/2024, /tv/item/<rating_key>),
+  // with the current year's tab as 'current' (see utils/router.js)
+  const route = useRoute();
+  const activeTab = !route.tab || route.tab === new Date().getFullYear().toString() ? 'current' : route.tab;
+  const selectedItem = route.item;
+  
+  // Pass { replace: true } when correcting the URL rather than following a click
+  const setActiveTab = (tab, options) => {
+    navigate({ view: 'tv', tab: tab === 'current' ? new Date().getFullYear().toString() : tab }, options);
   };
   
-  const [activeTab, setActiveTab] = useState(getInitialTab);
   const [years, setYears] = useState([]);
   const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(() => {
     return localStorage.getItem('adminAuthenticated') === 'true';
   });
   const fetchingRef = useRef(false); // Prevent duplicate fetches (React StrictMode)
-
-  // Update URL when tab changes
+  
+  // Open detail pages at the top
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    params.set('view', 'tv');
-    if (activeTab === 'current') {
-      // For 'current', use the actual current year in URL
-      const currentYear = new Date().getFullYear();
-      params.set('tab', currentYear.toString());
-    } else {
-      params.set('tab', activeTab);
-    }
-    const newUrl = `?${params.toString()}`;
-    window.history.replaceState({}, '', newUrl);
-  }, [activeTab]);
-
+    window.scrollTo(0, 0);
+  }, [selectedItem]);
+  
   useEffect(() => {
     if (!fetchingRef.current) {
       fetchingRef.current = true;
       fetchTVShows();
     }
   }, []);
-
+  
+  // Reload when manual entries are changed in the admin panel
+  useEffect(() => {
+    const handleManualEntriesSaved = () => {
+      cache.clear().then(fetchTVShows).catch(fetchTVShows);
+    };
+    window.addEventListener(MANUAL_ENTRIES_SAVED, handleManualEntriesSaved);
+    
+    return () => {
+      window.removeEventListener(MANUAL_ENTRIES_SAVED, handleManualEntriesSaved);
+    };
+  }, []);
+  
   // Load rankings for Top 3 display
   useEffect(() => {
     const loadRankings = async () => {
@@ -116,7 +122,7 @@ function TVShowsView({ onNavigate }) {
       window.removeEventListener('rankingsSaved', handleRankingsSaved);
     };
   }, []);
-
+  
   const fetchTVShows = async () => {
     try {
       setLoading(true);
@@ -134,19 +140,18 @@ function TVShowsView({ onNavigate }) {
         setLoading(false);
         
         // Set active tab from URL if valid, otherwise default
-        const params = new URLSearchParams(window.location.search);
-        const urlTab = params.get('tab');
+        const urlTab = getRoute().tab;
         // Only allow 'ranking' or 'admin' tabs in dev mode
         if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || cachedData.years.includes(parseInt(urlTab)))) {
           // URL tab is valid, keep it
-          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab);
-        } else {
-          // No valid URL tab, set default
+          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+        } else if (!getRoute().item) {
+          // No valid URL tab (and not an item page), set default
           const currentYear = new Date().getFullYear();
           if (cachedData.years.includes(currentYear)) {
-            setActiveTab('current');
+            setActiveTab('current', { replace: true });
           } else if (cachedData.years.length > 0) {
-            setActiveTab(cachedData.years[0].toString());
+            setActiveTab(cachedData.years[0].toString(), { replace: true });
           }
         }
         console.log(`TV shows loaded from cache in ${(performance.now() - startTime).toFixed(2)}ms`);
@@ -176,8 +181,9 @@ function TVShowsView({ onNavigate }) {
         }
       }
       
-      // Handle different possible response structures
-      const showData = data.response?.data?.data || data.response?.data || data.data || [];
+      // Read consumption events (see lib/events/schema.js for the format)
+      // Manual entries from the admin panel are merged in (see lib/events/manual.js)
+      const showData = mergeManualEntries(readConsumptionEvents(data), await loadManualEntries('episode'));
       console.log(`Processing ${showData.length} episodes...`);
       const processStart = performance.now();
       
@@ -188,22 +194,13 @@ function TVShowsView({ onNavigate }) {
         
         showData.forEach((episode) => {
           // Only process episodes, skip movies
-          if (episode.media_type !== 'episode') {
+          if (episode.mediaType !== 'episode') {
             return;
           }
           
-          const showTitle = episode.grandparent_title || episode.parent_title || 'Unknown Show';
-          const showKey = episode.grandparent_rating_key || episode.parent_rating_key || episode.rating_key;
-          
-          // Handle date
-          let watchDate;
-          if (typeof episode.date === 'number') {
-            watchDate = new Date(episode.date * 1000);
-          } else if (typeof episode.date === 'string') {
-            watchDate = new Date(episode.date);
-          } else {
-            watchDate = new Date();
-          }
+          const showTitle = episode.groupTitle || 'Unknown Show';
+          const showKey = episode.groupKey || episode.parentKey || episode.itemKey;
+          const watchDate = new Date(episode.consumedAt * 1000);
           
           if (!showMap.has(showKey)) {
             showMap.set(showKey, {
@@ -213,12 +210,24 @@ function TVShowsView({ onNavigate }) {
               firstWatched: watchDate,
               lastWatched: watchDate,
               totalDuration: 0,
-              thumb: episode.thumb || null,
+              thumb: episode.groupThumb || episode.thumb || null,
+              artworkKey: episode.artworkKey,
+              seasons: new Map(),
             });
           }
           
           const show = showMap.get(showKey);
           show.episodes.push(episode);
+          
+          // Seasons with their own poster (downloaded when the source has season artwork)
+          if (episode.parentKey && !show.seasons.has(episode.parentKey)) {
+            show.seasons.set(episode.parentKey, {
+              rating_key: episode.parentKey,
+              title: episode.parentTitle,
+              number: episode.parentNumber,
+              poster: episode.parentThumb ? `${STATIC_DATA_PATH}/posters/${episode.parentKey}.jpg` : null,
+            });
+          }
           show.totalDuration += episode.duration || 0;
           
           if (watchDate < show.firstWatched) {
@@ -233,13 +242,13 @@ function TVShowsView({ onNavigate }) {
         const processedShows = Array.from(showMap.values()).map((show) => {
           const watchYear = show.lastWatched.getFullYear();
           // Get release year from the first episode (all episodes should have the same year)
-          const releaseYear = show.episodes[0]?.year || null;
+          const releaseYear = show.episodes[0]?.releaseYear || null;
           
           let posterUrl = null;
-          if (show.rating_key) {
+          if (show.artworkKey) {
             // Try local static poster file first (works in both dev and prod)
             // Use STATIC_DATA_PATH to account for GitHub Pages base path
-            posterUrl = `${STATIC_DATA_PATH}/posters/${show.rating_key}.jpg`;
+            posterUrl = `${STATIC_DATA_PATH}/posters/${show.artworkKey}.jpg`;
           }
           
           // In development, if we don't have a local file, fallback to backend proxy
@@ -256,9 +265,12 @@ function TVShowsView({ onNavigate }) {
             thumb: show.thumb, // Keep thumb for fallback poster loading
             duration: show.totalDuration,
             episodeCount: show.episodes.length,
+            seasons: Array.from(show.seasons.values()).sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity)),
+            isExternal: show.episodes.every(episode => episode.details.external), // Only watched outside the media server
+            metadata: show.episodes.find(episode => episode.details.metadata)?.details.metadata || null, // The show's genres, cast etc.
           };
         });
-
+        
         // Deduplicate shows with the same title (merge shows with different rating_keys)
         // This handles cases where the same show exists multiple times in Plex
         const deduplicatedShows = [];
@@ -293,18 +305,12 @@ function TVShowsView({ onNavigate }) {
         // Store all episode watch data for accurate time calculations
         // This includes all episodes watched, not just grouped by show
         const allEpisodeWatches = showData
-          .filter(episode => episode.media_type === 'episode')
+          .filter(episode => episode.mediaType === 'episode')
           .map(episode => {
-            let watchDate;
-            if (typeof episode.date === 'number') {
-              watchDate = new Date(episode.date * 1000);
-            } else if (typeof episode.date === 'string') {
-              watchDate = new Date(episode.date);
-            } else {
-              watchDate = new Date();
-            }
+            const watchDate = new Date(episode.consumedAt * 1000);
             return {
               ...episode,
+              date: episode.consumedAt,
               watchDate,
               year: watchDate.getFullYear(),
             };
@@ -329,19 +335,18 @@ function TVShowsView({ onNavigate }) {
         setYears(uniqueYears);
         
         // Set active tab from URL if valid, otherwise default
-        const params = new URLSearchParams(window.location.search);
-        const urlTab = params.get('tab');
+        const urlTab = getRoute().tab;
         // Only allow 'ranking' or 'admin' tabs in dev mode
         if (urlTab && ((urlTab === 'ranking' && IS_DEV) || (urlTab === 'admin' && IS_DEV) || uniqueYears.includes(parseInt(urlTab)))) {
           // URL tab is valid, keep it
-          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab);
-        } else {
-          // No valid URL tab, set default
+          setActiveTab(urlTab === new Date().getFullYear().toString() ? 'current' : urlTab, { replace: true });
+        } else if (!getRoute().item) {
+          // No valid URL tab (and not an item page), set default
           const currentYear = new Date().getFullYear();
           if (uniqueYears.includes(currentYear)) {
-            setActiveTab('current');
+            setActiveTab('current', { replace: true });
           } else if (uniqueYears.length > 0) {
-            setActiveTab(uniqueYears[0].toString());
+            setActiveTab(uniqueYears[0].toString(), { replace: true });
           }
         }
         
@@ -360,7 +365,7 @@ function TVShowsView({ onNavigate }) {
       setLoading(false);
     }
   };
-
+  
   const getShowsByYear = useMemo(() => {
     return (year) => {
       if (year === 'current') {
@@ -370,7 +375,7 @@ function TVShowsView({ onNavigate }) {
       return shows.filter(s => s.year === parseInt(year));
     };
   }, [shows]);
-
+  
   // Get top 3 ranked TV shows for a year
   const getTop3ForYear = useMemo(() => {
     return (year) => {
@@ -395,7 +400,7 @@ function TVShowsView({ onNavigate }) {
       return yearRankings.map(r => r.title);
     };
   }, [rankings, shows]); // Recompute when rankings or shows change
-
+  
   const getYearStats = useMemo(() => {
     // Pre-compute format function
     const formatWatchTime = (seconds) => {
@@ -440,7 +445,9 @@ function TVShowsView({ onNavigate }) {
       };
     };
   }, [shows, allWatchData, getShowsByYear]);
-
+  
+  const selectedShow = selectedItem ? shows.find(show => String(show.rating_key) === selectedItem) : null;
+  
   if (loading) {
     return (
       <div className="app">
@@ -448,7 +455,7 @@ function TVShowsView({ onNavigate }) {
       </div>
     );
   }
-
+  
   if (error) {
     return (
       <div className="app">
@@ -456,7 +463,7 @@ function TVShowsView({ onNavigate }) {
       </div>
     );
   }
-
+  
   return (
     <div className="app">
       <header className="app-header tv-header">
@@ -471,14 +478,21 @@ function TVShowsView({ onNavigate }) {
             <button className="switch-button" onClick={() => onNavigate('comics')}>
               📚 Comic Books
             </button>
+            <button className="switch-button" onClick={() => onNavigate('audiobooks')}>
+              🎧 Audiobooks
+            </button>
+            <button className="switch-button" onClick={() => onNavigate('music')}>
+              🎵 Music
+            </button>
           </div>
         </div>
         <h1>TV Shows</h1>
+        <SearchBox />
       </header>
-
+      
       <div className="tabs">
         <button
-          className={`tab ${activeTab === 'current' ? 'active' : ''}`}
+          className={`tab ${!selectedItem && activeTab === 'current' ? 'active' : ''}`}
           onClick={() => setActiveTab('current')}
         >
           {new Date().getFullYear()}
@@ -487,7 +501,7 @@ function TVShowsView({ onNavigate }) {
           year !== new Date().getFullYear() && (
             <button
               key={year}
-              className={`tab ${activeTab === year.toString() ? 'active' : ''}`}
+              className={`tab ${!selectedItem && activeTab === year.toString() ? 'active' : ''}`}
               onClick={() => setActiveTab(year.toString())}
             >
               {year}
@@ -496,7 +510,7 @@ function TVShowsView({ onNavigate }) {
         ))}
         {IS_DEV && (
           <button
-            className={`tab ${activeTab === 'ranking' ? 'active' : ''}`}
+            className={`tab ${!selectedItem && activeTab === 'ranking' ? 'active' : ''}`}
             onClick={() => setActiveTab('ranking')}
           >
             Rankings
@@ -504,25 +518,42 @@ function TVShowsView({ onNavigate }) {
         )}
         {IS_DEV && (
           <button
-            className={`tab ${activeTab === 'admin' ? 'active' : ''}`}
+            className={`tab ${!selectedItem && activeTab === 'admin' ? 'active' : ''}`}
             onClick={() => setActiveTab('admin')}
           >
             Admin
           </button>
         )}
       </div>
-
+      
       <div className="tab-content">
         {activeTab === 'ranking' && IS_DEV ? (
           <RankingTab movies={shows} contentType="tv" />
         ) : activeTab === 'admin' && IS_DEV ? (
           isAdminAuthenticated ? (
-            <AdminRankingTab movies={shows} contentType="tv" />
+            <>
+              <AdminRankingTab movies={shows} contentType="tv" />
+              <ManualEntriesAdmin mediaType="episode" />
+            </>
           ) : (
             <AdminLogin onLogin={() => setIsAdminAuthenticated(true)} />
           )
+        ) : selectedShow ? (
+          <TVShowDetail show={selectedShow} onBack={() => goBack({ view: 'tv' })} />
         ) : (
           <>
+            <ExportButton
+              dataFile="tv-shows.json"
+              mediaType="episode"
+              name="tv-shows"
+              year={activeTab === 'current' ? new Date().getFullYear() : parseInt(activeTab)}
+            />
+            <button
+              className="wrapped-link"
+              onClick={() => navigate({ view: 'tv', tab: activeTab === 'current' ? new Date().getFullYear().toString() : activeTab, wrapped: true })}
+            >
+              🎁 Your {activeTab === 'current' ? new Date().getFullYear() : activeTab} Wrapped
+            </button>
             {(() => {
               const stats = getYearStats(activeTab);
               const top3 = getTop3ForYear(activeTab);
@@ -549,7 +580,12 @@ function TVShowsView({ onNavigate }) {
                 </div>
               );
             })()}
-            <MovieList movies={getShowsByYear(activeTab)} />
+            <ActivityCalendar
+              plays={allWatchData}
+              year={activeTab === 'current' ? new Date().getFullYear() : parseInt(activeTab)}
+              kind="tv"
+            />
+            <MovieList movies={getShowsByYear(activeTab)} onSelect={(show) => navigate({ view: 'tv', item: String(show.rating_key) })} />
           </>
         )}
       </div>
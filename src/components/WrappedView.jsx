@@ -0,0 +1,263 @@
+import { useState, useEffect, useMemo } from 'react';
+import '../App.css';
+import './Wrapped.css';
+import PosterImage from './PosterImage';
+import { loadEventFile } from '../utils/dataFiles';
+import { WRAPPED_MEDIA, getWrappedYears, buildWrapped } from '../utils/wrapped';
+import { formatDate, formatTotalTime } from '../utils/formatters';
+import { navigate } from '../utils/router';
+
+// Items listed for the longest day before "and N more"
+const LONGEST_DAY_ITEMS = 8;
+
+const unitFor = (count, [singular, plural]) => (count === 1 ? singular : plural);
+
+// "1 movie", "3 movies"
+const pluralize = (count, units) => `${count} ${unitFor(count, units)}`;
+
+// Bars of a month or weekday breakdown, the busiest highlighted
+const renderBars = (buckets, busiest) => {
+  const max = Math.max(...buckets.map(bucket => bucket.count), 1);
+  return (
+    <div className="wrapped-bars">
+      {buckets.map((bucket, i) => (
+        <div key={bucket.label} className={`wrapped-bar ${i === busiest ? 'busiest' : ''}`} title={`${bucket.label}: ${bucket.count}`}>
+          <span className="wrapped-bar-fill" style={{ height: `${(bucket.count / max) * 100}%` }} />
+          <span className="wrapped-bar-label">{bucket.label.slice(0, 3)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// A title with its poster, linking to its detail page
+const renderTitle = (entry, detail) => (
+  <button className="wrapped-title" onClick={() => entry.route && navigate(entry.route)} disabled={!entry.route}>
+    {entry.poster ? (
+      <PosterImage src={entry.poster} alt="" className="wrapped-title-poster" sizes="60px" />
+    ) : (
+      <span className="wrapped-title-poster" />
+    )}
+    <span className="wrapped-title-text">
+      <span className="wrapped-title-label">{entry.label || entry.title}</span>
+      {detail && <span className="wrapped-title-detail">{detail}</span>}
+    </span>
+  </button>
+);
+
+// Year in review of movies, TV shows or comics (/movies/wrapped/2024): one card per
+// section, scrolled through like a story. kind is the view, year the route's tab
+function WrappedView({ kind, year, onNavigate }) {
+  const media = WRAPPED_MEDIA[kind];
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+  const [shareStatus, setShareStatus] = useState(null);
+  
+  useEffect(() => {
+    setEvents(null);
+    setError(null);
+    loadEventFile(media.file, media.mediaType)
+      .then(setEvents)
+      .catch(err => {
+        console.error(`Error loading ${media.file}:`, err);
+        setError(`Failed to load ${media.label.toLowerCase()} data. Please run "npm run fetch-data" to generate the data files.`);
+      });
+  }, [kind]);
+  
+  // Each year is a separate story, read from the top
+  useEffect(() => {
+    window.scrollTo(0, 0);
+    setShareStatus(null);
+  }, [kind, year]);
+  
+  const years = useMemo(() => (events ? getWrappedYears(events) : []), [events]);
+  const wrapped = useMemo(() => (events ? buildWrapped(events, parseInt(year), kind) : null), [events, year, kind]);
+  
+  const handleShare = async () => {
+    const title = `My ${year} in ${media.label}`;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title, url: window.location.href });
+        return;
+      }
+      await navigator.clipboard.writeText(window.location.href);
+      setShareStatus('Link copied!');
+    } catch (err) {
+      // Closing the share sheet isn't a failure
+      if (err.name !== 'AbortError') {
+        setShareStatus('Could not share. Copy the link from the address bar instead.');
+      }
+    }
+  };
+  
+  return (
+    <div className="app">
+      <header className={`app-header ${kind === 'tv' ? 'tv-header' : ''}`}>
+        <div className="header-top">
+          <button className="home-button" onClick={() => onNavigate('home')}>
+            ← Home
+          </button>
+          <div className="nav-buttons">
+            <button className="switch-button" onClick={() => navigate({ view: kind, tab: year })}>
+              Back to {media.label}
+            </button>
+          </div>
+        </div>
+        <h1>{year} Wrapped</h1>
+        <p className="subtitle">Your year in {media.label.toLowerCase()}</p>
+      </header>
+      
+      {years.length > 0 && (
+        <div className="tabs">
+          {years.map(y => (
+            <button
+              key={y}
+              className={`tab ${String(y) === year ? 'active' : ''}`}
+              onClick={() => navigate({ view: kind, tab: String(y), wrapped: true })}
+            >
+              {y}
+            </button>
+          ))}
+        </div>
+      )}
+      
+      <div className="tab-content">
+        {error ? (
+          <div className="error">{error}</div>
+        ) : !events ? (
+          <div className="loading">Loading your {year}...</div>
+        ) : !wrapped ? (
+          <div className="wrapped-empty">
+            <p>Nothing {media.verb} in {year}.</p>
+          </div>
+        ) : (
+          <div className="wrapped-story">
+            <section className="wrapped-card wrapped-intro">
+              <p className="wrapped-eyebrow">In {year} you {media.verb}</p>
+              <p className="wrapped-big">{wrapped.playCount}</p>
+              <p className="wrapped-text">
+                {unitFor(wrapped.playCount, media.units)}
+                {/* Each movie is a title of its own */}
+                {kind !== 'movies' && ` of ${pluralize(wrapped.titleCount, media.titleUnits)}`}
+              </p>
+              {wrapped.totalSeconds > 0 && (
+                <p className="wrapped-note">That's {formatTotalTime(wrapped.totalSeconds)}.</p>
+              )}
+            </section>
+            
+            <section className="wrapped-card">
+              <p className="wrapped-eyebrow">Your busiest month</p>
+              <p className="wrapped-headline">{wrapped.months[wrapped.busiestMonth].label}</p>
+              <p className="wrapped-note">{pluralize(wrapped.months[wrapped.busiestMonth].count, media.units)}</p>
+              {renderBars(wrapped.months, wrapped.busiestMonth)}
+            </section>
+            
+            <section className="wrapped-card">
+              <p className="wrapped-eyebrow">Your favorite day of the week</p>
+              <p className="wrapped-headline">{wrapped.weekdays[wrapped.busiestWeekday].label}s</p>
+              <p className="wrapped-note">{pluralize(wrapped.weekdays[wrapped.busiestWeekday].count, media.units)}</p>
+              {renderBars(wrapped.weekdays, wrapped.busiestWeekday)}
+            </section>
+            
+            <section className="wrapped-card">
+              <p className="wrapped-eyebrow">Your biggest day</p>
+              <p className="wrapped-headline">{formatDate(wrapped.longestDay.date)}</p>
+              <p className="wrapped-note">
+                {wrapped.totalSeconds > 0
+                  ? `${formatTotalTime(wrapped.longestDay.seconds)} of ${pluralize(wrapped.longestDay.count, media.units)}`
+                  : pluralize(wrapped.longestDay.count, media.units)}
+              </p>
+              <ul className="wrapped-list">
+                {wrapped.longestDay.items.slice(0, LONGEST_DAY_ITEMS).map((item, i) => (
+                  <li key={i}>{item}</li>
+                ))}
+                {wrapped.longestDay.items.length > LONGEST_DAY_ITEMS && (
+                  <li className="wrapped-more">and {wrapped.longestDay.items.length - LONGEST_DAY_ITEMS} more</li>
+                )}
+              </ul>
+            </section>
+            
+            {wrapped.topGenres.length > 0 && (
+              <section className="wrapped-card">
+                <p className="wrapped-eyebrow">Your top genres</p>
+                <ol className="wrapped-ranking">
+                  {wrapped.topGenres.map(({ genre, count }) => (
+                    <li key={genre}>
+                      <span className="wrapped-ranking-label">{genre}</span>
+                      <span className="wrapped-ranking-bar" style={{ width: `${(count / wrapped.topGenres[0].count) * 100}%` }} />
+                      <span className="wrapped-ranking-count">{pluralize(count, media.titleUnits)}</span>
+                    </li>
+                  ))}
+                </ol>
+              </section>
+            )}
+            
+            {wrapped.mostRewatched.length > 0 && (
+              <section className="wrapped-card">
+                <p className="wrapped-eyebrow">Back for more</p>
+                <p className="wrapped-headline">Most {kind === 'comics' ? 'reread' : 'rewatched'}</p>
+                <div className="wrapped-titles">
+                  {wrapped.mostRewatched.map(entry => (
+                    <div key={entry.label}>
+                      {renderTitle(entry, `${entry.count}× this year`)}
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+            
+            <section className="wrapped-card">
+              <p className="wrapped-eyebrow">From first to last</p>
+              <div className="wrapped-titles">
+                {renderTitle(wrapped.first, `First: ${formatDate(wrapped.first.date)}`)}
+                {renderTitle(wrapped.last, `Last: ${formatDate(wrapped.last.date)}`)}
+              </div>
+            </section>
+            
+            {wrapped.binges && (
+              <section className="wrapped-card">
+                <p className="wrapped-eyebrow">Binge highlights</p>
+                <div className="wrapped-titles">
+                  {renderTitle(wrapped.binges.mostWatched, `Your most watched show: ${pluralize(wrapped.binges.mostWatched.count, media.units)}`)}
+                  {renderTitle(
+                    wrapped.binges.biggestDay,
+                    `Biggest binge: ${pluralize(wrapped.binges.biggestDay.count, media.units)} on ${formatDate(wrapped.binges.biggestDay.date)}`
+                  )}
+                  {wrapped.binges.longestStreak.days > 1 && renderTitle(
+                    wrapped.binges.longestStreak,
+                    `Longest streak: ${wrapped.binges.longestStreak.days} days in a row, ` +
+                      `${formatDate(wrapped.binges.longestStreak.from)} to ${formatDate(wrapped.binges.longestStreak.to)}`
+                  )}
+                </div>
+              </section>
+            )}
+            
+            {wrapped.finishedSeries?.length > 0 && (
+              <section className="wrapped-card">
+                <p className="wrapped-eyebrow">Series finished</p>
+                <p className="wrapped-headline">{pluralize(wrapped.finishedSeries.length, media.titleUnits)}</p>
+                <div className="wrapped-titles">
+                  {wrapped.finishedSeries.map(series => (
+                    <div key={series.title}>
+                      {renderTitle(series, `All ${pluralize(series.count, media.units)}, finished ${formatDate(series.date)}`)}
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+            
+            <section className="wrapped-card wrapped-outro">
+              <p className="wrapped-eyebrow">That was {year}</p>
+              <button className="wrapped-share" onClick={handleShare}>
+                Share this page
+              </button>
+              {shareStatus && <p className="wrapped-note">{shareStatus}</p>}
+            </section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WrappedView;
@@ -3,6 +3,9 @@ import ReactDOM from 'react-dom/client'
 import App from './App'
 import './index.css'
 import { ThemeProvider } from './contexts/ThemeContext'
+import { redirectLegacyUrl } from './utils/router'
+
+redirectLegacyUrl()
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
@@ -0,0 +1,50 @@
+// Names and rankings storage for each content type the views show
+// (the contentType prop passed to MovieList, RankingTab and AdminRankingTab)
+
+const CONTENT_TYPES = {
+  movies: {
+    rankingsEndpoint: 'movies',
+    rankingsFile: 'movie-rankings.json',
+    storageKey: 'movieRankings',
+    label: 'Movies',
+    plural: 'movies',
+    shortSingular: 'movie',
+    shortPlural: 'movies',
+    consumedLabel: 'Watched'
+  },
+  tv: {
+    rankingsEndpoint: 'tv',
+    rankingsFile: 'tv-rankings.json',
+    storageKey: 'tvShowRankings',
+    label: 'TV Shows',
+    plural: 'TV shows',
+    shortSingular: 'show',
+    shortPlural: 'shows',
+    consumedLabel: 'Watched'
+  },
+  comics: {
+    rankingsEndpoint: 'comics',
+    rankingsFile: 'comic-rankings.json',
+    storageKey: 'comicRankings',
+    label: 'Comic Books',
+    plural: 'comic books',
+    shortSingular: 'comic',
+    shortPlural: 'comics',
+    consumedLabel: 'Read'
+  },
+  audiobooks: {
+    rankingsEndpoint: 'audiobooks',
+    rankingsFile: 'audiobook-rankings.json',
+    storageKey: 'audiobookRankings',
+    label: 'Audiobooks & Podcasts',
+    plural: 'audiobooks and podcasts',
+    shortSingular: 'title',
+    shortPlural: 'titles',
+    consumedLabel: 'Listened'
+  }
+};
+
+// Unknown content types fall back to movies, as they always have
+export function getContentType(contentType) {
+  return CONTENT_TYPES[contentType] || CONTENT_TYPES.movies;
+}
@@ -0,0 +1,15 @@
+import { STATIC_DATA_PATH } from '../config';
+import { readConsumptionEvents } from '../../lib/events';
+import { loadManualEntries, mergeManualEntries } from './manualEntries';
+
+// The events of one media type in a public/data file, with the manual entries
+// for it merged in (for pages that read several files, like search and the year
+// in review). Throws if the file can't be loaded
+export async function loadEventFile(file, mediaType) {
+  const response = await fetch(`${STATIC_DATA_PATH}/${file}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${file}: ${response.status} ${response.statusText}`);
+  }
+  const events = readConsumptionEvents(await response.json()).filter(event => event.mediaType === mediaType);
+  return mergeManualEntries(events, await loadManualEntries(mediaType));
+}
@@ -0,0 +1,34 @@
+// Date and duration formatting shared by the detail pages
+
+// "March 5, 2024"
+export const formatDate = (date) => date.toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+// Runtime of one item: "1h 42m", "23m", or "–" when unknown
+export const formatRuntime = (seconds) => {
+  if (!seconds) return '–';
+  // Round to whole minutes first, so 59m 50s is "1h 0m" rather than "0h 60m"
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// Total time spent: "2 days, 3 hours, 12 minutes"
+export const formatTotalTime = (seconds) => {
+  if (!seconds || seconds === 0) return '0 minutes';
+  
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  
+  const parts = [];
+  if (days > 0) parts.push(`${days} day${days !== 1 ? 's' : ''}`);
+  if (hours > 0) parts.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+  if (minutes > 0 || parts.length === 0) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+  
+  return parts.join(', ');
+};
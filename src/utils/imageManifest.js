@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { STATIC_DATA_PATH } from '../config';
+import { IMAGE_MANIFEST_FILE } from '../../lib/images';
+
+let manifestPromise = null;
+let loadedManifest; // undefined until the manifest request settles
+
+// The responsive image manifest (see lib/images), fetched once per page load.
+// Resolves to null when it hasn't been generated, so posters fall back to the JPEGs
+export function loadImageManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(`${STATIC_DATA_PATH}/${IMAGE_MANIFEST_FILE}`)
+      .then(response => {
+        // The dev server answers a missing file with index.html
+        if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+          return null;
+        }
+        return response.json();
+      })
+      .catch(err => {
+        console.warn('Could not load image manifest:', err);
+        return null;
+      })
+      .then(manifest => {
+        loadedManifest = manifest;
+        return manifest;
+      });
+  }
+  return manifestPromise;
+}
+
+// The manifest for components: undefined while it's loading, then the manifest or null
+export function useImageManifest() {
+  const [manifest, setManifest] = useState(loadedManifest);
+  
+  useEffect(() => {
+    if (manifest !== undefined) {
+      return;
+    }
+    let cancelled = false;
+    loadImageManifest().then(result => {
+      if (!cancelled) {
+        setManifest(result);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  
+  return manifest;
+}
@@ -0,0 +1,131 @@
+// Filters and sorts for the toolbar above MovieList. The selections are query
+// parameters of the page (/movies/2024?decade=1990&sort=title), so a filtered
+// list can be shared
+
+// Shared with the history export, which leaves unfinished plays out
+export { WATCHED_PERCENT, isUnfinished } from '../../lib/events';
+
+// Length of a movie or episode: its runtime from the fetched metadata (a movie's metadata
+// block, the runtime fetch-data stores on an episode), else the duration of a play from a
+// source that only records finished plays (a Tautulli play's is the time played)
+export const getRuntime = (item) => item.metadata?.runtime ?? item.details?.runtime ??
+  (item.source === 'tautulli' ? null : item.duration) ?? null;
+
+const normalizeTitle = (title) => title?.toLowerCase().trim();
+
+// Earliest watch time of every movie (by rating_key and by title, the way
+// MoviesView merges watches), for telling rewatches from first watches
+export function indexFirstWatches(watches = []) {
+  const firstByKey = new Map();
+  const record = (key, date) => {
+    if (key && (!firstByKey.has(key) || date < firstByKey.get(key))) {
+      firstByKey.set(key, date);
+    }
+  };
+  watches.forEach(watch => {
+    record(`key:${watch.rating_key}`, watch.date);
+    record(`title:${normalizeTitle(watch.title)}`, watch.date);
+  });
+  return firstByKey;
+}
+
+// A watch after an earlier one, or one Letterboxd's diary marks as a rewatch
+const isRewatch = (item, firstWatches) => Boolean(item.details?.rewatch) ||
+  firstWatches.get(`key:${item.rating_key}`) < item.date ||
+  firstWatches.get(`title:${normalizeTitle(item.title)}`) < item.date;
+
+const byLabel = (a, b) => a.label.localeCompare(b.label);
+
+// Each filter is a query parameter matching items that have its value among
+// getValues(item). Options are the values found in the list, in sortOptions order
+export const FILTERS = [
+  {
+    param: 'decade',
+    label: 'Decade',
+    getValues: (item) => (item.releaseYear ? [String(Math.floor(item.releaseYear / 10) * 10)] : []),
+    formatValue: (value) => `${value}s`,
+    sortOptions: (a, b) => b.value - a.value
+  },
+  {
+    param: 'genre',
+    label: 'Genre',
+    getValues: (item) => item.metadata?.genres || item.details?.genres || item.seriesMetadata?.genres || [],
+    sortOptions: byLabel
+  },
+  {
+    param: 'director',
+    label: 'Director',
+    getValues: (item) => item.metadata?.directors || [],
+    sortOptions: byLabel
+  },
+  {
+    // Players ("Apple TV") and platforms ("tvOS") in one list
+    param: 'device',
+    label: 'Player',
+    getValues: (item) => [item.details?.player || item.details?.product, item.details?.platform].filter(Boolean),
+    sortOptions: byLabel
+  },
+  {
+    param: 'rewatch',
+    label: 'Viewing',
+    getValues: (item, { firstWatches }) => [isRewatch(item, firstWatches) ? 'rewatch' : 'first'],
+    formatValue: (value) => (value === 'rewatch' ? 'Rewatch' : 'First watch'),
+    sortOptions: (a, b) => a.value.localeCompare(b.value)
+  },
+  {
+    param: 'completion',
+    label: 'Completion',
+    getValues: (item) => [isUnfinished(item) ? 'unfinished' : 'finished'],
+    formatValue: (value) => (value === 'unfinished' ? 'Unfinished' : 'Finished'),
+    sortOptions: (a, b) => a.value.localeCompare(b.value)
+  }
+];
+
+// Sorts, each starting in the direction that's usually wanted
+export const SORTS = {
+  date: { label: 'Date', descending: true, getValue: (item) => item.date },
+  title: { label: 'Title', descending: false, getValue: (item) => normalizeTitle(item.title) },
+  release: { label: 'Release Year', descending: true, getValue: (item) => item.releaseYear },
+  runtime: { label: 'Runtime', descending: true, getValue: getRuntime }
+};
+
+export const DEFAULT_SORT = 'date';
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+// The options of every filter worth showing for a list: those with at least two
+// values to choose from, or a value already selected in the query
+export function getFilterOptions(items, query, context) {
+  return FILTERS.map(filter => {
+    const values = new Set();
+    items.forEach(item => filter.getValues(item, context).forEach(value => values.add(String(value))));
+    const options = Array.from(values)
+      .map(value => ({ value, label: filter.formatValue ? filter.formatValue(value) : value }))
+      .sort(filter.sortOptions);
+    return { ...filter, options };
+  }).filter(filter => filter.options.length > 1 || hasValue(query[filter.param]));
+}
+
+// The sorts that apply to a list: those with a value for some item
+export const getAvailableSorts = (items) => Object.keys(SORTS)
+  .filter(sort => sort === DEFAULT_SORT || items.some(item => hasValue(SORTS[sort].getValue(item))));
+
+// The items matching the query's filters, in its sort order (?sort=title&order=asc).
+// Items without a value for the sort go last either way
+export function applyListQuery(items, query, context) {
+  const activeFilters = FILTERS.filter(filter => hasValue(query[filter.param]));
+  const filtered = items.filter(item => activeFilters.every(filter =>
+    filter.getValues(item, context).map(String).includes(query[filter.param])));
+  
+  const sort = SORTS[query.sort] || SORTS[DEFAULT_SORT];
+  const descending = query.order ? query.order === 'desc' : sort.descending;
+  return filtered.sort((a, b) => {
+    const valueA = sort.getValue(a);
+    const valueB = sort.getValue(b);
+    if (!hasValue(valueA) || !hasValue(valueB)) {
+      return hasValue(valueA) ? -1 : hasValue(valueB) ? 1 : b.date - a.date;
+    }
+    const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    return (descending ? -order : order) || b.date - a.date;
+  });
+}
@@ -0,0 +1,24 @@
+import { STATIC_DATA_PATH } from '../config';
+import { readConsumptionEvents, MANUAL_ENTRIES_FILE } from '../../lib/events';
+
+// Shared with the export-history script
+export { mergeManualEntries } from '../../lib/events';
+
+// Fired on window after manual entries are added, edited or deleted
+export const MANUAL_ENTRIES_SAVED = 'manualEntriesSaved';
+
+// Manual entries of one media type from the overlay file (see lib/events/manual.js),
+// or none if there is no overlay file yet
+export async function loadManualEntries(mediaType) {
+  try {
+    const response = await fetch(`${STATIC_DATA_PATH}/${MANUAL_ENTRIES_FILE}?t=${Date.now()}`);
+    // The dev server answers a missing file with index.html
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+      return [];
+    }
+    return readConsumptionEvents(await response.json()).filter(event => event.mediaType === mediaType);
+  } catch (err) {
+    console.warn('Could not load manual entries:', err);
+    return [];
+  }
+}
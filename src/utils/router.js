@@ -0,0 +1,138 @@
+import { useState, useEffect, useMemo } from 'react';
+
+// Path routes under the site's base path ('/media-consumption/' on GitHub Pages):
+//   /                          home
+//   /movies                    a view (its default tab)
+//   /movies/2024, /tv/ranking  a view's tab
+//   /movies/item/<ratingKey>   an item's detail page
+//   /movies/wrapped/2024       a year in review (movies, tv and comics)
+// plus query parameters for a page's own state (e.g. /movies/2024?genre=Drama,
+// see useQueryParams). Navigating pushes a history entry, so the browser's Back
+// button works.
+// On GitHub Pages, deep links load through 404.html (see vite.config.js)
+
+export const VIEWS = ['movies', 'tv', 'comics', 'audiobooks', 'music'];
+
+const BASE_PATH = import.meta.env.BASE_URL || '/';
+const ROUTE_CHANGED = 'routeChanged';
+
+const HOME = { view: 'home', tab: null, item: null, wrapped: false };
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// { view, tab, item, wrapped } of a path; unknown paths are the home page. A year
+// in review has the year as its tab
+export function parseRoute(pathname) {
+  const path = pathname.startsWith(BASE_PATH) ? pathname.slice(BASE_PATH.length) : pathname;
+  const [view, ...rest] = path.split('/').filter(Boolean).map(decodeSegment);
+  
+  if (!VIEWS.includes(view)) {
+    return HOME;
+  }
+  if (rest[0] === 'item' && rest.length > 1) {
+    return { view, tab: null, item: rest.slice(1).join('/'), wrapped: false };
+  }
+  if (rest[0] === 'wrapped' && rest.length > 1) {
+    return { view, tab: rest[1], item: null, wrapped: true };
+  }
+  return { view, tab: rest[0] || null, item: null, wrapped: false };
+}
+
+// The path of a route (the inverse of parseRoute)
+export function buildPath({ view, tab = null, item = null, wrapped = false }) {
+  if (!VIEWS.includes(view)) {
+    return BASE_PATH;
+  }
+  const segments = item ? [view, 'item', item] : wrapped && tab ? [view, 'wrapped', tab] : tab ? [view, tab] : [view];
+  return BASE_PATH + segments.map(segment => encodeURIComponent(segment)).join('/');
+}
+
+export const getRoute = () => parseRoute(window.location.pathname);
+
+// Go to a route. replace swaps the current history entry instead of adding one,
+// for corrections that shouldn't be a Back button step (e.g. defaulting the tab),
+// and keeps the query parameters; a new page starts without them
+export function navigate(route, { replace = false } = {}) {
+  const path = buildPath(route);
+  if (path === window.location.pathname) {
+    return;
+  }
+  if (replace) {
+    window.history.replaceState(window.history.state, '', path + window.location.search);
+  } else {
+    // Remember that the previous entry is a page of the app, for goBack
+    window.history.pushState({ fromApp: true }, '', path);
+  }
+  window.dispatchEvent(new Event(ROUTE_CHANGED));
+}
+
+// Back to the previous page if it was a page of the app, otherwise (a deep link
+// opened directly) to the fallback route
+export function goBack(fallback) {
+  if (window.history.state?.fromApp) {
+    window.history.back();
+  } else {
+    navigate(fallback);
+  }
+}
+
+// Links from before path routes (?view=movies&tab=2024&item=123) are rewritten
+// to their path. Call once, before the app renders
+export function redirectLegacyUrl() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('view')) {
+    return;
+  }
+  const path = buildPath({ view: params.get('view'), tab: params.get('tab'), item: params.get('item') });
+  window.history.replaceState(null, '', path);
+}
+
+// Set query parameters of the current page; null or '' removes one. Replaces the
+// history entry, so changing a filter isn't a Back button step
+export function setQueryParams(updates) {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(updates).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === '') {
+      params.delete(name);
+    } else {
+      params.set(name, value);
+    }
+  });
+  const search = params.toString();
+  window.history.replaceState(window.history.state, '', window.location.pathname + (search ? `?${search}` : ''));
+  window.dispatchEvent(new Event(ROUTE_CHANGED));
+}
+
+// A value read from the location, updated on navigate(), setQueryParams() and
+// the Back/Forward buttons
+const useLocationValue = (read) => {
+  const [value, setValue] = useState(read);
+  
+  useEffect(() => {
+    const handleRouteChange = () => setValue(read());
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener(ROUTE_CHANGED, handleRouteChange);
+    
+    return () => {
+      window.removeEventListener('popstate', handleRouteChange);
+      window.removeEventListener(ROUTE_CHANGED, handleRouteChange);
+    };
+  }, []);
+  
+  return value;
+};
+
+// The current route
+export const useRoute = () => useLocationValue(getRoute);
+
+// The current page's query parameters, as a plain object
+export const useQueryParams = () => {
+  const search = useLocationValue(() => window.location.search);
+  return useMemo(() => Object.fromEntries(new URLSearchParams(search)), [search]);
+};
@@ -0,0 +1,203 @@
+import { MANUAL_ENTRIES_SAVED } from './manualEntries';
+import { loadEventFile } from './dataFiles';
+
+// Search across movies, TV shows and comics (the SearchBox in the home page and
+// view headers). The index is built once per data load and reused for every
+// keystroke; saving manual entries counts as a new data load
+
+// Maximum number of results shown
+export const MAX_RESULTS = 12;
+
+export const RESULT_KINDS = {
+  movie: 'Movie',
+  show: 'TV Show',
+  episode: 'Episode',
+  series: 'Comic Series',
+  issue: 'Comic Issue'
+};
+
+// Lowercase, without accents and punctuation: "Amélie (2001)" -> "amelie 2001"
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const getYear = (event) => new Date(event.consumedAt * 1000).getFullYear();
+
+// A missing data file (e.g. no comic server) just leaves its titles out
+const loadEvents = (file, mediaType) => loadEventFile(file, mediaType).catch(err => {
+  console.warn(`Search: could not load ${file}:`, err);
+  return [];
+});
+
+// The most recent event of each group, grouped by getKey
+const latestByKey = (events, getKey) => {
+  const latest = new Map();
+  events.forEach(event => {
+    const key = getKey(event);
+    if (!latest.has(key) || event.consumedAt > latest.get(key).consumedAt) {
+      latest.set(key, event);
+    }
+  });
+  return Array.from(latest.values());
+};
+
+const toEntry = (kind, event, { title, subtitle = null, route, text = title }) => ({
+  key: `${kind}:${event.id}`,
+  kind,
+  title,
+  subtitle,
+  year: getYear(event),
+  consumedAt: event.consumedAt,
+  route,
+  text: normalize(text)
+});
+
+// Movies: one entry per title, linking to the most recent watch's item (the one
+// MoviesView keeps when it merges watches of the same title)
+const indexMovies = (events) => latestByKey(events, event => normalize(event.title))
+  .map(event => toEntry('movie', event, {
+    title: event.title,
+    subtitle: event.releaseYear ? String(event.releaseYear) : null,
+    route: { view: 'movies', item: String(event.itemKey) }
+  }));
+
+// Shows, plus every episode (linking to its show). Shows with the same title are
+// merged like TVShowsView does: the copy with the most plays wins
+const indexShows = (events) => {
+  const getShowKey = (event) => event.groupKey || event.parentKey || event.itemKey;
+  const playsByShow = new Map();
+  events.forEach(event => {
+    playsByShow.set(getShowKey(event), (playsByShow.get(getShowKey(event)) || 0) + 1);
+  });
+  const showKeyByTitle = new Map();
+  latestByKey(events, getShowKey)
+    .sort((a, b) => b.consumedAt - a.consumedAt)
+    .forEach(event => {
+      const title = normalize(event.groupTitle);
+      const existing = showKeyByTitle.get(title);
+      if (!existing || playsByShow.get(getShowKey(event)) > playsByShow.get(existing)) {
+        showKeyByTitle.set(title, getShowKey(event));
+      }
+    });
+  const getRoute = (event) => ({ view: 'tv', item: String(showKeyByTitle.get(normalize(event.groupTitle))) });
+  
+  const shows = latestByKey(events, event => normalize(event.groupTitle))
+    .map(event => toEntry('show', event, { title: event.groupTitle || 'Unknown Show', route: getRoute(event) }));
+  const episodes = latestByKey(events, event => event.itemKey)
+    .map(event => {
+      const number = event.parentNumber !== null && event.number !== null ? `S${event.parentNumber}E${event.number} ` : '';
+      return toEntry('episode', event, {
+        title: event.title,
+        subtitle: `${event.groupTitle} ${number}`.trim(),
+        route: getRoute(event),
+        text: `${event.groupTitle} ${event.title}`
+      });
+    });
+  return shows.concat(episodes);
+};
+
+// Comic series, plus every issue (linking to its series)
+const indexComics = (events) => {
+  const series = latestByKey(events, event => event.groupKey)
+    .map(event => toEntry('series', event, {
+      title: event.groupTitle,
+      subtitle: event.details.seriesMetadata?.publisher || null,
+      route: { view: 'comics', item: String(event.groupKey) }
+    }));
+  const issues = latestByKey(events, event => event.itemKey)
+    .map(event => toEntry('issue', event, {
+      title: event.title,
+      subtitle: `${event.groupTitle}${event.number !== null ? ` #${event.number}` : ''}`,
+      route: { view: 'comics', item: String(event.groupKey) },
+      text: `${event.groupTitle} ${event.title}`
+    }));
+  return series.concat(issues);
+};
+
+let indexPromise = null;
+
+// The search index, loading the data files the first time
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = Promise.all([
+      loadEvents('movies.json', 'movie').then(indexMovies),
+      loadEvents('tv-shows.json', 'episode').then(indexShows),
+      loadEvents('comic-books.json', 'comic').then(indexComics)
+    ]).then(entries => entries.flat());
+  }
+  return indexPromise;
+}
+
+window.addEventListener(MANUAL_ENTRIES_SAVED, () => {
+  indexPromise = null;
+});
+
+const isWordStart = (text, index) => index === 0 || text[index - 1] === ' ';
+
+// Score of the query's characters found in order from text[start], runs of
+// consecutive characters and word starts scoring highest
+const scoreFrom = (chars, text, start) => {
+  let score = 0;
+  let position = start;
+  let previous = -2;
+  for (const char of chars) {
+    const found = text.indexOf(char, position);
+    if (found === -1) {
+      return null;
+    }
+    score += found === previous + 1 ? 10 : isWordStart(text, found) ? 8 : 1;
+    previous = found;
+    position = found + 1;
+  }
+  return score;
+};
+
+// How well a normalized query matches a normalized text, or null if it doesn't.
+// A contiguous match scores highest (more at the start of a word or the text);
+// otherwise the query's characters must appear in order, so "drk knght" finds
+// "The Dark Knight"
+export function fuzzyScore(query, text) {
+  const index = text.indexOf(query);
+  if (index !== -1) {
+    return 1000 + (index === 0 ? 200 : isWordStart(text, index) ? 100 : 0) - index - text.length / 100;
+  }
+  
+  const chars = query.replace(/ /g, '');
+  let best = null;
+  // Greedy matching from every occurrence of the first character, so "spidr"
+  // isn't thrown off by the first "s" in "Astonishing Spider-Man"
+  for (let start = text.indexOf(chars[0]); start !== -1; start = text.indexOf(chars[0], start + 1)) {
+    const score = scoreFrom(chars, text, start);
+    if (score === null) {
+      break;
+    }
+    best = Math.max(best ?? score, score);
+  }
+  // Too scattered to mean anything
+  if (best === null || best < chars.length * 6) {
+    return null;
+  }
+  return best - text.length / 100;
+}
+
+// The best matches for a query, most recent first among equal scores
+export function searchIndex(index, query, limit = MAX_RESULTS) {
+  const normalizedQuery = normalize(query);
+  if (!normalizedQuery) {
+    return [];
+  }
+  const results = [];
+  index.forEach(entry => {
+    const score = fuzzyScore(normalizedQuery, entry.text);
+    if (score !== null) {
+      // Whole movies, shows and series before the episodes and issues in them
+      results.push({ ...entry, score: score + (entry.kind === 'episode' || entry.kind === 'issue' ? 0 : 50) });
+    }
+  });
+  return results
+    .sort((a, b) => b.score - a.score || b.consumedAt - a.consumedAt)
+    .slice(0, limit);
+}
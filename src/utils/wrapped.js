@@ -0,0 +1,332 @@
+import { STATIC_DATA_PATH } from '../config';
+import { ARTWORK_DIRS } from '../../lib/events';
+
+// Year in review ("Wrapped") of one media type, the page at /movies/wrapped/2024
+// (also /tv/... and /comics/...). Everything is computed from the data file's
+// events, in local time
+
+// Data file of each view with a year in review, and the words for its plays
+// ("12 episodes of 3 shows") as [singular, plural]
+export const WRAPPED_MEDIA = {
+  movies: {
+    file: 'movies.json', mediaType: 'movie', label: 'Movies', verb: 'watched',
+    units: ['movie', 'movies'], titleUnits: ['title', 'titles']
+  },
+  tv: {
+    file: 'tv-shows.json', mediaType: 'episode', label: 'TV Shows', verb: 'watched',
+    units: ['episode', 'episodes'], titleUnits: ['show', 'shows']
+  },
+  comics: {
+    file: 'comic-books.json', mediaType: 'comic', label: 'Comic Books', verb: 'read',
+    units: ['issue', 'issues'], titleUnits: ['series', 'series']
+  }
+};
+
+export const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Entries in the top genres and most rewatched lists
+const TOP_COUNT = 5;
+
+const getDate = (event) => new Date(event.consumedAt * 1000);
+
+// Days since the epoch of the local calendar day of a date (for streaks)
+const getDayNumber = (date) => Math.round(new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime() / 86400000);
+
+// Time actually played: Tautulli's play_duration (paused time excluded), else the event duration
+const getSeconds = (event) => Number(event.details.play_duration ?? event.duration) || 0;
+
+const normalizeTitle = (title) => String(title || '').toLowerCase().trim();
+
+const getPoster = (event) => (event.artworkKey
+  ? `${STATIC_DATA_PATH}/${ARTWORK_DIRS[event.mediaType]}/${event.artworkKey}.jpg`
+  : null);
+
+// Count of each key, as [key, count] pairs from most to least
+const countBy = (items, getKey) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+};
+
+// How each media type names and groups its plays. A title is what a card in the
+// view's list stands for (a movie, a show, a comic series), an item what is
+// watched or read once (a movie, an episode, an issue)
+const KINDS = {
+  movies: {
+    // Watches of the same title are one movie, like MoviesView merges them
+    getItemKey: (event) => normalizeTitle(event.title),
+    getItemLabel: (event) => event.title,
+    getTitleKey: (event) => normalizeTitle(event.title),
+    getTitleLabel: (event) => event.title,
+    getGenres: (event) => event.details.metadata?.genres,
+    view: 'movies'
+  },
+  tv: {
+    getItemKey: (event) => event.itemKey,
+    getItemLabel: (event) => {
+      const number = event.parentNumber !== null && event.number !== null ? ` S${event.parentNumber}E${event.number}` : '';
+      return `${event.groupTitle}${number} · ${event.title}`;
+    },
+    // Shows with the same title are one show, like TVShowsView merges them
+    getTitleKey: (event) => normalizeTitle(event.groupTitle),
+    getTitleLabel: (event) => event.groupTitle || 'Unknown Show',
+    getGenres: (event) => event.details.metadata?.genres,
+    view: 'tv'
+  },
+  comics: {
+    getItemKey: (event) => event.itemKey,
+    getItemLabel: (event) => `${event.groupTitle}${event.number !== null ? ` #${event.number}` : ''}`,
+    getTitleKey: (event) => event.groupKey,
+    getTitleLabel: (event) => event.groupTitle,
+    getGenres: (event) => event.details.seriesMetadata?.genres,
+    view: 'comics'
+  }
+};
+
+// Name of one play ("Show S1E2 · Episode") of a data file event, or of a view's
+// processed watch (which keeps the event's fields)
+export const getPlayLabel = (play, kind) => KINDS[kind].getItemLabel(play);
+
+// The detail page key of every title: a movie's most recent rating_key, the show or
+// series key with the most plays
+const indexTitleRoutes = (events, kind) => {
+  const { getTitleKey, view } = KINDS[kind];
+  const routes = new Map();
+  if (kind === 'movies') {
+    [...events].sort((a, b) => a.consumedAt - b.consumedAt).forEach(event => {
+      routes.set(getTitleKey(event), { view, item: String(event.itemKey) });
+    });
+    return routes;
+  }
+  const getGroupKey = (event) => event.groupKey || event.parentKey || event.itemKey;
+  const playsByGroup = new Map(countBy(events, getGroupKey));
+  const groupByTitle = new Map();
+  events.forEach(event => {
+    const titleKey = getTitleKey(event);
+    const groupKey = getGroupKey(event);
+    if (!groupByTitle.has(titleKey) || playsByGroup.get(groupKey) > playsByGroup.get(groupByTitle.get(titleKey))) {
+      groupByTitle.set(titleKey, groupKey);
+    }
+  });
+  groupByTitle.forEach((groupKey, titleKey) => routes.set(titleKey, { view, item: String(groupKey) }));
+  return routes;
+};
+
+// Years with plays, newest first
+export const getWrappedYears = (events) => [...new Set(events.map(event => getDate(event).getFullYear()))]
+  .sort((a, b) => b - a);
+
+// Plays of the year per month and weekday, with the busiest of each
+const buildCalendar = (plays) => {
+  const months = MONTHS.map(label => ({ label, count: 0, seconds: 0 }));
+  const weekdays = WEEKDAYS.map(label => ({ label, count: 0, seconds: 0 }));
+  plays.forEach(play => {
+    const date = getDate(play);
+    [months[date.getMonth()], weekdays[date.getDay()]].forEach(bucket => {
+      bucket.count++;
+      bucket.seconds += getSeconds(play);
+    });
+  });
+  const busiest = (buckets) => buckets.reduce((best, bucket, i) => (bucket.count > buckets[best].count ? i : best), 0);
+  return { months, weekdays, busiestMonth: busiest(months), busiestWeekday: busiest(weekdays) };
+};
+
+// The day with the most time spent (or the most plays, without durations)
+const buildLongestDay = (plays, kind, byTime) => {
+  const days = new Map();
+  plays.forEach(play => {
+    const date = getDate(play);
+    const key = getDayNumber(date);
+    if (!days.has(key)) {
+      days.set(key, { date, count: 0, seconds: 0, items: [] });
+    }
+    const day = days.get(key);
+    day.count++;
+    day.seconds += getSeconds(play);
+    day.items.push(KINDS[kind].getItemLabel(play));
+  });
+  const measure = (day) => (byTime ? day.seconds : day.count);
+  return Array.from(days.values()).reduce((best, day) => (!best || measure(day) > measure(best) ? day : best), null);
+};
+
+// Genres of the titles played this year, counting each title once. A title's
+// genres come from any of its events (e.g. not from Letterboxd imports)
+const buildTopGenres = (plays, events, kind) => {
+  const { getTitleKey, getGenres } = KINDS[kind];
+  const genresByTitle = new Map();
+  events.forEach(event => {
+    const genres = getGenres(event);
+    if (genres?.length && !genresByTitle.has(getTitleKey(event))) {
+      genresByTitle.set(getTitleKey(event), genres);
+    }
+  });
+  const titles = new Set(plays.map(getTitleKey));
+  const genres = [];
+  titles.forEach(title => (genresByTitle.get(title) || []).forEach(genre => genres.push(genre)));
+  return countBy(genres, genre => genre).slice(0, TOP_COUNT).map(([genre, count]) => ({ genre, count }));
+};
+
+// Items played again this year: after an earlier play (this year or before), or
+// marked as a rewatch (Letterboxd)
+const buildMostRewatched = (plays, events, kind, titleRoutes) => {
+  const { getItemKey, getItemLabel, getTitleKey } = KINDS[kind];
+  const firstPlayed = new Map();
+  events.forEach(event => {
+    const key = getItemKey(event);
+    if (!firstPlayed.has(key) || event.consumedAt < firstPlayed.get(key)) {
+      firstPlayed.set(key, event.consumedAt);
+    }
+  });
+  
+  const items = new Map();
+  plays.forEach(play => {
+    const key = getItemKey(play);
+    if (!items.has(key)) {
+      items.set(key, { play, count: 0, rewatches: 0 });
+    }
+    const item = items.get(key);
+    item.count++;
+    if (play.details.rewatch || firstPlayed.get(key) < play.consumedAt) {
+      item.rewatches++;
+    }
+  });
+  return Array.from(items.values())
+    .filter(item => item.rewatches > 0)
+    .sort((a, b) => b.rewatches - a.rewatches || b.count - a.count)
+    .slice(0, TOP_COUNT)
+    .map(({ play, count, rewatches }) => ({
+      label: getItemLabel(play),
+      count,
+      rewatches,
+      poster: getPoster(play),
+      route: titleRoutes.get(getTitleKey(play))
+    }));
+};
+
+const toMoment = (play, kind, titleRoutes) => ({
+  label: KINDS[kind].getItemLabel(play),
+  date: getDate(play),
+  poster: getPoster(play),
+  route: titleRoutes.get(KINDS[kind].getTitleKey(play))
+});
+
+// TV highlights: the most episodes of one show in a day, the show with the most
+// episodes, and the longest run of consecutive days watching the same show
+const buildBinges = (plays, titleRoutes) => {
+  const { getTitleKey, getTitleLabel } = KINDS.tv;
+  const shows = new Map();
+  plays.forEach(play => {
+    const key = getTitleKey(play);
+    if (!shows.has(key)) {
+      shows.set(key, { title: getTitleLabel(play), route: titleRoutes.get(key), count: 0, days: new Map() });
+    }
+    const show = shows.get(key);
+    const date = getDate(play);
+    const dayNumber = getDayNumber(date);
+    show.count++;
+    if (!show.days.has(dayNumber)) {
+      show.days.set(dayNumber, { date, count: 0 });
+    }
+    show.days.get(dayNumber).count++;
+  });
+  if (shows.size === 0) {
+    return null;
+  }
+  
+  let biggestDay = null;
+  let mostWatched = null;
+  let longestStreak = null;
+  shows.forEach(show => {
+    const { title, route } = show;
+    if (!mostWatched || show.count > mostWatched.count) {
+      mostWatched = { title, route, count: show.count };
+    }
+    const dayNumbers = Array.from(show.days.keys()).sort((a, b) => a - b);
+    let streakStart = 0;
+    dayNumbers.forEach((dayNumber, i) => {
+      const day = show.days.get(dayNumber);
+      if (!biggestDay || day.count > biggestDay.count) {
+        biggestDay = { title, route, date: day.date, count: day.count };
+      }
+      if (i > 0 && dayNumber !== dayNumbers[i - 1] + 1) {
+        streakStart = i;
+      }
+      const days = i - streakStart + 1;
+      if (!longestStreak || days > longestStreak.days) {
+        longestStreak = { title, route, days, from: show.days.get(dayNumbers[streakStart]).date, to: day.date };
+      }
+    });
+  });
+  return { biggestDay, mostWatched, longestStreak };
+};
+
+// Comic series whose last unread issue was read this year, by the series' book
+// count (details.seriesBookCount of its most recent read)
+const buildFinishedSeries = (events, year, titleRoutes) => {
+  const seriesReads = new Map();
+  events.forEach(event => {
+    if (!seriesReads.has(event.groupKey)) {
+      seriesReads.set(event.groupKey, []);
+    }
+    seriesReads.get(event.groupKey).push(event);
+  });
+  
+  const finished = [];
+  seriesReads.forEach((reads, groupKey) => {
+    reads.sort((a, b) => a.consumedAt - b.consumedAt);
+    const bookCount = reads[reads.length - 1].details.seriesBookCount;
+    if (!bookCount) {
+      return;
+    }
+    const issuesRead = new Set();
+    const finishingRead = reads.find(read => {
+      issuesRead.add(read.itemKey);
+      return issuesRead.size >= bookCount;
+    });
+    if (finishingRead && getDate(finishingRead).getFullYear() === year) {
+      finished.push({
+        title: finishingRead.groupTitle,
+        count: bookCount,
+        date: getDate(finishingRead),
+        poster: getPoster(finishingRead),
+        route: titleRoutes.get(groupKey)
+      });
+    }
+  });
+  return finished.sort((a, b) => a.date - b.date);
+};
+
+// Every section of a year in review. events are all the media type's events
+// (earlier years tell rewatches and finished series apart), null if nothing was
+// played that year. Sections without data are null or empty
+export function buildWrapped(events, year, kind) {
+  const plays = events
+    .filter(event => getDate(event).getFullYear() === year)
+    .sort((a, b) => a.consumedAt - b.consumedAt);
+  if (plays.length === 0) {
+    return null;
+  }
+  
+  const titleRoutes = indexTitleRoutes(events, kind);
+  const totalSeconds = plays.reduce((sum, play) => sum + getSeconds(play), 0);
+  
+  return {
+    year,
+    playCount: plays.length,
+    titleCount: new Set(plays.map(KINDS[kind].getTitleKey)).size,
+    totalSeconds,
+    ...buildCalendar(plays),
+    longestDay: buildLongestDay(plays, kind, totalSeconds > 0),
+    topGenres: buildTopGenres(plays, events, kind),
+    mostRewatched: buildMostRewatched(plays, events, kind, titleRoutes),
+    first: toMoment(plays[0], kind, titleRoutes),
+    last: toMoment(plays[plays.length - 1], kind, titleRoutes),
+    binges: kind === 'tv' ? buildBinges(plays, titleRoutes) : null,
+    finishedSeries: kind === 'comics' ? buildFinishedSeries(events, year, titleRoutes) : null
+  };
+}
@@ -1,9 +1,27 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { copyFileSync } from 'fs'
+import { resolve } from 'path'
+
+// GitHub Pages answers paths without a file (deep links like /media-consumption/movies/2024)
+// with 404.html, so a copy of index.html there boots the app, which routes from the path
+function githubPagesFallback() {
+  let outDir
+  return {
+    name: 'github-pages-fallback',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    closeBundle() {
+      copyFileSync(resolve(outDir, 'index.html'), resolve(outDir, '404.html'))
+    }
+  }
+}
 
 export default defineConfig({
   base: process.env.NODE_ENV === 'production' ? '/media-consumption/' : '/',
-  plugins: [react()],
+  plugins: [react(), githubPagesFallback()],
   server: {
     port: 3000,
     proxy: {
@@ -19,4 +37,3 @@ export default defineConfig({
     copyPublicDir: true
   }
 })
-